@@ -1,6 +1,161 @@
 const path = require('path');
 const fs = require('fs').promises;
 const DataMapper = require('./services/data-mapper');
+const { transformRecords } = require('./services/transform-engine');
+const { createMappingSpec, loadMappingSpec, saveMappingSpec } = require('./services/mapping-spec');
+const { reviewFieldMappings } = require('./services/mapping-review');
+const { getGenerator, listGenerators } = require('./services/generators');
+const { summarizeSchema } = require('./services/schema-ir');
+const { splitReference } = require('./services/parsers');
+const { formatCompatibility } = require('./services/type-compatibility');
+const { describeExpression } = require('./services/composite-mappings');
+const { collectEntityMappings } = require('./services/hierarchy-scoring');
+const { formatScoreBreakdown } = require('./services/field-scorer');
+const { findGlossaryFile } = require('./services/glossary');
+const { DEFAULT_HISTORY_FILE, recordApprovedMappings, saveHistory, describeHistoryMatch } = require('./services/mapping-history');
+const { DEFAULT_STORE_FILE, isIndexArtifact } = require('./services/vector-store');
+const { splitCollectionPath } = require('./utils/path-utils');
+
+// Options that never take a value, so `--flag <positional>` is not misread
+const BOOLEAN_FLAGS = new Set(['interactive', 'review-all', 'llm-assist', 'no-composites', 'suggest-composites', 'explain', 'no-history', 'rebuild']);
+
+/**
+ * Name an input reference for output files: the selected entity for
+ * `spec.yaml#/components/schemas/Customer`, otherwise the file name without extension
+ * @param {string} reference - File path, optionally with a `#` fragment
+ * @returns {string} Name
+ */
+function referenceName(reference) {
+  const { filePath, fragment } = splitReference(reference);
+  return fragment
+    ? fragment.replace(/^#/, '').split('/').pop()
+    : path.basename(filePath, path.extname(filePath));
+}
+
+/**
+ * Parse the number given to an option
+ * @param {string} name - Option name, for the error message
+ * @param {string} text - Option value
+ * @returns {number} Parsed number
+ */
+function parseNumber(name, text) {
+  const value = Number(String(text).trim());
+  if (String(text).trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`Invalid ${name} "${text}": use a number, e.g. ${name} 0.7`);
+  }
+  return value;
+}
+
+/**
+ * Parse the count given to an option
+ * @param {string} name - Option name, for the error message
+ * @param {string} text - Option value
+ * @returns {number} Parsed non-negative integer
+ */
+function parseCount(name, text) {
+  const value = Number(String(text).trim());
+  if (!/^\s*\d+\s*$/.test(String(text))) {
+    throw new Error(`Invalid ${name} "${text}": use a whole number of 0 or more, e.g. ${name} 2`);
+  }
+  return value;
+}
+
+/**
+ * Parse score weights given as `embedding=0.6,name=0.25,type=0.15`
+ * @param {string} text - Comma-separated component=weight pairs
+ * @returns {Object<string, number>} Weight per score component
+ */
+function parseWeights(text) {
+  return String(text).split(',').reduce((weights, pair) => {
+    const [component, weight] = pair.split('=').map(part => part.trim());
+    if (!component || weight === undefined || weight === '' || !Number.isFinite(Number(weight))) {
+      throw new Error(`Invalid --weights entry "${pair}": use <component>=<weight>, e.g. embedding=0.6`);
+    }
+    weights[component] = Number(weight);
+    return weights;
+  }, {});
+}
+
+/**
+ * Describe a field mapping row for the console. Collection rows are marked with `[]`, and
+ * rows inside a mapped pair of collections are shown relative to the elements and indented
+ * below the collection row, one level per collection.
+ * @param {Object} map - Field mapping row
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @returns {{indent: string, text: string}} Indentation and `source -> target` text
+ */
+function describeFieldMapping(map, mapping) {
+  const findCollectionRow = (sourceCollection, targetCollection) => mapping.fieldMappings.find(row =>
+    row.status !== 'rejected' && row.targetField === targetCollection &&
+    (!sourceCollection || row.sourceField === sourceCollection)
+  );
+
+  let indent = '';
+  let row = map;
+  let source = map.sourceField ? splitCollectionPath(map.sourceField) : { collection: '' };
+  let target = splitCollectionPath(map.targetField);
+  while (target.collection && (source.collection || !map.sourceField) && findCollectionRow(source.collection, target.collection)) {
+    if (!indent) {
+      const relative = field => splitCollectionPath(field).element;
+      row = {
+        ...map,
+        sourceField: map.sourceField && relative(map.sourceField),
+        targetField: relative(map.targetField),
+        expression: map.expression && map.expression.sources
+          ? { ...map.expression, sources: map.expression.sources.map(relative) }
+          : map.expression
+      };
+    }
+    indent += '    ';
+    source = source.collection ? splitCollectionPath(source.collection) : source;
+    target = splitCollectionPath(target.collection);
+  }
+
+  const isCollection = mapping.sourceFieldTypes[map.sourceField] === 'array' &&
+    mapping.targetFieldTypes[map.targetField] === 'array';
+  const text = isCollection
+    ? `${row.sourceField}[] -> ${row.targetField}[]`
+    : `${describeExpression(row)} -> ${row.targetField}`;
+  return { indent, text };
+}
+
+/**
+ * Split command line arguments into positional arguments and --options
+ * @param {string[]} argv - Raw arguments after the script name
+ * @returns {{positional: string[], options: Object}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+    let value = true;
+
+    if (equalsIndex !== -1) {
+      value = arg.slice(equalsIndex + 1);
+    } else if (!BOOLEAN_FLAGS.has(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    }
+
+    // Repeated options collect into an array
+    if (options[name] === undefined) {
+      options[name] = value;
+    } else {
+      options[name] = [].concat(options[name], value);
+    }
+  }
+
+  return { positional, options };
+}
 
 async function main() {
   try {
@@ -13,49 +168,103 @@ async function main() {
     });
 
     // Check if Ollama is running and has the llama3 model
-    const args = process.argv.slice(2);
+    const { positional: args, options } = parseArgs(process.argv.slice(2));
     const command = args[0];
 
     if (!command) {
       console.log('Usage:');
       console.log('  node index.js load <directory>  - Load and embed data files from a directory');
+      console.log('      --store <file>  - Vector store to update (default <directory>/vector-store.json)');
+      console.log('      --rebuild  - Embed every file again, e.g. after switching the embedding model or editing the glossary');
       console.log('  node index.js map <source> <target>  - Map fields between source and target files');
+      console.log('      <file>#<pointer or entity>  - Map one schema of an OpenAPI/JSON Schema file, e.g. api.yaml#/components/schemas/Customer');
+      console.log('      --assignment greedy|optimal  - Pick targets per field or solve a one-to-one assignment');
+      console.log('      --scoring leaf|hierarchy  - Compare fields on their own or together with their parent objects');
+      console.log('      --scorer hybrid|embedding  - Weigh embedding, name and type similarity (default) or compare embeddings only');
+      console.log('      --weights embedding=0.6,name=0.25,type=0.15  - Weights of the hybrid score components');
+      console.log('      --explain  - Show the score components of every field mapping');
+      console.log('      --min-confidence <number>  - Leave fields unmapped below this similarity');
+      console.log('      --declare <source>=<target>  - Always map this pair (repeatable, allows one-to-many)');
+      console.log('      --no-composites  - Only map fields one-to-one (no concat/split, flatten/nest, constants or defaults)');
+      console.log('      --suggest-composites  - Also ask the LLM for concat, split and constant mappings');
+      console.log('      --store <file>  - Vector store that enriches the mapping (default vector-store.json next to the source)');
+      console.log('      --history <file>  - Store of approved pairs that boost future matches (default ./mapping-history.json)');
+      console.log('      --no-history  - Neither use nor update the mapping history');
+      console.log('      --spec <file>  - Mapping spec to keep reviewed rows from and save to (.json, .yaml or .yml)');
+      console.log('      --interactive  - Review the field mappings in the terminal before generating code');
+      console.log('      --review-all  - With --interactive, also revisit rows reviewed in an earlier run');
+      console.log(`      --target-lang ${listGenerators().map(generator => generator.name).join('|')}  - Language of the generated code (default csharp)`);
+      console.log('      --generator template|llm  - Render the code from the mappings (default) or let the LLM write it');
+      console.log('      --repair-rounds <number>  - With --generator llm, re-prompt this often when the code fails validation (default 2)');
+      console.log('      --namespace <name>, --source-class <name>, --target-class <name>, --mapper-name <name>');
+      console.log('      --python-style dataclasses|pydantic  - Model classes for --target-lang python');
+      console.log('      --llm-assist  - Let the LLM add comments and type conversions to the template output');
+      console.log('  node index.js infer <sample> [more samples...]  - Infer a schema from sample records (.json, .ndjson, .jsonl, .csv, .xml)');
+      console.log('      --name <entity>  - Entity name (default: first file name)');
+      console.log('      --output <file>  - Where to save the schema (default <sample>.schema.json)');
       console.log('  node index.js analyze <file>  - Analyze a plain text description');
       console.log('  node index.js query <text>  - Search the vector database for related information');
+      console.log('      --store <file>  - Vector store to search (default ./data/vector-store.json)');
+      console.log('  node index.js transform <mapping> <input.json> [output.json]  - Apply a saved mapping to JSON records');
+      console.log('  All commands: --glossary <file>  - Project glossary (default ./mapper.glossary.yaml when it exists)');
       return;
     }
 
+    const glossaryPath = options.glossary || await findGlossaryFile(process.cwd());
+    if (glossaryPath) {
+      await mapper.loadGlossary(glossaryPath);
+      console.log(`Using glossary ${glossaryPath}`);
+    }
+
     switch (command) {
       case 'load': {
         const directory = args[1] || './data';
+        const storePath = options.store || path.join(directory, DEFAULT_STORE_FILE);
         console.log(`Loading data files from ${directory}...`);
         
         const files = await fs.readdir(directory);
         const filePaths = files
+          .filter(file => !isIndexArtifact(path.join(directory, file), storePath))
           .filter(file => 
             file.endsWith('.json') || 
             file.endsWith('.csv') || 
+            file.endsWith('.ndjson') || 
+            file.endsWith('.jsonl') || 
             file.endsWith('.txt') || 
             file.endsWith('.md') ||
             file.endsWith('.yaml') ||
-            file.endsWith('.yml'))
+            file.endsWith('.yml') ||
+            file.endsWith('.cs') ||
+            file.endsWith('.ts') ||
+            file.endsWith('.sql') ||
+            file.endsWith('.xsd') ||
+            file.endsWith('.xml') ||
+            file.endsWith('.proto') ||
+            file.endsWith('.avsc') ||
+            file.endsWith('.avpr'))
           .map(file => path.join(directory, file));
         
         if (filePaths.length === 0) {
-          console.log('No compatible files found. Please add .json, .csv, .txt, .md, .yaml, or .yml files.');
+          console.log('No compatible files found. Please add .json, .ndjson, .jsonl, .csv, .txt, .md, .yaml, .yml, .cs, .ts, .sql, .xsd, .xml, .proto, .avsc or .avpr files.');
           return;
         }
         
         console.log(`Found ${filePaths.length} files to process`);
-        const structures = await mapper.loadDataFiles(filePaths);
-        console.log(`Successfully processed ${structures.length} data structures`);
+        const store = await mapper.openVectorStore(storePath, { rebuild: Boolean(options.rebuild) });
+        const summary = await mapper.indexDataFiles(filePaths);
+        console.log(`Embedded ${summary.added.length} new and ${summary.changed.length} changed file(s), kept ${summary.unchanged.length} unchanged, removed ${summary.removed.length}`);
+        summary.removed.forEach(filePath => console.log(`  removed ${filePath}`));
+        if (summary.failed.length > 0) {
+          console.log(`Could not embed ${summary.failed.length} file(s): ${summary.failed.join(', ')}`);
+        }
         
-        // Save the processed structures for later use
-        await fs.writeFile(
-          path.join(directory, 'embedded-structures.json'),
-          JSON.stringify(structures, null, 2)
-        );
-        console.log(`Embedded structures saved to ${path.join(directory, 'embedded-structures.json')}`);
+        if (store.optimize()) {
+          console.log(`Trained the search index: ${store.index.lists.length} lists over ${store.size} vectors`);
+        }
+        
+        // Save the store so the next load only embeds what changed
+        await store.save();
+        console.log(`Vector store saved to ${storePath} (${store.files.size} files, ${store.size} vectors, ${store.model})`);
         break;
       }
       
@@ -68,51 +277,175 @@ async function main() {
           return;
         }
         
-        console.log(`Mapping data from ${sourcePath} to ${targetPath}...`);
-        
-        // Load previously embedded structures if available
-        const directory = path.dirname(sourcePath);
+        // Resolve the target language up front so a typo fails before anything is embedded
+        const target = getGenerator(options['target-lang'] || 'csharp');
+
+        // The same goes for the numeric options
+        let scoreWeights;
+        let minConfidence;
+        let repairRounds;
         try {
-          const embeddedPath = path.join(directory, 'embedded-structures.json');
-          const embeddedData = await fs.readFile(embeddedPath, 'utf-8');
-          const structures = JSON.parse(embeddedData);
-          console.log(`Loaded ${structures.length} embedded structures from cache`);
-          
-          // Initialize with the loaded structures
-          await mapper.loadDataFiles([]);
-          mapper.vectorStore = structures.flatMap(structure => [
-            {
-              vector: structure.embeddings.fullContent,
-              metadata: {
-                type: 'document',
-                filename: structure.filename,
-                path: structure.path
-              }
-            },
-            ...structure.embeddings.fields.map(field => ({
-              vector: field.vector,
-              metadata: {
-                type: 'field',
-                field: field.field,
-                filename: structure.filename,
-                path: structure.path
-              }
-            }))
-          ]);
-          mapper.initialized = true;
+          scoreWeights = options.weights ? parseWeights(options.weights) : undefined;
+          minConfidence = options['min-confidence'] !== undefined
+            ? parseNumber('--min-confidence', options['min-confidence'])
+            : undefined;
+          repairRounds = options['repair-rounds'] !== undefined
+            ? parseCount('--repair-rounds', options['repair-rounds'])
+            : undefined;
         } catch (error) {
-          console.log('No embedded structures found, proceeding with direct mapping');
+          console.error(error.message);
+          console.error('Usage: node index.js map <source> <target> [--weights embedding=0.6,name=0.25,type=0.15] [--min-confidence <number>] [--repair-rounds <number>]');
+          process.exitCode = 1;
+          return;
+        }
+        
+        console.log(`Mapping data from ${sourcePath} to ${targetPath}...`);
+        
+        // Use the vector store next to the source if one was built with `load`
+        const directory = path.dirname(splitReference(sourcePath).filePath);
+        const storePath = options.store || path.join(directory, DEFAULT_STORE_FILE);
+        const store = await mapper.openVectorStore(storePath);
+        if (store.size > 0) {
+          console.log(`Loaded ${store.files.size} embedded files from ${storePath}`);
+        } else {
+          console.log('No vector store found, proceeding with direct mapping');
           // Initialize with the source and target files
           await mapper.loadDataFiles([sourcePath, targetPath]);
         }
         
-        const mapping = await mapper.mapDataStructures(sourcePath, targetPath);
+        if (!options['no-history']) {
+          await mapper.loadHistory(options.history || DEFAULT_HISTORY_FILE);
+        }
+        
+        const mapOptions = {};
+        if (options.assignment) {
+          mapOptions.assignmentMode = options.assignment;
+        }
+        if (options.scoring) {
+          mapOptions.scoringMode = options.scoring;
+        }
+        if (options.scorer) {
+          mapOptions.scorer = options.scorer;
+        }
+        if (scoreWeights) {
+          mapOptions.scoreWeights = scoreWeights;
+        }
+        if (minConfidence !== undefined) {
+          mapOptions.minConfidence = minConfidence;
+        }
+        mapOptions.targetLang = target.name;
+        if (options.generator) {
+          mapOptions.generator = options.generator;
+        }
+        if (options.namespace) {
+          mapOptions.namespace = options.namespace;
+        }
+        if (options['source-class']) {
+          mapOptions.sourceClassName = options['source-class'];
+        }
+        if (options['target-class']) {
+          mapOptions.targetClassName = options['target-class'];
+        }
+        // --profile-class is the older, C#-specific name of --mapper-name
+        if (options['mapper-name'] || options['profile-class']) {
+          mapOptions.mapperName = options['mapper-name'] || options['profile-class'];
+        }
+        if (options['python-style']) {
+          mapOptions.pythonStyle = options['python-style'];
+        }
+        if (repairRounds !== undefined) {
+          mapOptions.repairRounds = repairRounds;
+        }
+        mapOptions.llmAssist = Boolean(options['llm-assist']);
+        if (options['no-composites']) {
+          mapOptions.detectComposites = false;
+        }
+        mapOptions.suggestComposites = Boolean(options['suggest-composites']);
+        if (options.declare) {
+          mapOptions.declaredMappings = [].concat(options.declare).map(pair => {
+            const [sourceField, targetField] = pair.split('=');
+            return { sourceField, targetField };
+          });
+        }
+        
+        const baseName = `Mapping${referenceName(sourcePath)}To${referenceName(targetPath)}`;
+        const specPath = options.spec || path.join(directory, `${baseName}.mapping.json`);
+        try {
+          mapOptions.previousSpec = await loadMappingSpec(specPath);
+          console.log(`Loaded mapping spec ${specPath}; reviewed rows will be kept`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        
+        // In interactive mode code is generated only from the reviewed result
+        mapOptions.generateCode = !options.interactive;
+        const mapping = await mapper.mapDataStructures(sourcePath, targetPath, mapOptions);
+        
+        if (options.interactive) {
+          const summary = await reviewFieldMappings(mapping, { reviewAll: Boolean(options['review-all']) });
+          console.log(`\nReview finished: ${summary.accepted} accepted, ${summary.manual} manual, ${summary.ignored} ignored, ${summary.skipped} skipped`);
+          
+          Object.assign(mapping, mapper.collectUnmappedFields(
+            mapping.fieldMappings,
+            mapping.sourceFields,
+            mapping.targetFields
+          ));
+          // Reviewed rows may point at other targets now
+          mapper.annotateCompatibility(mapping.fieldMappings, mapping.sourceStructure.schema, mapping.targetStructure.schema);
+          mapping.entityMappings = collectEntityMappings(mapping.fieldMappings);
+          const { code, validation } = await mapper.generateMappingCode(mapping, mapOptions);
+          mapping.mappingCode = code;
+          mapping.codeValidation = validation;
+        }
         
         console.log('\nField Mappings:');
         mapping.fieldMappings.forEach(map => {
-          console.log(`  ${map.sourceField} -> ${map.targetMatches[0].targetField} (confidence: ${map.targetMatches[0].confidence.toFixed(2)})`);
+          const status = map.status && map.status !== 'auto' ? ` [${map.status}]` : '';
+          if (map.targetField) {
+            const incompatible = map.compatibility && map.compatibility.verdict === 'incompatible';
+            const { indent, text } = describeFieldMapping(map, mapping);
+            const origin = map.origin === 'history' ? ' [history]' : '';
+            console.log(`${indent}${incompatible ? '! ' : '  '}${text} (confidence: ${map.confidence.toFixed(2)})${status}${origin}`);
+            if (map.history) {
+              console.log(`${indent}      history: ${describeHistoryMatch(map.history)}`);
+            }
+            if (options.explain && map.scores) {
+              console.log(`${indent}      scores: ${formatScoreBreakdown(map.scores)}`);
+            }
+            if (map.compatibility && map.compatibility.verdict !== 'identical') {
+              console.log(`${indent}      types: ${formatCompatibility(map.compatibility)}`);
+            }
+          } else {
+            console.log(`  ${map.sourceField} -> (unmapped)${status}`);
+          }
         });
         
+        if (mapping.entityMappings.length > 0) {
+          console.log('\nEntity Mappings:');
+          mapping.entityMappings.forEach(entity => console.log(
+            `  ${entity.sourcePath || '(root)'} -> ${entity.targetPath || '(root)'} (confidence: ${entity.confidence.toFixed(2)}, fields: ${entity.fieldCount})`
+          ));
+        }
+        
+        const incompatibleMappings = mapping.fieldMappings.filter(map =>
+          map.targetField && map.status !== 'rejected' && map.compatibility && map.compatibility.verdict === 'incompatible'
+        );
+        if (incompatibleMappings.length > 0) {
+          console.log(`\nWarning: ${incompatibleMappings.length} mapping(s) marked "!" have incompatible types; review or reject them`);
+        }
+        
+        if (mapping.unmappedSourceFields.length > 0) {
+          console.log('\nUnmapped source fields:');
+          mapping.unmappedSourceFields.forEach(field => console.log(`  - ${field}`));
+        }
+        
+        if (mapping.unmappedTargetFields.length > 0) {
+          console.log('\nUnmapped target fields:');
+          mapping.unmappedTargetFields.forEach(field => console.log(`  - ${field}`));
+        }
+        
         // Display any enrichment information from vector database
         if (mapping.sourceEnrichment || mapping.targetEnrichment) {
           console.log('\nEnrichment from Vector Database:');
@@ -132,16 +465,82 @@ async function main() {
           }
         }
         
-        console.log('\nGenerated C# AutoMapper Code:');
+        console.log(`\nGenerated code (${target.description}):`);
         console.log(mapping.mappingCode);
         
-        // Save the mapping to a .cs file for C# code
-        const outputPath = path.join(
-          path.dirname(sourcePath), 
-          `Mapping${path.basename(sourcePath, path.extname(sourcePath))}To${path.basename(targetPath, path.extname(targetPath))}.cs`
-        );
+        // Save the code with the target language's file extension
+        const outputPath = path.join(directory, `${baseName}${target.extension}`);
         await fs.writeFile(outputPath, mapping.mappingCode);
-        console.log(`\nC# AutoMapper code saved to ${outputPath}`);
+        console.log(`\nMapping code saved to ${outputPath}`);
+        
+        // Report whether the saved code passed the structural checks
+        const { codeValidation } = mapping;
+        const repairs = codeValidation.repairRounds > 0 ? ` after ${codeValidation.repairRounds} repair round(s)` : '';
+        if (codeValidation.passed) {
+          console.log(`Code validation passed${repairs}`);
+        } else {
+          console.log(`Code validation failed${repairs}:`);
+          codeValidation.errors.forEach(error => console.log(`  - ${error}`));
+          process.exitCode = 1;
+        }
+        
+        // Save the mapping spec so it can be reviewed, re-used and executed with the transform command
+        await saveMappingSpec(specPath, createMappingSpec(mapping));
+        console.log(`Mapping spec saved to ${specPath}`);
+        
+        if (mapper.history) {
+          const recorded = recordApprovedMappings(mapper.history, mapping);
+          if (recorded > 0) {
+            await saveHistory(mapper.history);
+            console.log(`Recorded ${recorded} approved pair(s) in the mapping history ${mapper.history.path}`);
+          }
+        }
+        break;
+      }
+      
+      case 'infer': {
+        const samplePaths = args.slice(1);
+        
+        if (samplePaths.length === 0) {
+          console.log('Please provide at least one sample file');
+          return;
+        }
+        
+        // Inference is deterministic, so no models have to be loaded
+        const schema = await mapper.inferSchemaFromSamples(samplePaths, options.name);
+        const [entity] = schema.entities;
+        console.log(`Inferred ${entity.fields.length} fields for ${entity.name} (${entity.description.toLowerCase()}):`);
+        console.log(summarizeSchema(schema));
+        
+        // The saved schema can be passed to map and load like any other input
+        const outputPath = options.output || samplePaths[0].replace(/\.[^./\\]+$/, '') + '.schema.json';
+        await fs.writeFile(outputPath, JSON.stringify(schema, null, 2));
+        console.log(`\nSchema saved to ${outputPath}`);
+        break;
+      }
+      
+      case 'transform': {
+        const mappingPath = args[1];
+        const inputPath = args[2];
+        
+        if (!mappingPath || !inputPath) {
+          console.log('Please provide a mapping file and an input JSON file');
+          return;
+        }
+        
+        const mappingSpec = await loadMappingSpec(mappingPath);
+        const input = JSON.parse(await fs.readFile(inputPath, 'utf-8'));
+        const output = transformRecords(mappingSpec, input);
+        
+        const outputPath = args[3] || path.join(
+          path.dirname(inputPath),
+          `${path.basename(inputPath, path.extname(inputPath))}.transformed.json`
+        );
+        await fs.writeFile(outputPath, JSON.stringify(output, null, 2));
+        
+        const recordCount = Array.isArray(input) ? input.length : 1;
+        console.log(`Transformed ${recordCount} record(s) using ${mappingPath}`);
+        console.log(`Output saved to ${outputPath}`);
         break;
       }
       
@@ -206,41 +605,14 @@ async function main() {
         console.log(`Querying vector database with: "${query}"`);
         
         try {
-          // Load previously embedded structures if available
-          const directory = args[1] && fs.existsSync(args[1]) ? args[1] : './data';
-          try {
-            const embeddedPath = path.join(directory, 'embedded-structures.json');
-            const embeddedData = await fs.readFile(embeddedPath, 'utf-8');
-            const structures = JSON.parse(embeddedData);
-            console.log(`Loaded ${structures.length} embedded structures from vector database`);
-            
-            // Initialize with the loaded structures
-            await mapper.loadDataFiles([]);
-            mapper.vectorStore = structures.flatMap(structure => [
-              {
-                vector: structure.embeddings.fullContent,
-                metadata: {
-                  type: 'document',
-                  filename: structure.filename,
-                  path: structure.path
-                }
-              },
-              ...structure.embeddings.fields.map(field => ({
-                vector: field.vector,
-                metadata: {
-                  type: 'field',
-                  field: field.field,
-                  filename: structure.filename,
-                  path: structure.path
-                }
-              }))
-            ]);
-            mapper.initialized = true;
-          } catch (error) {
-            console.error('Error loading vector database:', error);
+          const storePath = options.store || path.join('./data', DEFAULT_STORE_FILE);
+          const store = await mapper.openVectorStore(storePath);
+          if (store.size === 0) {
+            console.log(`No vector store found at ${storePath}`);
             console.log('Please run "load" command first to build the vector database');
             return;
           }
+          console.log(`Loaded ${store.files.size} embedded files from ${storePath}`);
           
           // Analyze the query against the vector database
           const analysis = await mapper.analyzeWithVectorDB(query);
@@ -321,7 +693,7 @@ ${analysis.vectorKnowledge.knowledgeSynthesis}
       
       default:
         console.log(`Unknown command: ${command}`);
-        console.log('Use "load" to process data files, "map" to map between structures, "analyze" to analyze a data description, or "query" to query the vector database');
+        console.log('Use "load" to process data files, "map" to map between structures, "analyze" to analyze a data description, "query" to query the vector database, or "transform" to apply a mapping to data');
     }
   } catch (error) {
     console.error('Error:', error);
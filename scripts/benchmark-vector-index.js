@@ -0,0 +1,154 @@
+/**
+ * Compare the approximate vector index with the brute-force search (findSimilarVectors) on
+ * synthetic clustered embeddings: recall of the true top-k and query latency, with and
+ * without a metadata filter.
+ *
+ *   node scripts/benchmark-vector-index.js [--size 20000] [--dimension 384] [--queries 200]
+ *     [--top-k 10] [--lists <n>] [--probes <n>] [--noise 1] [--seed 1]
+ *
+ * --noise is the spread of the vectors around their topic centre; more noise makes the
+ * topics overlap and the approximate search harder.
+ */
+
+const { performance } = require('perf_hooks');
+const { findSimilarVectors } = require('../utils/vector-utils');
+const { VectorIndex, createRandom } = require('../utils/vector-index');
+
+// Share of the vectors that are documents rather than fields, for the filtered searches
+const DOCUMENT_SHARE = 0.02;
+
+/**
+ * Read `--name value` options
+ * @param {string[]} argv - Raw arguments after the script name
+ * @returns {Object} Numeric options with their defaults
+ */
+function parseOptions(argv) {
+  const options = { size: 20000, dimension: 384, queries: 200, 'top-k': 10, lists: null, probes: null, noise: 1, seed: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options) || argv[i + 1] === undefined || Number.isNaN(Number(argv[i + 1]))) {
+      throw new Error(`Invalid option ${argv[i]}; use ${Object.keys(options).map(key => `--${key} <number>`).join(', ')}`);
+    }
+    options[name] = Number(argv[i + 1]);
+  }
+  return options;
+}
+
+/**
+ * Create a generator of standard normal numbers (Box-Muller)
+ * @param {function(): number} random - Uniform random number generator
+ * @returns {function(): number} Normal random number generator
+ */
+function createGaussian(random) {
+  return () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Generate vectors around random topic centres, like embeddings of related schemas
+ * @param {number} count - Number of vectors
+ * @param {number[][]} centres - Topic centres
+ * @param {number} noise - Standard deviation around the centre
+ * @param {function(): number} random - Uniform random number generator
+ * @returns {number[][]} Vectors
+ */
+function generateVectors(count, centres, noise, random) {
+  const gaussian = createGaussian(random);
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random() * centres.length)];
+    return centre.map(value => value + noise * gaussian());
+  });
+}
+
+/**
+ * Time a search function over every query
+ * @param {number[][]} queries - Query vectors
+ * @param {function(number[]): Array} search - Search returning results best first
+ * @returns {{results: Array[], mean: number, p95: number}} Results per query and latency in ms
+ */
+function timeQueries(queries, search) {
+  const latencies = [];
+  const results = queries.map(query => {
+    const start = performance.now();
+    const result = search(query);
+    latencies.push(performance.now() - start);
+    return result;
+  });
+  latencies.sort((a, b) => a - b);
+  return {
+    results,
+    mean: latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length,
+    p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+  };
+}
+
+/**
+ * Share of the true top-k ids that a search found
+ * @param {Array[]} expected - Brute-force results per query
+ * @param {Array[]} actual - Index results per query
+ * @returns {number} Recall between 0 and 1
+ */
+function recall(expected, actual) {
+  let found = 0;
+  let total = 0;
+  expected.forEach((results, i) => {
+    const ids = new Set(actual[i].map(result => result.metadata.id));
+    results.forEach(result => { if (ids.has(result.metadata.id)) found++; });
+    total += results.length;
+  });
+  return total > 0 ? found / total : 1;
+}
+
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const topK = options['top-k'];
+  const random = createRandom(options.seed);
+  const gaussian = createGaussian(random);
+  const centres = Array.from({ length: Math.max(1, Math.round(Math.sqrt(options.size) / 2)) }, () =>
+    Array.from({ length: options.dimension }, gaussian));
+
+  console.log(`Generating ${options.size} vectors of ${options.dimension} dimensions and ${options.queries} queries...`);
+  const store = generateVectors(options.size, centres, options.noise, random).map((vector, id) => ({
+    vector,
+    metadata: { id, type: random() < DOCUMENT_SHARE ? 'document' : 'field' }
+  }));
+  const queries = generateVectors(options.queries, centres, options.noise, random);
+
+  let start = performance.now();
+  const index = new VectorIndex(options.dimension, { probes: options.probes, filterKeys: ['type'] });
+  store.forEach(entry => index.add(entry.vector, entry.metadata));
+  const addTime = performance.now() - start;
+  start = performance.now();
+  index.train({ lists: options.lists, seed: options.seed });
+  const trainTime = performance.now() - start;
+  console.log(`Index: added in ${addTime.toFixed(0)} ms, trained ${index.lists.length} lists in ${trainTime.toFixed(0)} ms\n`);
+
+  const documentCount = store.filter(entry => entry.metadata.type === 'document').length;
+  const runs = [
+    {
+      name: `top-${topK}`,
+      bruteForce: query => findSimilarVectors(query, store, topK),
+      exact: query => index.search(query, topK, { exact: true }),
+      approximate: query => index.search(query, topK)
+    },
+    {
+      name: `top-${topK} documents`,
+      // Filtering the whole store on every query, as the brute-force path does
+      bruteForce: query => findSimilarVectors(query, store.filter(entry => entry.metadata.type === 'document'), topK),
+      exact: query => index.search(query, topK, { exact: true, filter: { type: 'document' } }),
+      approximate: query => index.search(query, topK, { filter: { type: 'document' } })
+    }
+  ];
+
+  console.log(`${documentCount} of ${store.length} vectors are documents\n`);
+  runs.forEach(run => {
+    const bruteForce = timeQueries(queries, run.bruteForce);
+    console.log(`${run.name}:`);
+    console.log(`  ${'brute force'.padEnd(20)}${bruteForce.mean.toFixed(2)} ms mean, ${bruteForce.p95.toFixed(2)} ms p95`);
+    [['index, exact', run.exact], ['index, approximate', run.approximate]].forEach(([name, search]) => {
+      const timed = timeQueries(queries, search);
+      console.log(`  ${name.padEnd(20)}${timed.mean.toFixed(2)} ms mean, ${timed.p95.toFixed(2)} ms p95, recall ${recall(bruteForce.results, timed.results).toFixed(3)}`);
+    });
+  });
+}
+
+main();
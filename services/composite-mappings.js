@@ -0,0 +1,566 @@
+const { splitWords } = require('../utils/naming');
+const { cosineSimilarity } = require('../utils/vector-utils');
+const { checkCompatibility } = require('./type-compatibility');
+
+/**
+ * Composite mappings: rows whose target value is not a plain copy of one source field.
+ * A row carries an `expression`:
+ * - concat: `{ kind: 'concat', sources: [...], separator }` joins several source fields
+ *   (the row's sourceField is the first of them)
+ * - split: `{ kind: 'split', separator, index, rest }` takes one part of the source value,
+ *   or with `rest` the remaining parts joined again
+ * - constant: `{ kind: 'constant', value }` writes a fixed value; the row has no sourceField
+ * - default: `{ kind: 'default', value }` copies the source and falls back to the value
+ * - flatten / nest: `{ kind: 'flatten' }`, `{ kind: 'nest' }` copy a value between a nested
+ *   and a flat shape (`address.city` <-> `addressCity`); they only document why the pair matched
+ */
+
+const EXPRESSION_KINDS = ['concat', 'split', 'constant', 'default', 'flatten', 'nest'];
+// Kinds that copy the value unchanged, so they stand for the same pair as a plain row
+const PLAIN_COPY_KINDS = ['flatten', 'nest'];
+
+// Values whose parts live in separate fields on the other side. Parts are recognized by the
+// words of the field name (or by type when `byType`), the whole by its subject words.
+const COMPOSITES = [
+  {
+    name: 'name',
+    separator: ' ',
+    subject: ['name'],
+    parts: [
+      { role: 'first', words: ['first', 'given', 'fore', 'forename'] },
+      { role: 'middle', words: ['middle'] },
+      { role: 'last', words: ['last', 'family', 'surname', 'sur'] }
+    ],
+    required: ['first', 'last']
+  },
+  {
+    name: 'date-time',
+    separator: 'T',
+    byType: true,
+    wholeType: 'date-time',
+    subject: ['date', 'time', 'datetime', 'timestamp', 'at', 'on'],
+    parts: [
+      { role: 'date', type: 'date' },
+      { role: 'time', type: 'time' }
+    ],
+    required: ['date', 'time']
+  }
+];
+
+// Qualifiers that say nothing about which value is meant (`fullName` is just the name)
+const GENERIC_WORDS = new Set(['full', 'complete', 'whole', 'display', 'combined']);
+
+// Default values that are database expressions rather than literals
+const EXPRESSION_DEFAULT = /^(current_\w+|now|sysdate|getdate|localtimestamp)\b|\(.*\)$/i;
+
+const leafName = fieldPath => fieldPath.replace(/\[\d*\]/g, '').split('.').pop();
+const parentPath = fieldPath => (fieldPath.includes('.') ? fieldPath.slice(0, fieldPath.lastIndexOf('.')) : '');
+const arrayDepth = fieldPath => (fieldPath.match(/\[/g) || []).length;
+const isScalar = field => field.type !== 'array' && field.type !== 'object';
+const sameWords = (a, b) => a.length === b.length && a.every((word, i) => word === b[i]);
+
+/**
+ * Compare two name words up to their suffix: `ordered` and `order`, `creation` and `created`
+ * @param {string} a - Lower-case word
+ * @param {string} b - Lower-case word
+ * @returns {boolean} True when they share a stem
+ */
+function sameStem(a, b) {
+  let common = 0;
+  while (common < a.length && a[common] === b[common]) common++;
+  return a === b || common >= Math.max(4, Math.min(a.length, b.length) - 2);
+}
+
+/**
+ * List the source fields a mapping row reads
+ * @param {Object} row - Field mapping row
+ * @returns {string[]} Source field paths
+ */
+function expressionSources(row) {
+  const { expression } = row;
+  if (expression && expression.kind === 'concat') return expression.sources.slice();
+  if (expression && expression.kind === 'constant') return [];
+  return row.sourceField ? [row.sourceField] : [];
+}
+
+/**
+ * Check an expression from a mapping spec or an LLM suggestion
+ * @param {Object} expression - Row expression
+ * @returns {string|null} Error message, or null when the expression is usable
+ */
+function validateExpression(expression) {
+  if (!expression || typeof expression !== 'object' || !EXPRESSION_KINDS.includes(expression.kind)) {
+    return `has an unknown expression kind (use ${EXPRESSION_KINDS.join(', ')})`;
+  }
+  if (expression.kind === 'concat' &&
+      (!Array.isArray(expression.sources) || expression.sources.length < 2 || typeof expression.separator !== 'string')) {
+    return 'has a concat expression without two or more sources and a separator';
+  }
+  if (expression.kind === 'split' &&
+      (typeof expression.separator !== 'string' || !expression.separator || !Number.isInteger(expression.index) || expression.index < 0)) {
+    return 'has a split expression without a separator and a part index';
+  }
+  if ((expression.kind === 'constant' || expression.kind === 'default') && expression.value === undefined) {
+    return `has a ${expression.kind} expression without a value`;
+  }
+  return null;
+}
+
+/**
+ * Compute the target value of an expression
+ * @param {Object} expression - Row expression
+ * @param {Array} values - Source values: one per concat source, otherwise the single source value
+ * @returns {*} Target value, undefined when there is nothing to write
+ */
+function evaluateExpression(expression, values) {
+  const [value] = values;
+  const missing = part => part === undefined || part === null || part === '';
+
+  switch (expression.kind) {
+    case 'constant':
+      return expression.value;
+    case 'default':
+      return value === undefined || value === null ? expression.value : value;
+    case 'concat': {
+      const parts = values.filter(part => !missing(part));
+      return parts.length > 0 ? parts.map(String).join(expression.separator) : undefined;
+    }
+    case 'split': {
+      if (missing(value)) return undefined;
+      const parts = String(value).split(expression.separator).filter(part => part !== '');
+      if (expression.rest) {
+        return parts.length > expression.index ? parts.slice(expression.index).join(expression.separator) : undefined;
+      }
+      return parts[expression.index];
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Describe the source side of a row for terminal output
+ * @param {Object} row - Field mapping row
+ * @returns {string} e.g. `concat(firstName, lastName, " ")`, `split(fullName, " ")[1..]`, `"EUR"`
+ */
+function describeExpression(row) {
+  const { expression } = row;
+  if (!expression) return String(row.sourceField);
+
+  switch (expression.kind) {
+    case 'constant':
+      return JSON.stringify(expression.value);
+    case 'default':
+      return `${row.sourceField} ?? ${JSON.stringify(expression.value)}`;
+    case 'concat':
+      return `concat(${expression.sources.join(', ')}, ${JSON.stringify(expression.separator)})`;
+    case 'split':
+      return `split(${row.sourceField}, ${JSON.stringify(expression.separator)})[${expression.index}${expression.rest ? '..' : ''}]`;
+    default:
+      return `${row.sourceField} (${expression.kind})`;
+  }
+}
+
+/**
+ * Turn a default, fixed or const value from a schema into the literal it stands for:
+ * SQL string literals lose their quotes, numbers and booleans get their type back, and
+ * database expressions such as `CURRENT_TIMESTAMP` are not literals at all
+ * @param {*} value - Constraint value
+ * @param {string} type - Field type
+ * @returns {*} Literal value, undefined when there is none
+ */
+function literalValue(value, type) {
+  if (value === undefined || value === null || typeof value === 'object') return undefined;
+  if (typeof value !== 'string') return value;
+
+  const quoted = value.match(/^'([\s\S]*)'$/);
+  if (quoted) return quoted[1].replace(/''/g, "'");
+  if (EXPRESSION_DEFAULT.test(value.trim())) return undefined;
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  return value;
+}
+
+/**
+ * Mean similarity between one field and several others, 0 when vectors are missing
+ * @param {Object} field - Embedded field
+ * @param {Object[]} others - Embedded fields
+ * @returns {number} Mean cosine similarity
+ */
+function meanSimilarity(field, others) {
+  if (!field.vector || others.some(other => !other.vector)) return 0;
+  return others.reduce((sum, other) => sum + cosineSimilarity(field.vector, other.vector), 0) / others.length;
+}
+
+/**
+ * Read a field as a part of a composite value
+ * @param {Object} field - Embedded field
+ * @param {Object} composite - Entry of COMPOSITES
+ * @returns {{role: string, qualifier: string[]}|null} Part role and the remaining name words
+ */
+function readPart(field, composite) {
+  if (!isScalar(field)) return null;
+  const words = splitWords(leafName(field.field));
+
+  if (composite.byType) {
+    const part = composite.parts.find(candidate => candidate.type === field.type);
+    return part ? { role: part.role, qualifier: words.filter(word => !composite.subject.includes(word)) } : null;
+  }
+  if (field.type !== 'string') return null;
+  const part = composite.parts.find(candidate => words.some(word => candidate.words.includes(word)));
+  if (!part) return null;
+  return {
+    role: part.role,
+    qualifier: words.filter(word => !part.words.includes(word) && !composite.subject.includes(word))
+  };
+}
+
+/**
+ * Read a field as the whole of a composite value
+ * @param {Object} field - Embedded field
+ * @param {Object} composite - Entry of COMPOSITES
+ * @returns {{qualifier: string[]}|null} Remaining name words, or null when the field is not a whole
+ */
+function readWhole(field, composite) {
+  if (!isScalar(field)) return null;
+  const words = splitWords(leafName(field.field));
+
+  if (composite.byType) {
+    return field.type === composite.wholeType
+      ? { qualifier: words.filter(word => !composite.subject.includes(word) && !GENERIC_WORDS.has(word)) }
+      : null;
+  }
+  if (field.type !== 'string' || !composite.subject.every(word => words.includes(word))) return null;
+  if (composite.parts.some(part => words.some(word => part.words.includes(word)))) return null;
+  return { qualifier: words.filter(word => !composite.subject.includes(word) && !GENERIC_WORDS.has(word)) };
+}
+
+/**
+ * Group sibling fields that hold the parts of a composite value (`firstName`, `lastName`)
+ * @param {Object[]} fields - Embedded fields
+ * @param {Object} composite - Entry of COMPOSITES
+ * @returns {Array<{parent: string, qualifier: string[], parts: Array<{role: string, field: Object}>}>} Complete groups
+ */
+function findPartGroups(fields, composite) {
+  const groups = new Map();
+
+  fields.forEach(field => {
+    const part = readPart(field, composite);
+    if (!part) return;
+    const qualifier = part.qualifier.filter(word => !GENERIC_WORDS.has(word));
+    const key = `${parentPath(field.field)}\u0000${qualifier.join(' ')}`;
+    if (!groups.has(key)) {
+      groups.set(key, { parent: parentPath(field.field), qualifier, parts: [] });
+    }
+    const group = groups.get(key);
+    if (!group.parts.some(existing => existing.role === part.role)) {
+      group.parts.push({ role: part.role, field });
+    }
+  });
+
+  const order = composite.parts.map(part => part.role);
+  return Array.from(groups.values())
+    .filter(group => composite.required.every(role => group.parts.some(part => part.role === role)))
+    .map(group => ({ ...group, parts: group.parts.sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role)) }));
+}
+
+/**
+ * Whether a whole and a group of parts can stand for the same value: their qualifiers
+ * agree (`billingName` and `billingFirstName`) or one of them has none
+ * @param {string[]} wholeQualifier - Qualifier words of the whole
+ * @param {string[]} groupQualifier - Qualifier words of the part group
+ * @returns {boolean} True when they match
+ */
+function qualifiersMatch(wholeQualifier, groupQualifier) {
+  return wholeQualifier.length === 0 || groupQualifier.length === 0 ||
+    (wholeQualifier.length === groupQualifier.length && wholeQualifier.every((word, i) => sameStem(word, groupQualifier[i])));
+}
+
+/**
+ * Find the many-to-one and one-to-many pairs of a composite value: parts on one side and the
+ * whole on the other. A whole that also exists on its own side is left to the plain mapping.
+ * @param {Object[]} wholes - Fields that may hold the whole value
+ * @param {Object[]} others - Fields on the other side
+ * @param {Object} composite - Entry of COMPOSITES
+ * @param {number} minConfidence - Lowest mean similarity to accept
+ * @returns {Array<{whole: Object, group: Object, confidence: number}>} Matches
+ */
+function matchComposite(wholes, others, composite, minConfidence) {
+  const groups = findPartGroups(others, composite);
+  const otherWholes = others.map(field => readWhole(field, composite)).filter(Boolean);
+  const matches = [];
+
+  wholes.forEach(field => {
+    const whole = readWhole(field, composite);
+    if (!whole || otherWholes.some(other => qualifiersMatch(whole.qualifier, other.qualifier))) return;
+
+    const best = groups
+      .filter(group => qualifiersMatch(whole.qualifier, group.qualifier) && arrayDepth(group.parent) === arrayDepth(field.field))
+      .map(group => ({ whole: field, group, confidence: meanSimilarity(field, group.parts.map(part => part.field)) }))
+      .sort((a, b) => b.confidence - a.confidence)[0];
+    if (best && best.confidence >= minConfidence) {
+      matches.push(best);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find flattened and nested copies: `customer.address.city` and `customerAddressCity` name the
+ * same value once the parent's name is read as part of the field name
+ * @param {Object[]} sourceFields - Embedded source fields
+ * @param {Object[]} targetFields - Embedded target fields
+ * @returns {Object[]} One group per target field
+ */
+function detectStructuralCopies(sourceFields, targetFields) {
+  const qualifiedWords = fieldPath => {
+    const parent = parentPath(fieldPath);
+    return [...(parent ? splitWords(leafName(parent)) : []), ...splitWords(leafName(fieldPath))];
+  };
+  const groups = [];
+
+  targetFields.filter(isScalar).forEach(targetField => {
+    const targetWords = splitWords(leafName(targetField.field));
+    const targetQualified = qualifiedWords(targetField.field);
+
+    const candidates = sourceFields
+      .filter(sourceField => isScalar(sourceField) && arrayDepth(sourceField.field) === arrayDepth(targetField.field))
+      .map(sourceField => {
+        const sourceWords = splitWords(leafName(sourceField.field));
+        let kind = null;
+        if (targetWords.length > 1 && parentPath(sourceField.field) && sameWords(qualifiedWords(sourceField.field), targetWords)) {
+          kind = 'flatten';
+        } else if (sourceWords.length > 1 && parentPath(targetField.field) && sameWords(targetQualified, sourceWords)) {
+          kind = 'nest';
+        }
+        return { sourceField, kind };
+      })
+      .filter(({ sourceField, kind }) => kind &&
+        (!sourceField.type || !targetField.type || checkCompatibility(sourceField, targetField).verdict !== 'incompatible'))
+      .map(candidate => ({ ...candidate, confidence: meanSimilarity(candidate.sourceField, [targetField]) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (candidates.length > 0) {
+      const { sourceField, kind, confidence } = candidates[0];
+      groups.push({
+        kind,
+        rows: [compositeRow(sourceField.field, targetField.field, confidence, { kind })]
+      });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Find target fields with a fixed value (a `const`/`fixed` value or an enum of one) or a default
+ * @param {Object[]} targetFields - Embedded target fields
+ * @returns {Object[]} Constant and default groups
+ */
+function detectTargetValues(targetFields) {
+  const groups = [];
+
+  targetFields.filter(isScalar).forEach(field => {
+    const constraints = (field.definition && field.definition.constraints) || {};
+    const enumValues = Array.isArray(constraints.enum) ? constraints.enum : [];
+    const fixed = literalValue(
+      constraints.const !== undefined ? constraints.const : (constraints.fixed !== undefined ? constraints.fixed : (enumValues.length === 1 ? enumValues[0] : undefined)),
+      field.type
+    );
+    const defaultValue = literalValue(constraints.default, field.type);
+
+    if (fixed !== undefined) {
+      groups.push({ kind: 'constant', rows: [compositeRow(null, field.field, 1, { kind: 'constant', value: fixed })] });
+    } else if (defaultValue !== undefined) {
+      groups.push({ kind: 'default', rows: [compositeRow(null, field.field, 1, { kind: 'default', value: defaultValue })] });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Build an automatic row with an expression
+ * @param {string|null} sourceField - Source field (the first one for concat)
+ * @param {string} targetField - Target field
+ * @param {number} confidence - Confidence of the suggestion
+ * @param {Object} expression - Row expression
+ * @returns {Object} Field mapping row
+ */
+function compositeRow(sourceField, targetField, confidence, expression) {
+  return { sourceField, targetField, confidence, status: 'auto', expression, targetMatches: [] };
+}
+
+/**
+ * Detect structural transformations between two sets of embedded fields: parts that are
+ * concatenated into one field (`firstName` + `lastName` -> `fullName`), one field split into
+ * parts (`fullName` -> `name.first`, `name.last`), flattened or nested copies, and target
+ * fields with a constant or default value. Name heuristics find the candidates; the field
+ * vectors decide between them and give the confidence.
+ * @param {Object[]} sourceFields - Embedded source fields ({field, type, definition, vector})
+ * @param {Object[]} targetFields - Embedded target fields
+ * @param {Object} options - minConfidence for concat and split suggestions
+ * @returns {Array<{kind: string, rows: Object[]}>} Suggested groups of rows
+ */
+function detectCompositeMappings(sourceFields, targetFields, options = {}) {
+  const minConfidence = options.minConfidence || 0;
+  const groups = [];
+
+  COMPOSITES.forEach(composite => {
+    matchComposite(targetFields, sourceFields, composite, minConfidence).forEach(({ whole, group, confidence }) => {
+      const sources = group.parts.map(part => part.field.field);
+      groups.push({
+        kind: 'concat',
+        rows: [compositeRow(sources[0], whole.field, confidence, { kind: 'concat', sources, separator: composite.separator })]
+      });
+    });
+
+    matchComposite(sourceFields, targetFields, composite, minConfidence).forEach(({ whole, group, confidence }) => {
+      groups.push({
+        kind: 'split',
+        rows: group.parts.map((part, index) => {
+          const expression = { kind: 'split', separator: composite.separator, index };
+          // The last part takes whatever is left (`Maria de la Cruz` -> `de la Cruz`)
+          if (index === group.parts.length - 1) expression.rest = true;
+          return compositeRow(whole.field, part.field.field, confidence, expression);
+        })
+      });
+    });
+  });
+
+  return [...groups, ...detectStructuralCopies(sourceFields, targetFields), ...detectTargetValues(targetFields)];
+}
+
+/**
+ * Turn a composite suggestion from the LLM into a group of rows, checking that every field exists
+ * @param {Object} suggestion - `{kind, sources, source, target, targets, separator, value}`
+ * @param {Object[]} sourceFields - Embedded source fields
+ * @param {Object[]} targetFields - Embedded target fields
+ * @returns {Object|null} Group of rows, or null when the suggestion does not fit the fields
+ */
+function compositeFromSuggestion(suggestion, sourceFields, targetFields) {
+  if (!suggestion || typeof suggestion !== 'object') return null;
+  const sourceByPath = new Map(sourceFields.map(field => [field.field, field]));
+  const targetByPath = new Map(targetFields.map(field => [field.field, field]));
+  const separator = typeof suggestion.separator === 'string' && suggestion.separator ? suggestion.separator : ' ';
+  const notes = 'Suggested by the LLM';
+
+  if (suggestion.kind === 'concat') {
+    const sources = Array.isArray(suggestion.sources) ? suggestion.sources : [];
+    const target = targetByPath.get(suggestion.target);
+    if (!target || sources.length < 2 || !sources.every(source => sourceByPath.has(source))) return null;
+    const row = compositeRow(sources[0], target.field, meanSimilarity(target, sources.map(source => sourceByPath.get(source))),
+      { kind: 'concat', sources, separator });
+    return { kind: 'concat', rows: [{ ...row, notes }] };
+  }
+
+  if (suggestion.kind === 'split') {
+    const source = sourceByPath.get(suggestion.source);
+    const targets = Array.isArray(suggestion.targets) ? suggestion.targets : [];
+    if (!source || targets.length < 2 || !targets.every(target => targetByPath.has(target))) return null;
+    const confidence = meanSimilarity(source, targets.map(target => targetByPath.get(target)));
+    return {
+      kind: 'split',
+      rows: targets.map((target, index) => ({
+        ...compositeRow(source.field, target, confidence,
+          index === targets.length - 1 ? { kind: 'split', separator, index, rest: true } : { kind: 'split', separator, index }),
+        notes
+      }))
+    };
+  }
+
+  if (suggestion.kind === 'constant') {
+    const target = targetByPath.get(suggestion.target);
+    const value = literalValue(suggestion.value, target && target.type);
+    if (!target || value === undefined) return null;
+    return { kind: 'constant', rows: [{ ...compositeRow(null, target.field, 0, { kind: 'constant', value }), notes }] };
+  }
+
+  return null;
+}
+
+/**
+ * Merge suggested composite groups into the field mappings. Reviewed and declared rows always
+ * win: a group is dropped when one of its targets has such a row, or when the same kind of
+ * row for that target was rejected. Otherwise a group replaces the automatic one-to-one rows
+ * of its targets, and a concat or split also those of its sources, whose parts are now used.
+ * A default is attached to the automatic copy into its target, or becomes a constant when
+ * nothing is mapped there. A group that reads a source into a target of a forbidden pair is
+ * dropped as a whole.
+ * @param {Object[]} fieldMappings - Field mapping rows
+ * @param {Object[]} groups - Result of detectCompositeMappings
+ * @param {Array<{sourceField: string, targetField: string}>} forbiddenPairs - Pairs that must
+ *   never be mapped, e.g. from the glossary
+ * @returns {Object[]} New list of field mapping rows
+ */
+function applyCompositeMappings(fieldMappings, groups, forbiddenPairs = []) {
+  let rows = fieldMappings.slice();
+  const isDecided = row => row.status && row.status !== 'auto' && row.status !== 'rejected';
+  const isPlainAuto = row => row.status === 'auto' && !row.expression;
+  const forbidden = new Set(forbiddenPairs.map(pair => `${pair.sourceField}\u0000${pair.targetField}`));
+  const isForbidden = row => expressionSources(row).some(source => forbidden.has(`${source}\u0000${row.targetField}`));
+
+  groups.forEach(group => {
+    if (group.rows.some(isForbidden)) return;
+    const targets = new Set(group.rows.map(row => row.targetField));
+    const blocked = rows.some(row => targets.has(row.targetField) && (
+      isDecided(row) ||
+      (row.status === 'rejected' && row.expression && row.expression.kind === group.rows[0].expression.kind)
+    ));
+    if (blocked) return;
+
+    if (group.kind === 'default') {
+      const { targetField, expression } = group.rows[0];
+      const copy = rows.find(row => row.targetField === targetField && isPlainAuto(row));
+      if (copy) {
+        copy.expression = expression;
+      } else if (!rows.some(row => row.targetField === targetField && row.status !== 'rejected')) {
+        rows.push({ ...group.rows[0], expression: { kind: 'constant', value: expression.value } });
+      }
+      return;
+    }
+    if (rows.some(row => targets.has(row.targetField) && row.status === 'auto' && row.expression)) return;
+
+    const sources = new Set(group.rows.flatMap(expressionSources));
+    const consumes = group.kind === 'concat' || group.kind === 'split';
+    let at = -1;
+    rows = rows.filter((row, index) => {
+      const replaced = isPlainAuto(row) && sources.has(row.sourceField) &&
+        (consumes || !row.targetField || targets.has(row.targetField));
+      if (replaced && at === -1) at = index;
+      return !replaced;
+    });
+    // Other sources that pointed at these targets are left unmapped, unless another row uses them
+    const unset = new Set(rows.filter(row => isPlainAuto(row) && targets.has(row.targetField)));
+    const used = new Set(rows
+      .filter(row => !unset.has(row) && row.targetField && row.status !== 'rejected')
+      .concat(group.rows)
+      .flatMap(expressionSources));
+    rows = rows.filter(row => !unset.has(row) || !used.has(row.sourceField));
+    unset.forEach(row => {
+      row.targetField = null;
+      row.confidence = 0;
+    });
+    if (at === -1) {
+      const next = rows.findIndex(row => row.sourceField && row.sourceField === group.rows[0].sourceField);
+      at = next === -1 ? rows.length : next + 1;
+    }
+    rows.splice(at, 0, ...group.rows);
+  });
+
+  return rows;
+}
+
+module.exports = {
+  EXPRESSION_KINDS,
+  PLAIN_COPY_KINDS,
+  COMPOSITES,
+  expressionSources,
+  validateExpression,
+  evaluateExpression,
+  describeExpression,
+  detectCompositeMappings,
+  compositeFromSuggestion,
+  applyCompositeMappings
+};
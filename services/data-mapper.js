@@ -2,7 +2,67 @@ const fs = require('fs').promises;
 const path = require('path');
 const OllamaClient = require('./ollama-client');
 const NomicEmbedder = require('./nomic-embedder');
-const { findSimilarVectors } = require('../utils/vector-utils');
+const { solveAssignment } = require('../utils/assignment');
+const {
+  buildSchema,
+  buildSchemaFromDocuments,
+  splitReference,
+  selectReference,
+  parseYamlDocuments,
+  parseCSharp,
+  parseTypeScript,
+  parseSqlDdl,
+  parseProtobuf,
+  parseXml,
+  isXsd,
+  parseXsd,
+  readXmlRecord,
+  inferXmlSchema,
+  parseFieldList,
+  coerceRecord,
+  inferSchema,
+  parseNdjson
+} = require('./parsers');
+const { parseCsv } = require('../utils/csv');
+const { splitCollectionPath } = require('../utils/path-utils');
+const { flattenSchema, describeField, summarizeSchema, collectFieldTypes } = require('./schema-ir');
+const { fingerprint, getReviewedRows } = require('./mapping-spec');
+const { checkCompatibility } = require('./type-compatibility');
+const {
+  PLAIN_COPY_KINDS,
+  expressionSources,
+  describeExpression,
+  detectCompositeMappings,
+  compositeFromSuggestion,
+  applyCompositeMappings
+} = require('./composite-mappings');
+const {
+  createParentScorer,
+  blendParentScore,
+  createSiblingScorer,
+  blendSiblingScore,
+  collectEntityMappings
+} = require('./hierarchy-scoring');
+const { resolveScorer, scoreFieldPair } = require('./field-scorer');
+const { loadGlossary, describeGlossaryField, synonymsOf, glossaryContext } = require('./glossary');
+const { loadHistory, createHistoryScorer } = require('./mapping-history');
+const { VectorStore, FileVectorStore } = require('./vector-store');
+const { getGenerator } = require('./generators');
+const { postProcessCode, validateGeneratedCode } = require('./generators/validation');
+
+// Files that always hold sample records rather than a schema
+const SAMPLE_EXTENSIONS = ['.csv', '.ndjson', '.jsonl'];
+
+/**
+ * List the rejected rows of a mapping spec that rule out their pair: plain rows and flatten
+ * or nest rows, which are plain copies. A rejected composite only rules out that composite.
+ * @param {Object} spec - Mapping spec
+ * @returns {Object[]} Rejected rows with a source and a target
+ */
+function rejectedPlainRows(spec) {
+  return getReviewedRows(spec).filter(row => row.status === 'rejected' && row.sourceField && row.targetField &&
+    (!row.expression || PLAIN_COPY_KINDS.includes(row.expression.kind)));
+}
 
 class DataMapper {
   constructor(config = {}) {
@@ -11,48 +71,178 @@ class DataMapper {
       config.ollamaModel || 'llama3'
     );
     this.embedder = new NomicEmbedder(null, config.nomicModel || 'nomic-embed-text:latest');
-    this.vectorStore = [];
+    // Embedded documents and fields that enrich mappings and answer queries; in memory until
+    // a store file is opened with openVectorStore
+    this.vectorStore = config.vectorStore || new VectorStore({ model: this.embedder.model });
     this.initialized = false;
+    // Field assignment: 'greedy' picks each source field's best target independently,
+    // 'optimal' solves a one-to-one assignment over the full similarity matrix
+    this.assignmentMode = config.assignmentMode || 'greedy';
+    this.minConfidence = config.minConfidence || 0;
+    // Field scoring: 'leaf' compares fields on their own, 'hierarchy' blends in the
+    // similarity of their parent objects, see services/hierarchy-scoring
+    this.scoringMode = config.scoringMode || 'leaf';
+    // Pair scores: 'hybrid' weighs embedding, name and type similarity (scoreWeights override
+    // the defaults), 'embedding' only compares the embedded descriptions
+    this.scorer = config.scorer || 'hybrid';
+    this.scoreWeights = config.scoreWeights || {};
+    // Pairs that are always mapped, e.g. [{ sourceField: 'fullName', targetField: 'name.first' }]
+    this.declaredMappings = config.declaredMappings || [];
+    // Project glossary with synonyms, forced and forbidden pairs and field descriptions,
+    // see services/glossary and loadGlossary
+    this.glossary = config.glossary || null;
+    // Pairs approved in earlier runs, see services/mapping-history and loadHistory
+    this.history = config.history || null;
+    // Code generation: 'template' renders the code deterministically from the field mappings,
+    // 'llm' asks the model to write the whole file
+    this.codeGenerator = config.codeGenerator || 'template';
+    // Target language of the generated code, see services/generators
+    this.targetLanguage = config.targetLanguage || 'csharp';
+    // How often LLM-written code that fails validation is sent back with the errors
+    this.repairRounds = config.repairRounds !== undefined ? config.repairRounds : 2;
+    // Concat/split, flattened or nested copies and constant or default values next to the
+    // one-to-one field pairs, see services/composite-mappings
+    this.detectComposites = config.detectComposites !== false;
   }
 
   /**
    * Parse a data structure file and extract its structure and content
-   * @param {string} filePath - Path to the data structure file
-   * @returns {Object} Parsed data structure
+   * @param {string} reference - Path to the data structure file, optionally followed by
+   *   `#<pointer or entity name>` to select one entity (`spec.yaml#/components/schemas/Customer`)
+   * @returns {Object} Parsed data structure: filename, path (the file, without the fragment), fragment
+   *   (the selected entity or null), name, the parsed structure, its schema IR and the content
    */
-  async parseDataFile(filePath) {
+  async parseDataFile(reference) {
+    // `spec.yaml#/components/schemas/Customer` selects one entity of the file
+    const { filePath, fragment } = splitReference(reference);
     try {
       const content = await fs.readFile(filePath, 'utf-8');
       const fileExt = path.extname(filePath).toLowerCase();
       
+      let name = path.basename(filePath, fileExt);
+      
       // Determine file type and use appropriate parsing strategy
       let parsedStructure;
+      let schema = null;
       
-      if (fileExt === '.json') {
-        // Try to parse as JSON directly
+      if (SAMPLE_EXTENSIONS.includes(fileExt)) {
+        // Sample records: the schema is inferred from the values, no LLM involved
+        parsedStructure = this.readSampleRecords(content, fileExt);
+        schema = inferSchema(parsedStructure, { name, format: fileExt.slice(1) });
+      } else if (fileExt === '.json' || fileExt === '.avsc' || fileExt === '.avpr') {
+        // Try to parse as JSON directly; Avro schemas are JSON too
         try {
           parsedStructure = JSON.parse(content);
         } catch (jsonError) {
-          console.log('File has .json extension but is not valid JSON, using LLM to parse');
+          console.log(`File has ${fileExt} extension but is not valid JSON, using LLM to parse`);
           parsedStructure = await this.parseMixedContent(content);
         }
+      } else if (fileExt === '.yaml' || fileExt === '.yml') {
+        // YAML is parsed like JSON; a multi-document file keeps every document
+        let documents = null;
+        try {
+          documents = parseYamlDocuments(content);
+        } catch (yamlError) {
+          console.log(`File has ${fileExt} extension but is not valid YAML, using LLM to parse`);
+          parsedStructure = await this.parseMixedContent(content);
+        }
+        if (documents) {
+          parsedStructure = documents.length === 1 ? documents[0] : documents;
+          schema = buildSchemaFromDocuments(documents, name);
+        }
+      } else if (fileExt === '.cs' || fileExt === '.ts') {
+        // Classes and interfaces are read by a declaration parser, no LLM involved
+        schema = fileExt === '.cs' ? parseCSharp(content) : parseTypeScript(content);
+        parsedStructure = schema;
+      } else if (fileExt === '.sql') {
+        // CREATE TABLE scripts: one entity per table, foreign keys as relationships
+        schema = parseSqlDdl(content);
+        parsedStructure = schema;
+      } else if (fileExt === '.proto') {
+        // Protobuf messages are read like classes, one entity per top-level message
+        schema = parseProtobuf(content);
+        parsedStructure = schema;
+      } else if (fileExt === '.xsd' || fileExt === '.xml') {
+        // An XML Schema describes its elements; any other XML document is a sample record
+        parsedStructure = parseXml(content);
+        schema = isXsd(parsedStructure) ? parseXsd(parsedStructure) : inferXmlSchema(parsedStructure);
       } else {
         // For text files, markdown, or any other format, use the LLM to extract structure
         parsedStructure = await this.parseMixedContent(content);
       }
 
+      // Every input format ends up in the same schema IR, which is all later stages read
+      schema = schema || buildSchema(parsedStructure, name);
+      if (flattenSchema(schema).length === 0) {
+        schema = parseFieldList(this.extractFieldsFromText(content).fields, name);
+      }
+      if (fragment) {
+        schema = selectReference(schema, parsedStructure, fragment);
+        name = schema.entities[0].name;
+      }
+      schema.source = { file: filePath };
+
       return {
         filename: path.basename(filePath),
         path: filePath,
+        fragment: fragment || null,
+        name,
         structure: parsedStructure,
+        schema,
         content
       };
     } catch (error) {
-      console.error(`Error processing file ${filePath}:`, error);
+      console.error(`Error processing file ${reference}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Read the sample records of a CSV (with header row), NDJSON, YAML, XML or JSON file
+   * @param {string} content - File content
+   * @param {string} fileExt - File extension, e.g. `.csv`
+   * @returns {Object[]} Records
+   */
+  readSampleRecords(content, fileExt) {
+    if (fileExt === '.csv') {
+      return parseCsv(content).map(coerceRecord);
+    }
+    if (fileExt === '.ndjson' || fileExt === '.jsonl') {
+      return parseNdjson(content);
+    }
+    if (fileExt === '.yaml' || fileExt === '.yml') {
+      return parseYamlDocuments(content).flatMap(document => (Array.isArray(document) ? document : [document]));
+    }
+    if (fileExt === '.xml') {
+      return [readXmlRecord(parseXml(content)).record];
+    }
+    const document = JSON.parse(content);
+    return Array.isArray(document) ? document : [document];
+  }
+
+  /**
+   * Infer one schema from the sample records of one or more files, merging the
+   * variants seen across all records
+   * @param {string[]} filePaths - CSV, NDJSON, YAML, XML or JSON sample files
+   * @param {string} name - Entity name (default: name of the first file)
+   * @returns {Object} Schema IR
+   */
+  async inferSchemaFromSamples(filePaths, name) {
+    const records = [];
+
+    for (const filePath of filePaths) {
+      const content = await fs.readFile(filePath, 'utf-8');
+      records.push(...this.readSampleRecords(content, path.extname(filePath).toLowerCase()));
+    }
+
+    const schema = inferSchema(records, {
+      name: name || path.basename(filePaths[0], path.extname(filePaths[0])),
+      format: 'inferred'
+    });
+    schema.source = { files: filePaths };
+    return schema;
+  }
+
   /**
    * Use LLM to parse and extract structure from mixed or descriptive content
    * @param {string} content - The file content to parse
@@ -280,51 +470,63 @@ class DataMapper {
     };
   }
 
+  /**
+   * Load the project glossary that steers matching and is quoted in prompts
+   * @param {string} filePath - Glossary file (.yaml, .yml or .json)
+   * @returns {Object} Loaded glossary
+   */
+  async loadGlossary(filePath) {
+    this.glossary = await loadGlossary(filePath);
+    return this.glossary;
+  }
+
+  /**
+   * Load the mapping history whose approved pairs boost or propose matches
+   * @param {string} filePath - History file; a missing file starts an empty history
+   * @returns {Object} Loaded history
+   */
+  async loadHistory(filePath) {
+    this.history = await loadHistory(filePath, { model: this.embedder.model });
+    return this.history;
+  }
+
+  /**
+   * Open a vector store file and use it instead of the in-memory store
+   * @param {string} filePath - Store file; a missing file starts an empty store
+   * @param {Object} options - rebuild: ignore the saved entries, e.g. to switch embedding models
+   * @returns {FileVectorStore} Opened store
+   */
+  async openVectorStore(filePath, options = {}) {
+    this.vectorStore = await FileVectorStore.open(filePath, { ...options, model: this.embedder.model });
+    this.initialized = true;
+    return this.vectorStore;
+  }
+
+  /**
+   * Describe a field for embedding: its path, the glossary description, the IR description
+   * with type and constraints, and the glossary synonyms of the terms in its path
+   * @param {Object} field - Flattened field from flattenSchema
+   * @returns {string} Field text
+   */
+  describeFieldForEmbedding(field) {
+    const glossaryDescription = describeGlossaryField(this.glossary, field.field);
+    const synonyms = synonymsOf(this.glossary, field.field);
+    return [
+      `${field.field}:`,
+      glossaryDescription,
+      describeField(field.definition),
+      synonyms.length > 0 ? `(also: ${synonyms.join(', ')})` : null
+    ].filter(Boolean).join(' ');
+  }
+
   /**
    * Embed a data structure for vector search
    * @param {Object} dataStructure - Parsed data structure
    * @returns {Object} Data structure with embeddings
    */
   async embedDataStructure(dataStructure) {
-    const fieldsToEmbed = [];
-    const fieldDescriptions = [];
-
-    // First try to extract fields from the structured schema
-    if (dataStructure.structure) {
-      // Handle JSON schema style objects
-      if (dataStructure.structure.schema) {
-        this.extractFieldsFromSchema(dataStructure.structure.schema, '', fieldsToEmbed, fieldDescriptions);
-      }
-      // Handle direct field lists
-      else if (dataStructure.structure.fields) {
-        dataStructure.structure.fields.forEach(field => {
-          if (field.field) {
-            fieldsToEmbed.push(field.field);
-            let description = field.description || '';
-            if (field.type) description += ` (${field.type})`;
-            fieldDescriptions.push(`${field.field}: ${description}`);
-          }
-        });
-      }
-      // Handle raw object structure
-      else {
-        this.extractFieldsFromObject(dataStructure.structure, '', fieldsToEmbed, fieldDescriptions);
-      }
-    }
-
-    // If no fields were found in the structure, try to extract from raw content
-    if (fieldsToEmbed.length === 0) {
-      const contentFields = this.extractFieldsFromText(dataStructure.content);
-      
-      if (contentFields.fields) {
-        contentFields.fields.forEach(field => {
-          if (field.field) {
-            fieldsToEmbed.push(field.field);
-            fieldDescriptions.push(`${field.field}: ${field.description}`);
-          }
-        });
-      }
-    }
+    const fields = flattenSchema(dataStructure.schema);
+    const fieldDescriptions = fields.map(field => this.describeFieldForEmbedding(field));
 
     // Add the raw content as well for full-text embedding
     fieldDescriptions.push(dataStructure.content);
@@ -335,102 +537,39 @@ class DataMapper {
     const embeddedStructure = {
       ...dataStructure,
       embeddings: {
-        fields: fieldsToEmbed.map((field, i) => ({
-          field,
+        fields: fields.map((field, i) => ({
+          field: field.field,
+          type: field.type,
+          elementType: field.elementType,
+          definition: field.definition,
           vector: embeddings[i]
         })),
         fullContent: embeddings[embeddings.length - 1]
       }
     };
 
-    // Add to vector store
-    this.vectorStore.push({
-      vector: embeddedStructure.embeddings.fullContent,
-      metadata: {
-        type: 'document',
-        filename: embeddedStructure.filename,
-        path: embeddedStructure.path
-      }
-    });
-
-    embeddedStructure.embeddings.fields.forEach((field, i) => {
-      this.vectorStore.push({
-        vector: field.vector,
-        metadata: {
-          type: 'field',
-          field: field.field,
-          filename: embeddedStructure.filename,
-          path: embeddedStructure.path
-        }
-      });
-    });
-
     return embeddedStructure;
   }
 
   /**
-   * Recursively extract fields from a schema object
-   * @param {Object} schema - Schema object
-   * @param {string} prefix - Field prefix for nested fields
-   * @param {Array} fieldsToEmbed - Array to collect field names
-   * @param {Array} fieldDescriptions - Array to collect field descriptions
+   * Turn an embedded data structure into vector store entries: one for the whole document
+   * and one per field
+   * @param {Object} embeddedStructure - Result of embedDataStructure
+   * @returns {Array<{vector: number[], metadata: Object}>} Store entries
    */
-  extractFieldsFromSchema(schema, prefix, fieldsToEmbed, fieldDescriptions) {
-    if (!schema || typeof schema !== 'object') return;
-    
-    Object.entries(schema).forEach(([key, value]) => {
-      const fieldName = prefix ? `${prefix}.${key}` : key;
-      
-      if (value && typeof value === 'object') {
-        // Check if it's a property definition with type
-        if (value.type) {
-          fieldsToEmbed.push(fieldName);
-          const description = value.description || '';
-          fieldDescriptions.push(`${fieldName}: ${description} (${value.type})`);
-        } 
-        // Check if it's an array
-        else if (Array.isArray(value)) {
-          fieldsToEmbed.push(fieldName);
-          fieldDescriptions.push(`${fieldName}: Array of items`);
-          
-          // If array has objects, process the first one as an example
-          if (value.length > 0 && typeof value[0] === 'object') {
-            this.extractFieldsFromSchema(value[0], `${fieldName}[0]`, fieldsToEmbed, fieldDescriptions);
-          }
-        } 
-        // Recursively process nested objects
-        else {
-          this.extractFieldsFromSchema(value, fieldName, fieldsToEmbed, fieldDescriptions);
-        }
-      } else {
-        fieldsToEmbed.push(fieldName);
-        fieldDescriptions.push(`${fieldName}: ${value}`);
-      }
-    });
-  }
-
-  /**
-   * Recursively extract fields from any object
-   * @param {Object} obj - Object to extract fields from
-   * @param {string} prefix - Field prefix for nested fields
-   * @param {Array} fieldsToEmbed - Array to collect field names
-   * @param {Array} fieldDescriptions - Array to collect field descriptions
-   */
-  extractFieldsFromObject(obj, prefix, fieldsToEmbed, fieldDescriptions) {
-    if (!obj || typeof obj !== 'object') return;
-    
-    Object.entries(obj).forEach(([key, value]) => {
-      const fieldName = prefix ? `${prefix}.${key}` : key;
-      
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        // Recursively process nested objects
-        this.extractFieldsFromObject(value, fieldName, fieldsToEmbed, fieldDescriptions);
-      } else {
-        fieldsToEmbed.push(fieldName);
-        const valueDesc = Array.isArray(value) ? 'Array' : value;
-        fieldDescriptions.push(`${fieldName}: ${valueDesc}`);
-      }
-    });
+  toVectorStoreEntries(embeddedStructure) {
+    const metadata = {
+      filename: embeddedStructure.filename,
+      path: embeddedStructure.path,
+      ...(embeddedStructure.fragment ? { fragment: embeddedStructure.fragment } : {})
+    };
+    return [
+      { vector: embeddedStructure.embeddings.fullContent, metadata: { type: 'document', ...metadata } },
+      ...embeddedStructure.embeddings.fields.map(field => ({
+        vector: field.vector,
+        metadata: { type: 'field', field: field.field, ...metadata }
+      }))
+    ];
   }
 
   /**
@@ -444,6 +583,7 @@ class DataMapper {
       try {
         const structure = await this.parseDataFile(filePath);
         const embeddedStructure = await this.embedDataStructure(structure);
+        this.vectorStore.setFile(filePath, this.toVectorStoreEntries(embeddedStructure));
         structures.push(embeddedStructure);
       } catch (error) {
         console.error(`Error processing ${filePath}:`, error);
@@ -454,13 +594,31 @@ class DataMapper {
     return structures;
   }
 
+  /**
+   * Index the files of a directory in the vector store: only new and changed files are
+   * embedded, and files that are no longer listed are removed
+   * @param {string[]} filePaths - Every file the store should hold
+   * @returns {Object} File paths by outcome (added, changed, unchanged, removed, failed)
+   */
+  async indexDataFiles(filePaths) {
+    const summary = await this.vectorStore.sync(filePaths, async filePath =>
+      this.toVectorStoreEntries(await this.embedDataStructure(await this.parseDataFile(filePath))));
+    this.initialized = true;
+    return summary;
+  }
+
   /**
    * Map fields between source and target based on semantic similarity
    * @param {string} sourcePath - Path to source data structure
    * @param {string} targetPath - Path to target data structure
-   * @returns {Object} Mapping between source and target fields
+   * @param {Object} options - Overrides for assignmentMode, scoringMode, scorer, scoreWeights,
+   *   minConfidence, declaredMappings and detectComposites, plus a previousSpec whose reviewed rows are kept,
+   *   suggestComposites to ask the LLM for further composite mappings and generateCode: false
+   *   to skip code generation
+   * @returns {Object} Mapping between source and target fields, with the entity-level
+   *   correspondences derived from them
    */
-  async mapDataStructures(sourcePath, targetPath) {
+  async mapDataStructures(sourcePath, targetPath, options = {}) {
     if (!this.initialized) {
       throw new Error('DataMapper not initialized. Call loadDataFiles first.');
     }
@@ -473,18 +631,18 @@ class DataMapper {
     let targetEnrichment = null;
     let vectorKnowledgeContext = '';
     
-    if (this.vectorStore.length > 0) {
+    if (this.vectorStore.size > 0) {
       console.log('Enriching mapping with knowledge from vector database...');
       
       // Extract knowledge related to source structure
       sourceEnrichment = await this.extractKnowledgeFromVectorDB(
-        sourceStructure.content + ' ' + JSON.stringify(sourceStructure.structure),
+        sourceStructure.content + ' ' + summarizeSchema(sourceStructure.schema),
         3
       );
       
       // Extract knowledge related to target structure
       targetEnrichment = await this.extractKnowledgeFromVectorDB(
-        targetStructure.content + ' ' + JSON.stringify(targetStructure.structure),
+        targetStructure.content + ' ' + summarizeSchema(targetStructure.schema),
         3
       );
       
@@ -508,68 +666,732 @@ class DataMapper {
     const sourceEmbedded = await this.embedDataStructure(sourceStructure);
     const targetEmbedded = await this.embedDataStructure(targetStructure);
 
-    const mappings = [];
+    if (options.previousSpec) {
+      // A spec without fingerprints counts as changed
+      const { source, target } = options.previousSpec;
+      if (!source || source.fingerprint !== fingerprint(sourceStructure.content) ||
+          !target || target.fingerprint !== fingerprint(targetStructure.content)) {
+        console.log('Source or target changed since the mapping spec was saved; reviewed rows are kept where their fields still exist');
+      }
+    }
 
-    // Map each source field to the most similar target field
-    for (const sourceField of sourceEmbedded.embeddings.fields) {
-      const similarTargets = findSimilarVectors(
-        sourceField.vector,
-        targetEmbedded.embeddings.fields.map(field => ({ 
-          vector: field.vector, 
-          metadata: field
-        })),
-        3 // Get top 3 matches
+    const assignment = options.previousSpec
+      ? this.assignWithReviewedRows(
+        sourceEmbedded.embeddings.fields,
+        targetEmbedded.embeddings.fields,
+        options.previousSpec,
+        options
+      )
+      : this.assignFieldMappings(
+        sourceEmbedded.embeddings.fields,
+        targetEmbedded.embeddings.fields,
+        options
       );
 
-      mappings.push({
-        sourceField: sourceField.field,
-        targetMatches: similarTargets.map(match => ({
-          targetField: match.metadata.field,
-          confidence: match.similarity
-        }))
+    const detectComposites = options.detectComposites !== undefined ? options.detectComposites : this.detectComposites;
+    if (detectComposites || options.suggestComposites) {
+      const sourceFields = sourceEmbedded.embeddings.fields;
+      const targetFields = targetEmbedded.embeddings.fields;
+      let fieldMappings = assignment.fieldMappings;
+      // Composites must not bring back the pairs the assignment was kept from
+      const forbiddenPairs = [
+        ...(options.forbiddenPairs || []),
+        ...(this.glossary ? this.glossary.forbidden.map(pair => ({ sourceField: pair.source, targetField: pair.target })) : []),
+        ...(options.previousSpec ? rejectedPlainRows(options.previousSpec) : [])
+      ];
+
+      if (detectComposites) {
+        const minConfidence = options.minConfidence !== undefined ? options.minConfidence : this.minConfidence;
+        fieldMappings = applyCompositeMappings(
+          fieldMappings,
+          detectCompositeMappings(sourceFields, targetFields, { minConfidence }),
+          forbiddenPairs
+        );
+      }
+      if (options.suggestComposites) {
+        fieldMappings = applyCompositeMappings(
+          fieldMappings,
+          await this.suggestCompositeMappingsWithLlm(fieldMappings, sourceFields, targetFields),
+          forbiddenPairs
+        );
+      }
+
+      Object.assign(assignment, { fieldMappings }, this.collectUnmappedFields(
+        fieldMappings,
+        sourceFields.map(field => field.field),
+        targetFields.map(field => field.field)
+      ));
+    }
+
+    const mapping = {
+      sourceStructure,
+      targetStructure,
+      sourceFields: sourceEmbedded.embeddings.fields.map(field => field.field),
+      targetFields: targetEmbedded.embeddings.fields.map(field => field.field),
+      sourceEmbeddings: sourceEmbedded.embeddings.fields,
+      targetEmbeddings: targetEmbedded.embeddings.fields,
+      sourceFieldTypes: collectFieldTypes(sourceStructure.schema),
+      targetFieldTypes: collectFieldTypes(targetStructure.schema),
+      fieldMappings: this.annotateCompatibility(assignment.fieldMappings, sourceStructure.schema, targetStructure.schema),
+      unmappedSourceFields: assignment.unmappedSourceFields,
+      unmappedTargetFields: assignment.unmappedTargetFields,
+      entityMappings: collectEntityMappings(assignment.fieldMappings),
+      sourceEnrichment,
+      targetEnrichment,
+      vectorKnowledgeContext,
+      mappingCode: null,
+      codeValidation: null
+    };
+
+    // Code generation can be deferred, e.g. until the field mappings have been reviewed
+    if (options.generateCode !== false) {
+      const { code, validation } = await this.generateMappingCode(mapping, options);
+      mapping.mappingCode = code;
+      mapping.codeValidation = validation;
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Ask the LLM for composite mappings the heuristics missed: target fields built from several
+   * source fields, source fields split over several targets, and constant target values
+   * @param {Object[]} fieldMappings - Field mapping rows so far
+   * @param {Object[]} sourceFields - Embedded source fields
+   * @param {Object[]} targetFields - Embedded target fields
+   * @returns {Object[]} Groups of rows for applyCompositeMappings
+   */
+  async suggestCompositeMappingsWithLlm(fieldMappings, sourceFields, targetFields) {
+    const { unmappedSourceFields, unmappedTargetFields } = this.collectUnmappedFields(
+      fieldMappings,
+      sourceFields.map(field => field.field),
+      targetFields.map(field => field.field)
+    );
+    if (unmappedTargetFields.length === 0) {
+      return [];
+    }
+    const describe = field => `${field.field} (${field.elementType || field.type || 'string'})`;
+    const unmappedTargets = new Set(unmappedTargetFields);
+
+    const prompt = `Some target fields could not be mapped one-to-one from a source field.
+      
+      Source fields:
+      ${sourceFields.map(describe).join('\n      ')}
+      
+      Unmapped source fields: ${unmappedSourceFields.join(', ') || 'None'}
+      
+      Unmapped target fields:
+      ${targetFields.filter(field => unmappedTargets.has(field.field)).map(describe).join('\n      ')}
+      
+      Suggest only transformations you are confident about, as a JSON array of objects of these forms:
+      - {"kind": "concat", "sources": ["<source field>", "<source field>"], "target": "<target field>", "separator": " "}
+      - {"kind": "split", "source": "<source field>", "targets": ["<target field>", "<target field>"], "separator": " "}
+      - {"kind": "constant", "target": "<target field>", "value": "<fixed value>"}
+      
+      Use the field paths exactly as listed. Return only the JSON array.`;
+
+    try {
+      const response = await this.ollama.generate(prompt);
+      const jsonMatch = response.match(/\[[\s\S]*\]/);
+      const suggestions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+      return (Array.isArray(suggestions) ? suggestions : [])
+        .map(suggestion => compositeFromSuggestion(suggestion, sourceFields, targetFields))
+        .filter(group => group && group.rows.every(row => unmappedTargets.has(row.targetField)));
+    } catch (error) {
+      console.log('Could not get composite mapping suggestions from the LLM:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Annotate every mapped row with the source and target types, a compatibility verdict
+   * and the conversion the pair needs (see services/type-compatibility)
+   * @param {Object[]} fieldMappings - Field mapping rows (modified in place)
+   * @param {Object} sourceSchema - Source schema IR
+   * @param {Object} targetSchema - Target schema IR
+   * @returns {Object[]} The same rows
+   */
+  annotateCompatibility(fieldMappings, sourceSchema, targetSchema) {
+    const sourceFields = new Map(flattenSchema(sourceSchema).map(field => [field.field, field]));
+    const targetFields = new Map(flattenSchema(targetSchema).map(field => [field.field, field]));
+
+    fieldMappings.forEach(row => {
+      const sourceField = sourceFields.get(row.sourceField);
+      const targetField = targetFields.get(row.targetField);
+      // A joined value is a string whatever its parts are, and a constant has no source type
+      const composite = row.expression && (row.expression.kind === 'concat' || row.expression.kind === 'constant');
+      if (sourceField && targetField && !composite) {
+        row.compatibility = checkCompatibility(sourceField, targetField);
+      } else {
+        delete row.compatibility;
+      }
+    });
+    return fieldMappings;
+  }
+
+  /**
+   * Generate mapping code for a (possibly reviewed) mapping result and validate it
+   * @param {Object} mapping - Result of mapDataStructures
+   * @param {Object} options - targetLang (see services/generators), generator ('template' or 'llm'),
+   *   repairRounds for LLM-written code, llmAssist to let the LLM add comments and conversion
+   *   expressions, plus the template options namespace, sourceClassName, targetClassName,
+   *   mapperName and pythonStyle
+   * @returns {{code: string, validation: Object}} Generated code and its validation report
+   */
+  async generateMappingCode(mapping, options = {}) {
+    const generator = options.generator || this.codeGenerator;
+    const target = getGenerator(options.targetLang || this.targetLanguage);
+
+    if (generator === 'llm') {
+      const repairRounds = options.repairRounds !== undefined ? options.repairRounds : this.repairRounds;
+      return this.generateValidatedCodeWithLlm(mapping, target, repairRounds);
+    }
+    if (generator !== 'template') {
+      throw new Error(`Unknown code generator: ${generator}. Use "template" or "llm".`);
+    }
+
+    const generatorOptions = {
+      namespace: options.namespace,
+      sourceClassName: options.sourceClassName,
+      targetClassName: options.targetClassName,
+      mapperName: options.mapperName,
+      pythonStyle: options.pythonStyle
+    };
+
+    if (options.llmAssist) {
+      const additions = await this.suggestCodeAdditions(mapping, target);
+      const code = target.generate(mapping, { ...generatorOptions, ...additions });
+      const validation = validateGeneratedCode(code, mapping, target);
+
+      if (validation.passed) {
+        return { code, validation: { ...validation, generator, repairRounds: 0 } };
+      }
+      // Conversion expressions come from the LLM and can break the file; drop them rather than repair
+      console.log('The LLM additions do not validate, using the plain template output:', validation.errors.join('; '));
+    }
+
+    const code = target.generate(mapping, generatorOptions);
+    return { code, validation: { ...validateGeneratedCode(code, mapping, target), generator, repairRounds: 0 } };
+  }
+
+  /**
+   * Let the LLM write the mapping code, then strip it to the code blocks and validate it.
+   * Code that fails validation is sent back with the errors until it passes or the repair
+   * rounds are used up.
+   * @param {Object} mapping - Result of mapDataStructures
+   * @param {Object} target - Code generator describing the language to write
+   * @param {number} repairRounds - Maximum number of repair prompts
+   * @returns {{code: string, validation: Object}} Final code and its validation report
+   */
+  async generateValidatedCodeWithLlm(mapping, target, repairRounds) {
+    let code = postProcessCode(await this.generateMappingCodeWithLlm(mapping, target), target);
+    let validation = validateGeneratedCode(code, mapping, target);
+    let round = 0;
+
+    while (!validation.passed && round < repairRounds) {
+      round++;
+      console.log(`Generated code failed validation (${validation.errors.length} errors), repair round ${round} of ${repairRounds}`);
+      code = postProcessCode(await this.repairMappingCode(code, validation.errors, target), target);
+      validation = validateGeneratedCode(code, mapping, target);
+    }
+
+    return { code, validation: { ...validation, generator: 'llm', repairRounds: round } };
+  }
+
+  /**
+   * Ask the LLM to fix the validation errors in code it wrote
+   * @param {string} code - Code that failed validation
+   * @param {string[]} errors - Validation errors
+   * @param {Object} target - Code generator describing the language of the code
+   * @returns {string} Raw LLM response with the corrected code
+   */
+  async repairMappingCode(code, errors, target) {
+    const prompt = `The following ${target.llmTarget} failed validation.
+      
+      Errors:
+      ${errors.map(error => `- ${error}`).join('\n      ')}
+      
+      Code:
+      ${code}
+      
+      Fix every error listed above without removing any existing mapping.
+      Return only the complete corrected code in a single code block.`;
+
+    return this.ollama.generate(prompt);
+  }
+
+  /**
+   * Ask the LLM for a short explanation of the mapping and for conversion expressions for
+   * pairs whose types differ; everything else stays template-generated
+   * @param {Object} mapping - Result of mapDataStructures
+   * @param {Object} target - Code generator the additions are for
+   * @returns {{comment: string, conversions: Object<string, string>}} Additions for the template generator
+   */
+  async suggestCodeAdditions(mapping, target = getGenerator(this.targetLanguage)) {
+    const typeOf = (types, field) => String(types[field] || 'string').toLowerCase();
+    const activeMappings = mapping.fieldMappings.filter(map =>
+      map.targetField && map.status !== 'rejected' && (map.sourceField || map.expression));
+    // Concat, split and constant rows already have their expression
+    const conversionCandidates = activeMappings.filter(map =>
+      !(map.expression && ['concat', 'split', 'constant'].includes(map.expression.kind)) && (
+        typeOf(mapping.sourceFieldTypes, map.sourceField) !== typeOf(mapping.targetFieldTypes, map.targetField) ||
+        (map.compatibility && map.compatibility.conversion)
+      ));
+    const suggested = map => (map.compatibility && map.compatibility.conversion
+      ? `, suggested: ${map.compatibility.conversion.description}`
+      : '');
+
+    const prompt = `You are helping to document generated mapping code (${target.description}).
+      
+      Field Mappings:
+      ${activeMappings.map(map => `${describeExpression(map)} -> ${map.targetField}`).join('\n')}
+      
+      Mappings with different types (source type -> target type):
+      ${conversionCandidates.map(map => 
+        `${map.sourceField} (${typeOf(mapping.sourceFieldTypes, map.sourceField)}) -> ${map.targetField} (${typeOf(mapping.targetFieldTypes, map.targetField)}${suggested(map)})`
+      ).join('\n') || 'None'}
+      
+      ${glossaryContext(this.glossary, activeMappings.map(map => `${expressionSources(map).join(' ')} ${map.targetField}`).join('\n'))}
+      
+      Return only a JSON object with:
+      - "comment": two or three sentences explaining what the mapping does
+      - "conversions": an object whose keys are target fields from the list of different types and whose
+        values are ${target.conversionHint}`;
+
+    try {
+      const response = await this.ollama.generate(prompt);
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      const suggestion = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+      const allowedTargets = new Set(conversionCandidates.map(map => map.targetField));
+      const conversions = {};
+
+      Object.entries(suggestion.conversions || {}).forEach(([targetField, expression]) => {
+        if (allowedTargets.has(targetField) && typeof expression === 'string') {
+          conversions[targetField] = expression;
+        }
       });
+
+      return {
+        comment: typeof suggestion.comment === 'string' ? suggestion.comment : '',
+        conversions
+      };
+    } catch (error) {
+      console.log('Could not get code suggestions from the LLM, using the plain template output:', error.message);
+      return { comment: '', conversions: {} };
     }
+  }
+
+  /**
+   * Let the LLM write the complete mapping code
+   * @param {Object} mapping - Result of mapDataStructures
+   * @param {Object} target - Code generator describing the language to write
+   * @returns {string} Generated mapping code
+   */
+  async generateMappingCodeWithLlm(mapping, target = getGenerator(this.targetLanguage)) {
+    const { sourceStructure, targetStructure, vectorKnowledgeContext } = mapping;
 
     // Generate mapping description for prompt
-    const mappingDescription = mappings.map(mapping => 
-      `Source: ${mapping.sourceField} -> Target: ${mapping.targetMatches[0].targetField} (confidence: ${mapping.targetMatches[0].confidence.toFixed(2)})`
-    ).join('\n');
+    const mappingDescription = mapping.fieldMappings
+      .filter(map => map.targetField && map.status !== 'rejected')
+      .map(map => {
+        const isCollection = mapping.sourceFieldTypes[map.sourceField] === 'array' &&
+          mapping.targetFieldTypes[map.targetField] === 'array';
+        return isCollection
+          ? `Collection: ${map.sourceField}[] -> ${map.targetField}[] (confidence: ${map.confidence.toFixed(2)}); map each element with the mappings of its fields`
+          : `Source: ${describeExpression(map)} -> Target: ${map.targetField} (confidence: ${map.confidence.toFixed(2)})`;
+      }).join('\n');
 
-    // Modified prompt to include vector database knowledge and request C# code with AutoMapper
+    const unmappedDescription = mapping.unmappedTargetFields.length > 0
+      ? `Target fields without a source (leave unmapped or use defaults): ${mapping.unmappedTargetFields.join(', ')}`
+      : '';
+
+    // Modified prompt to include vector database knowledge and request code in the target language
     const prompt = `Based on the following mapping between source and target data structures, 
-      generate C# code using AutoMapper to transform data from the source format to the target format.
+      generate ${target.llmTarget} to transform data from the source format to the target format.
       
-      Field Mappings:
+      Field Mappings (a [0] segment stands for every element of a collection):
       ${mappingDescription}
+      ${unmappedDescription}
       
       Source structure:
-      ${JSON.stringify(sourceStructure.structure, null, 2)}
+      ${summarizeSchema(sourceStructure.schema)}
       
       Target structure:
-      ${JSON.stringify(targetStructure.structure, null, 2)}
+      ${summarizeSchema(targetStructure.schema)}
       
       ${vectorKnowledgeContext}
       
+      ${glossaryContext(this.glossary, `${summarizeSchema(sourceStructure.schema)}\n${summarizeSchema(targetStructure.schema)}`)}
+      
       Instructions:
-      1. Create C# classes for both the source and target structures
-      2. Define an AutoMapper profile class that configures the mappings
-      3. Include a sample implementation showing how to use the mapper
-      4. Add appropriate comments explaining the mapping logic
-      5. Handle nested objects and arrays properly
-      6. Include any necessary type conversions
-      7. Return the complete C# solution including necessary using statements
+      ${target.llmInstructions.map((instruction, index) => `${index + 1}. ${instruction}`).join('\n      ')}
       
-      The output should be complete, compilable C# code that someone could directly use in a .NET project.`;
+      The output should be complete, working code that someone could use directly.`;
+
+    return this.ollama.generate(prompt);
+  }
+
+  /**
+   * Assign target fields to source fields using the embedded field vectors. Collections are
+   * assigned before their elements, whose fields are matched within the assigned collection.
+   * The glossary adds its synonyms to the name scores and its forced and forbidden pairs.
+   * @param {Array<{field: string, vector: number[]}>} sourceFields - Embedded source fields
+   * @param {Array<{field: string, vector: number[]}>} targetFields - Embedded target fields
+   * @param {Object} options - Overrides for assignmentMode, scoringMode, scorer, scoreWeights,
+   *   minConfidence and declaredMappings, plus forbiddenPairs that must never be assigned
+   * @returns {Object} Field mappings plus the source and target fields left unmapped
+   */
+  assignFieldMappings(sourceFields, targetFields, options = {}) {
+    const mode = options.assignmentMode || this.assignmentMode;
+    const scoringMode = options.scoringMode || this.scoringMode;
+    const scorer = resolveScorer({
+      scorer: options.scorer || this.scorer,
+      weights: { ...this.scoreWeights, ...options.scoreWeights },
+      synonyms: this.glossary ? this.glossary.synonyms : []
+    });
+    const minConfidence = options.minConfidence !== undefined ? options.minConfidence : this.minConfidence;
+    const glossary = this.glossary || { synonyms: [], mappings: [], forbidden: [] };
+    const sourceNames = new Set(sourceFields.map(field => field.field));
+    const targetNames = new Set(targetFields.map(field => field.field));
+    const declaredMappings = options.declaredMappings || this.declaredMappings;
+    // Glossary pairs apply when both fields exist and nothing else is declared for the source
+    const glossaryMappings = glossary.mappings
+      .filter(pair => sourceNames.has(pair.source) && targetNames.has(pair.target) &&
+        !declaredMappings.some(declared => declared.sourceField === pair.source))
+      .map(pair => ({ sourceField: pair.source, targetField: pair.target, status: 'manual', origin: 'glossary', notes: 'From the glossary' }));
+    const forbiddenPairs = [
+      ...(options.forbiddenPairs || []),
+      ...glossary.forbidden.map(pair => ({ sourceField: pair.source, targetField: pair.target }))
+    ];
+
+    if (mode !== 'greedy' && mode !== 'optimal') {
+      throw new Error(`Unknown assignment mode: ${mode}. Use "greedy" or "optimal".`);
+    }
+    if (scoringMode !== 'leaf' && scoringMode !== 'hierarchy') {
+      throw new Error(`Unknown scoring mode: ${scoringMode}. Use "leaf" or "hierarchy".`);
+    }
+
+    // Every pair is scored with a breakdown per component, see services/field-scorer;
+    // pairs whose types do not convert well score lower than their names alone suggest.
+    // A pair close to one approved in an earlier run scores at least as high as that match.
+    const parentScore = scoringMode === 'hierarchy' ? createParentScorer(sourceFields, targetFields) : null;
+    const historyScore = this.history && options.useHistory !== false
+      ? createHistoryScorer(this.history, sourceFields, targetFields)
+      : null;
+    const scores = sourceFields.map((sourceField, i) => targetFields.map((targetField, j) => {
+      const pairScore = scoreFieldPair(sourceField, targetField, scorer);
+      const components = { ...pairScore.components };
+      let { score } = pairScore;
+      if (parentScore) {
+        components.parent = parentScore(sourceField.field, targetField.field);
+        score = blendParentScore(score, components.parent);
+      }
+      const remembered = historyScore && historyScore(i, j);
+      if (remembered) {
+        components.history = remembered.score;
+        if (remembered.score > score) {
+          return { score: remembered.score, components, history: remembered.pair };
+        }
+      }
+      return { score, components };
+    }));
+    const similarity = scores.map(row => row.map(pair => pair.score));
+
+    // Declared pairs are fixed up front and their fields are taken out of the automatic
+    // assignment, which is how one-to-many and many-to-one mappings are expressed.
+    // A declared pair without a targetField keeps the source field explicitly unmapped.
+    const sourceIndex = new Map(sourceFields.map((field, i) => [field.field, i]));
+    const targetIndex = new Map(targetFields.map((field, j) => [field.field, j]));
+    const declaredBySource = new Map();
+    const declaredTargets = new Set();
+    // Declared constants have no source field and are listed after the other rows
+    const declaredConstants = [];
+
+    [...declaredMappings, ...glossaryMappings].forEach(declared => {
+      const { sourceField, targetField } = declared;
+      if (!sourceField && declared.expression && declared.expression.kind === 'constant' && targetIndex.has(targetField)) {
+        declaredConstants.push(declared);
+        declaredTargets.add(targetField);
+        return;
+      }
+      if (!sourceIndex.has(sourceField) || (targetField && !targetIndex.has(targetField))) {
+        console.log(`Ignoring declared mapping ${sourceField} -> ${targetField}: field not found`);
+        return;
+      }
+      if (!declaredBySource.has(sourceField)) {
+        declaredBySource.set(sourceField, []);
+      }
+      declaredBySource.get(sourceField).push(declared);
+      if (targetField) {
+        declaredTargets.add(targetField);
+      }
+    });
 
-    const mappingCode = await this.ollama.generate(prompt);
+    const forbidden = new Set(forbiddenPairs.map(pair => `${pair.sourceField}\u0000${pair.targetField}`));
+    // A collection of objects is only matched to another collection of objects
+    const isObjectCollection = field => field.type === 'array' && field.elementType === 'object';
+    const isComparable = (i, j) => isObjectCollection(sourceFields[i]) === isObjectCollection(targetFields[j]);
+    const isForbidden = (i, j) => forbidden.has(`${sourceFields[i].field}\u0000${targetFields[j].field}`) || !isComparable(i, j);
+
+    // Collections are matched first; the fields of their elements are then only matched
+    // against the element fields of the target collection they were assigned to, starting
+    // with the fields outside any collection
+    const scopeSources = new Map();
+    const scopeTargets = new Map();
+    const addToScope = (scopes, field, index) => {
+      const { collection } = splitCollectionPath(field.field);
+      if (!scopes.has(collection)) {
+        scopes.set(collection, []);
+      }
+      scopes.get(collection).push(index);
+    };
+    sourceFields.forEach((field, i) => addToScope(scopeSources, field, i));
+    targetFields.forEach((field, j) => addToScope(scopeTargets, field, j));
+
+    // Chosen target index and top matches per source index
+    const chosen = new Map();
+    const topMatches = new Map();
+    const rankTargets = (i, candidates) => candidates
+      .filter(j => isComparable(i, j))
+      .map(j => ({
+        targetField: targetFields[j].field,
+        confidence: similarity[i][j],
+        components: scores[i][j].components,
+        ...(scores[i][j].history ? { origin: 'history' } : {})
+      }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, 3);
+    // Fields of collections that were not matched are ranked against every target field
+    const allTargets = targetFields.map((field, j) => j);
+
+    const assignScope = (sources, targets) => {
+      sources.forEach(i => {
+        if (!topMatches.has(i)) {
+          topMatches.set(i, rankTargets(i, targets));
+        }
+      });
+
+      const freeSources = sources.filter(i => !declaredBySource.has(sourceFields[i].field) && !chosen.has(i));
+      const taken = new Set(mode === 'optimal' ? chosen.values() : []);
+      const freeTargets = targets.filter(j => !declaredTargets.has(targetFields[j].field) && !taken.has(j));
+
+      const pick = weigh => {
+        if (mode === 'optimal') {
+          const assignment = solveAssignment(
+            freeSources.map(i => freeTargets.map(j => (isForbidden(i, j) ? -1e6 : weigh(i, j))))
+          );
+          assignment.forEach((col, row) => {
+            if (col !== -1 && !isForbidden(freeSources[row], freeTargets[col])) {
+              chosen.set(freeSources[row], freeTargets[col]);
+            }
+          });
+        } else {
+          freeSources.forEach(i => {
+            let best = -1;
+            freeTargets.forEach(j => {
+              if (!isForbidden(i, j) && (best === -1 || weigh(i, j) > weigh(i, best))) {
+                best = j;
+              }
+            });
+            if (best !== -1) {
+              chosen.set(i, best);
+            }
+          });
+        }
+      };
+
+      pick((i, j) => similarity[i][j]);
+      if (parentScore) {
+        // Assign again, preferring the target parent the field's siblings went to
+        const siblingScore = createSiblingScorer(freeSources
+          .filter(i => chosen.has(i) && similarity[i][chosen.get(i)] >= minConfidence)
+          .map(i => [sourceFields[i].field, targetFields[chosen.get(i)].field]));
+        freeSources.forEach(i => chosen.delete(i));
+        pick((i, j) => blendSiblingScore(similarity[i][j], siblingScore(sourceFields[i].field, targetFields[j].field)));
+      }
+    };
+
+    const queue = [['', '']];
+    const visited = new Set();
+    while (queue.length > 0) {
+      const [sourceScope, targetScope] = queue.shift();
+      const key = `${sourceScope}\u0000${targetScope}`;
+      if (visited.has(key) || !scopeSources.has(sourceScope) || !scopeTargets.has(targetScope)) continue;
+      visited.add(key);
+
+      const sources = scopeSources.get(sourceScope);
+      assignScope(sources, scopeTargets.get(targetScope));
+
+      // Every mapped pair of collections opens the scope of their elements
+      sources.forEach(i => {
+        const declaredPairs = (declaredBySource.get(sourceFields[i].field) || [])
+          .filter(declared => declared.targetField && !declared.expression)
+          .map(declared => targetIndex.get(declared.targetField));
+        const j = chosen.get(i);
+        const mappedTargets = j !== undefined && similarity[i][j] >= minConfidence ? [...declaredPairs, j] : declaredPairs;
+        mappedTargets
+          .filter(target => sourceFields[i].type === 'array' && targetFields[target].type === 'array')
+          .forEach(target => queue.push([sourceFields[i].field, targetFields[target].field]));
+      });
+    }
+
+    const fieldMappings = [];
+
+    sourceFields.forEach((sourceField, i) => {
+      if (declaredBySource.has(sourceField.field)) {
+        declaredBySource.get(sourceField.field).forEach(declared => {
+          const row = {
+            sourceField: sourceField.field,
+            targetField: declared.targetField || null,
+            confidence: declared.targetField ? similarity[i][targetIndex.get(declared.targetField)] : 0,
+            status: declared.status || 'manual',
+            declared: true,
+            targetMatches: topMatches.get(i) || rankTargets(i, allTargets)
+          };
+          if (declared.targetField) {
+            row.scores = scores[i][targetIndex.get(declared.targetField)].components;
+          }
+          if (declared.origin) {
+            row.origin = declared.origin;
+          }
+          if (declared.expression) {
+            row.expression = declared.expression;
+          }
+          if (declared.notes) {
+            row.notes = declared.notes;
+          }
+          fieldMappings.push(row);
+        });
+        return;
+      }
+
+      const j = chosen.has(i) ? chosen.get(i) : -1;
+      const isMapped = j !== -1 && similarity[i][j] >= minConfidence;
+
+      fieldMappings.push({
+        sourceField: sourceField.field,
+        targetField: isMapped ? targetFields[j].field : null,
+        confidence: isMapped ? similarity[i][j] : 0,
+        status: 'auto',
+        ...(isMapped ? { scores: scores[i][j].components } : {}),
+        ...(isMapped && scores[i][j].history ? {
+          origin: 'history',
+          history: {
+            sourceField: scores[i][j].history.sourceField,
+            targetField: scores[i][j].history.targetField,
+            approvals: scores[i][j].history.approvals.length
+          }
+        } : {}),
+        targetMatches: topMatches.get(i) || rankTargets(i, allTargets)
+      });
+    });
+
+    declaredConstants.forEach(declared => {
+      fieldMappings.push({
+        sourceField: null,
+        targetField: declared.targetField,
+        confidence: declared.confidence || 1,
+        status: declared.status || 'manual',
+        declared: true,
+        expression: declared.expression,
+        targetMatches: [],
+        ...(declared.notes ? { notes: declared.notes } : {})
+      });
+    });
 
     return {
-      sourceStructure,
-      targetStructure,
-      fieldMappings: mappings,
-      sourceEnrichment,
-      targetEnrichment,
-      mappingCode
+      fieldMappings,
+      ...this.collectUnmappedFields(
+        fieldMappings,
+        sourceFields.map(field => field.field),
+        targetFields.map(field => field.field)
+      )
+    };
+  }
+
+  /**
+   * List the source and target fields that have no active mapping
+   * @param {Object[]} fieldMappings - Field mapping rows
+   * @param {string[]} sourceFields - All source field names
+   * @param {string[]} targetFields - All target field names
+   * @returns {{unmappedSourceFields: string[], unmappedTargetFields: string[]}} Unmapped field names
+   */
+  collectUnmappedFields(fieldMappings, sourceFields, targetFields) {
+    const activeMappings = fieldMappings.filter(mapping => mapping.targetField && mapping.status !== 'rejected');
+    const mappedSources = new Set(activeMappings.flatMap(expressionSources));
+    const mappedTargets = new Set(activeMappings.map(mapping => mapping.targetField));
+
+    return {
+      unmappedSourceFields: sourceFields.filter(field => !mappedSources.has(field)),
+      unmappedTargetFields: targetFields.filter(field => !mappedTargets.has(field))
+    };
+  }
+
+  /**
+   * Keep the human decisions of a previous mapping spec: accepted and manual rows are
+   * declared as fixed pairs, rejected pairs are forbidden and recorded again
+   * @param {Array<{field: string, vector: number[]}>} sourceFields - Embedded source fields
+   * @param {Array<{field: string, vector: number[]}>} targetFields - Embedded target fields
+   * @param {Object} previousSpec - Previously saved mapping spec
+   * @param {Object} options - Assignment options
+   * @returns {Object} Field mappings plus the source and target fields left unmapped
+   */
+  assignWithReviewedRows(sourceFields, targetFields, previousSpec, options = {}) {
+    const reviewedRows = getReviewedRows(previousSpec);
+    const keptRows = reviewedRows.filter(row => row.status !== 'rejected');
+    const rejectedRows = reviewedRows.filter(row => row.status === 'rejected' && row.targetField);
+    const ignoredRows = reviewedRows.filter(row => row.status === 'rejected' && !row.targetField);
+
+    const assignment = this.assignFieldMappings(sourceFields, targetFields, {
+      ...options,
+      declaredMappings: [
+        ...(options.declaredMappings || this.declaredMappings),
+        ...keptRows,
+        ...ignoredRows
+      ],
+      forbiddenPairs: [...(options.forbiddenPairs || []), ...rejectedPlainRows(previousSpec)]
+    });
+
+    // Record the rejected pairs again, after the source field's active rows, so they
+    // survive the next run as well
+    const fieldMappings = [];
+    assignment.fieldMappings.forEach((mapping, i) => {
+      fieldMappings.push(mapping);
+      const next = assignment.fieldMappings[i + 1];
+      if (next && next.sourceField === mapping.sourceField) return;
+
+      rejectedRows
+        .filter(row => row.sourceField && row.sourceField === mapping.sourceField)
+        .forEach(row => fieldMappings.push({
+          sourceField: row.sourceField,
+          targetField: row.targetField,
+          confidence: row.confidence || 0,
+          status: 'rejected',
+          notes: row.notes,
+          expression: row.expression,
+          targetMatches: mapping.targetMatches
+        }));
+    });
+    // Rejected constants have no source row to follow
+    rejectedRows
+      .filter(row => !row.sourceField)
+      .forEach(row => fieldMappings.push({
+        sourceField: null,
+        targetField: row.targetField,
+        confidence: row.confidence || 0,
+        status: 'rejected',
+        notes: row.notes,
+        expression: row.expression,
+        targetMatches: []
+      }));
+
+    return {
+      fieldMappings,
+      ...this.collectUnmappedFields(
+        fieldMappings,
+        sourceFields.map(field => field.field),
+        targetFields.map(field => field.field)
+      )
     };
   }
 
@@ -580,7 +1402,7 @@ class DataMapper {
    * @returns {Object} Knowledge extracted from the documents
    */
   async extractKnowledgeFromVectorDB(query, topK = 5) {
-    if (!this.initialized || this.vectorStore.length === 0) {
+    if (!this.initialized || this.vectorStore.size === 0) {
       throw new Error('Vector database is not initialized or empty');
     }
 
@@ -588,17 +1410,13 @@ class DataMapper {
     const queryEmbedding = await this.embedder.embedText(query);
     
     // Find similar documents in the vector store
-    const similarDocuments = findSimilarVectors(
-      queryEmbedding,
-      this.vectorStore.filter(item => item.metadata.type === 'document'),
-      topK
-    );
+    const similarDocuments = this.vectorStore.search(queryEmbedding, topK, { type: 'document' });
     
     // Find similar fields in the vector store (regardless of which document they're from)
-    const similarFields = findSimilarVectors(
+    const similarFields = this.vectorStore.search(
       queryEmbedding,
-      this.vectorStore.filter(item => item.metadata.type === 'field'),
-      topK * 2 // Get more field matches for comprehensive coverage
+      topK * 2, // Get more field matches for comprehensive coverage
+      { type: 'field' }
     );
     
     if (similarDocuments.length === 0 && similarFields.length === 0) {
@@ -748,6 +1566,8 @@ class DataMapper {
       Knowledge from Vector Database:
       ${knowledge.knowledgeSynthesis}
       
+      ${glossaryContext(this.glossary, `${query}\n${knowledge.knowledgeSynthesis}`)}
+      
       Please provide:
       1. An explanation of what data structures might be relevant to this query
       2. Suggestions for what source and target mappings might be useful
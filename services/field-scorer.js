@@ -0,0 +1,235 @@
+/**
+ * Hybrid field scorer: the match score of a source and a target field is a weighted mean of
+ * - embedding: cosine similarity of the embedded field descriptions
+ * - name: overlap of the words in the two field names, after abbreviations and synonyms
+ *   are mapped to one canonical word (`zip` and `postalCode` both become `postal code`)
+ * - type: how well the values convert, see services/type-compatibility
+ * Every score comes with these components so a confidence can be explained.
+ */
+
+const { splitWords, singularize } = require('../utils/naming');
+const { cosineSimilarity } = require('../utils/vector-utils');
+const { checkCompatibility, compatibilityWeight } = require('./type-compatibility');
+
+const SCORERS = ['embedding', 'hybrid'];
+const DEFAULT_WEIGHTS = { embedding: 0.6, name: 0.25, type: 0.15 };
+
+// Abbreviations expanded before synonyms are looked up
+const ABBREVIATIONS = {
+  addr: 'address',
+  amt: 'amount',
+  cnt: 'count',
+  cust: 'customer',
+  desc: 'description',
+  dob: 'date of birth',
+  dt: 'date',
+  fname: 'first name',
+  lname: 'last name',
+  msg: 'message',
+  nbr: 'number',
+  no: 'number',
+  num: 'number',
+  org: 'organization',
+  pct: 'percent',
+  qty: 'quantity',
+  ref: 'reference',
+  tel: 'telephone',
+  ts: 'timestamp',
+  txn: 'transaction'
+};
+
+// Words and phrases with the same meaning in field names; the first one is canonical
+const SYNONYMS = [
+  ['email', 'email address', 'e mail', 'mail address'],
+  ['phone', 'telephone', 'phone number', 'telephone number', 'mobile', 'cell'],
+  ['postal code', 'zip', 'zip code', 'zipcode', 'postcode', 'post code'],
+  ['first name', 'given name', 'forename'],
+  ['last name', 'family name', 'surname'],
+  ['state', 'province', 'state province', 'region'],
+  ['country', 'country region', 'nation'],
+  ['street', 'address line', 'address line1', 'street address'],
+  ['quantity', 'count', 'amount ordered'],
+  ['price', 'unit price', 'cost'],
+  ['total', 'total amount', 'grand total', 'sum'],
+  ['identifier', 'id', 'key'],
+  ['created', 'created at', 'creation date'],
+  ['date of birth', 'birth date', 'birthday']
+];
+
+/**
+ * Split a name or phrase into normalized words: abbreviations are expanded and plurals
+ * made singular
+ * @param {string} text - Identifier or phrase
+ * @returns {string[]} Lower-case words
+ */
+function normalizeWords(text) {
+  return splitWords(text)
+    .flatMap(word => (ABBREVIATIONS[word] || word).split(' '))
+    .map(word => (word.length > 3 ? singularize(word) : word));
+}
+
+/**
+ * Build the lookup of canonical phrases for a list of synonym groups
+ * @param {string[][]} groups - Synonym groups; the first phrase of a group is canonical
+ * @returns {Object} Vocabulary for canonicalWords
+ */
+function buildVocabulary(groups) {
+  const canonical = new Map();
+  groups.forEach(group => {
+    const first = normalizeWords(group[0]).join(' ');
+    group.forEach(phrase => canonical.set(normalizeWords(phrase).join(' '), first));
+  });
+
+  return {
+    canonical,
+    longest: Math.max(1, ...Array.from(canonical.keys(), phrase => phrase.split(' ').length)),
+    // Field names repeat across every pair of a similarity matrix
+    cache: new Map()
+  };
+}
+
+const DEFAULT_VOCABULARY = buildVocabulary(SYNONYMS);
+
+/**
+ * Split a field name into canonical words: abbreviations are expanded, plurals made singular
+ * and the longest known synonym phrases replaced by their canonical form
+ * @param {string} fieldPath - Field path; only the last segment is used
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {string[]} Canonical words and phrases
+ */
+function canonicalWords(fieldPath, vocabulary = DEFAULT_VOCABULARY) {
+  const name = fieldPath.replace(/\[\d*\]/g, '').split('.').pop();
+  if (vocabulary.cache.has(name)) {
+    return vocabulary.cache.get(name);
+  }
+  const words = normalizeWords(name);
+
+  const result = [];
+  for (let start = 0; start < words.length;) {
+    let length = Math.min(vocabulary.longest, words.length - start);
+    while (length > 1 && !vocabulary.canonical.has(words.slice(start, start + length).join(' '))) {
+      length--;
+    }
+    const phrase = words.slice(start, start + length).join(' ');
+    result.push(vocabulary.canonical.get(phrase) || phrase);
+    start += length;
+  }
+  vocabulary.cache.set(name, result);
+  return result;
+}
+
+/**
+ * Similarity of two canonical words: 1 when equal, 0.75 when one is a prefix (of at least
+ * three letters) of the other, e.g. an unknown abbreviation
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} Similarity between 0 and 1
+ */
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= 3 && longer.startsWith(shorter) ? 0.75 : 0;
+}
+
+/**
+ * Compare two field names word by word (Dice coefficient with partial word matches)
+ * @param {string} sourcePath - Source field path
+ * @param {string} targetPath - Target field path
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {number} Similarity between 0 and 1
+ */
+function nameSimilarity(sourcePath, targetPath, vocabulary = DEFAULT_VOCABULARY) {
+  const sourceWords = canonicalWords(sourcePath, vocabulary);
+  const targetWords = canonicalWords(targetPath, vocabulary);
+  if (sourceWords.length === 0 || targetWords.length === 0) return 0;
+
+  const unused = targetWords.slice();
+  let matched = 0;
+  sourceWords.forEach(word => {
+    let best = -1;
+    unused.forEach((other, k) => {
+      if (best === -1 || wordSimilarity(word, other) > wordSimilarity(word, unused[best])) {
+        best = k;
+      }
+    });
+    if (best !== -1 && wordSimilarity(word, unused[best]) > 0) {
+      matched += wordSimilarity(word, unused[best]);
+      unused.splice(best, 1);
+    }
+  });
+
+  return (2 * matched) / (sourceWords.length + targetWords.length);
+}
+
+/**
+ * Check scorer options, filling in the default weights
+ * @param {Object} options - scorer ('embedding' or 'hybrid'), weights and synonyms (extra
+ *   synonym groups, e.g. from a glossary)
+ * @returns {{scorer: string, weights: Object, vocabulary: Object}} Checked options
+ */
+function resolveScorer({ scorer = 'hybrid', weights = {}, synonyms = [] } = {}) {
+  if (!SCORERS.includes(scorer)) {
+    throw new Error(`Unknown scorer: ${scorer}. Use ${SCORERS.map(name => `"${name}"`).join(' or ')}.`);
+  }
+  const resolved = { ...DEFAULT_WEIGHTS, ...weights };
+  Object.entries(resolved).forEach(([component, weight]) => {
+    if (!(component in DEFAULT_WEIGHTS) || typeof weight !== 'number' || weight < 0 || Number.isNaN(weight)) {
+      throw new Error(`Invalid score weight ${component}=${weight}. Use non-negative numbers for ${Object.keys(DEFAULT_WEIGHTS).join(', ')}.`);
+    }
+  });
+  if (Object.values(resolved).every(weight => weight === 0)) {
+    throw new Error('At least one score weight must be greater than 0');
+  }
+  const vocabulary = synonyms.length > 0 ? buildVocabulary([...SYNONYMS, ...synonyms]) : DEFAULT_VOCABULARY;
+  return { scorer, weights: resolved, vocabulary };
+}
+
+/**
+ * Score a source field against a target field. The 'embedding' scorer keeps the plain
+ * embedding similarity, lowered for types that do not convert well; 'hybrid' takes the
+ * weighted mean of the embedding, name and type components.
+ * @param {Object} sourceField - Embedded source field ({field, type, elementType, vector})
+ * @param {Object} targetField - Embedded target field
+ * @param {Object} options - scorer, weights and synonyms, or the result of resolveScorer
+ * @returns {{score: number, components: {embedding: number, name: number, type: number}}}
+ *   Score between 0 and 1 with the component scores
+ */
+function scoreFieldPair(sourceField, targetField, options = {}) {
+  const { scorer, weights, vocabulary } = options.vocabulary ? options : resolveScorer(options);
+  const components = {
+    embedding: cosineSimilarity(sourceField.vector, targetField.vector),
+    name: nameSimilarity(sourceField.field, targetField.field, vocabulary),
+    type: sourceField.type && targetField.type ? compatibilityWeight(checkCompatibility(sourceField, targetField)) : 1
+  };
+
+  if (scorer === 'embedding') {
+    return { score: components.embedding * components.type, components };
+  }
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const score = Object.keys(weights).reduce((sum, component) => sum + weights[component] * components[component], 0) / totalWeight;
+  return { score, components };
+}
+
+/**
+ * Render a score breakdown for terminal output
+ * @param {Object} components - Component scores, e.g. from scoreFieldPair
+ * @returns {string} Text such as `embedding 0.71, name 1.00, type 1.00`
+ */
+function formatScoreBreakdown(components) {
+  return Object.entries(components)
+    .map(([component, score]) => `${component} ${score.toFixed(2)}`)
+    .join(', ');
+}
+
+module.exports = {
+  SCORERS,
+  DEFAULT_WEIGHTS,
+  normalizeWords,
+  buildVocabulary,
+  canonicalWords,
+  nameSimilarity,
+  resolveScorer,
+  scoreFieldPair,
+  formatScoreBreakdown
+};
@@ -0,0 +1,330 @@
+const { parsePath } = require('../../utils/path-utils');
+const { toPascalCase } = require('../../utils/naming');
+const { buildMappingPlan, getActivePairs, renderExpression, usesExpression } = require('./mapping-plan');
+
+const INDENT = '    ';
+
+// Schema type names (lower-case) to C# types
+const CSHARP_TYPES = {
+  string: 'string',
+  text: 'string',
+  char: 'string',
+  number: 'decimal',
+  decimal: 'decimal',
+  money: 'decimal',
+  integer: 'int',
+  int: 'int',
+  long: 'long',
+  float: 'double',
+  double: 'double',
+  boolean: 'bool',
+  bool: 'bool',
+  date: 'DateTime',
+  datetime: 'DateTime',
+  'date-time': 'DateTime',
+  timestamp: 'DateTime',
+  time: 'TimeSpan',
+  uuid: 'Guid',
+  guid: 'Guid',
+  object: 'object',
+  any: 'object'
+};
+
+/**
+ * Map a schema type name to a C# type
+ * @param {string} type - Schema type name
+ * @returns {string} C# type
+ */
+function toCSharpType(type) {
+  return CSHARP_TYPES[String(type || '').toLowerCase()] || 'string';
+}
+
+/**
+ * Render a class property type
+ * @param {Object} property - Property from collectClasses
+ * @returns {string} C# type
+ */
+function propertyType(property) {
+  if (property.kind === 'list') {
+    return `List<${property.className || (property.type ? toCSharpType(property.type) : 'object')}>`;
+  }
+  return property.kind === 'object' ? property.className : toCSharpType(property.type);
+}
+
+/**
+ * Render a field path as a C# member access chain
+ * @param {string} variable - Lambda parameter name
+ * @param {string} fieldPath - Field path relative to the lambda parameter
+ * @returns {string} Member access expression, e.g. `src.OrderDetails.Items[0].ProductId`
+ */
+function memberAccess(variable, fieldPath) {
+  return parsePath(fieldPath).reduce((expression, segment) => (
+    segment.key !== undefined
+      ? `${expression}.${toPascalCase(segment.key)}`
+      : `${expression}[${segment.index || 0}]`
+  ), variable);
+}
+
+/**
+ * Render a JSON value as a C# literal
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} C# literal
+ */
+function csharpLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  return JSON.stringify(value);
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) for MapFrom lambdas. MapFrom takes
+ * an expression tree, so there is no `?.`; missing values are handled with Convert.ToString
+ * and `??` instead. Defaults use NullSubstitute, see memberLine.
+ */
+const EXPRESSION_SYNTAX = {
+  access: fieldPath => memberAccess('src', fieldPath),
+  literal: csharpLiteral,
+  // An empty result is null, as the transform engine writes nothing then
+  concat: (parts, separator) => {
+    const present = `new[] { ${parts.map(part => `Convert.ToString(${part})`).join(', ')} }.Where(part => !string.IsNullOrEmpty(part))`;
+    return `(${present}.Any() ? string.Join(${JSON.stringify(separator)}, ${present}) : null)`;
+  },
+  split: (value, separator, index, rest) => {
+    const parts = `(Convert.ToString(${value}) ?? "").Split(new[] { ${JSON.stringify(separator)} }, StringSplitOptions.RemoveEmptyEntries)`;
+    return rest
+      ? `(${parts}.Length > ${index} ? string.Join(${JSON.stringify(separator)}, ${parts}.Skip(${index})) : null)`
+      : `${parts}.ElementAtOrDefault(${index})`;
+  }
+};
+
+/**
+ * Generate a C# file with POCO classes for source and target and an AutoMapper Profile,
+ * built only from the field mappings and field types of a mapping result
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - Generator options
+ * @param {string} options.namespace - Namespace of the generated code (default `DataMapping`)
+ * @param {string} options.sourceClassName - Root class name for the source structure
+ * @param {string} options.targetClassName - Root class name for the target structure
+ * @param {string} options.mapperName - Name of the Profile subclass (default `MappingProfile`)
+ * @param {string} options.comment - Optional explanation placed above the mappings
+ * @param {Object<string, string>} options.conversions - Optional C# MapFrom expressions per target field,
+ *   written against the `src` parameter of the enclosing map
+ * @returns {string} C# source code
+ */
+function generateCSharpAutoMapper(mapping, options = {}) {
+  const namespace = options.namespace || 'DataMapping';
+  const profileClassName = options.mapperName || 'MappingProfile';
+  const conversions = options.conversions || {};
+  const plan = buildMappingPlan(mapping, { ...options, reservedNames: [profileClassName] });
+
+  const maps = [];
+  const mapsByKey = new Map();
+
+  const getMap = (sourceClass, targetClass) => {
+    const key = `${sourceClass}\u0000${targetClass}`;
+    if (!mapsByKey.has(key)) {
+      const map = { sourceClass, targetClass, members: [] };
+      mapsByKey.set(key, map);
+      maps.push(map);
+    }
+    return mapsByKey.get(key);
+  };
+
+  const memberLine = (targetPath, sourceExpression, nullSubstitute) => {
+    const method = parsePath(targetPath).length === 1 ? 'ForMember' : 'ForPath';
+    // ForPath has no NullSubstitute; nested targets get the default through `??`
+    if (nullSubstitute !== undefined && method === 'ForMember') {
+      return `.${method}(dest => ${memberAccess('dest', targetPath)}, opt => { opt.MapFrom(src => ${sourceExpression}); opt.NullSubstitute(${nullSubstitute}); })`;
+    }
+    const expression = nullSubstitute !== undefined ? `${sourceExpression} ?? ${nullSubstitute}` : sourceExpression;
+    return `.${method}(dest => ${memberAccess('dest', targetPath)}, opt => opt.MapFrom(src => ${expression}))`;
+  };
+
+  plan.scopes.forEach(scope => {
+    const map = getMap(scope.sourceClass, scope.targetClass);
+
+    scope.members.forEach(member => {
+      const { expression } = member;
+      if (conversions[member.fullTarget]) {
+        map.members.push(memberLine(member.target, conversions[member.fullTarget]));
+      } else if (expression && expression.kind === 'default') {
+        // `??` only compiles for reference types, and value types are never null anyway
+        const sourceType = toCSharpType((mapping.sourceFieldTypes || {})[member.fullSource]);
+        const substitute = parsePath(member.target).length === 1 || sourceType === 'string' || sourceType === 'object'
+          ? csharpLiteral(expression.value)
+          : undefined;
+        map.members.push(memberLine(member.target, memberAccess('src', member.source), substitute));
+      } else if (expression) {
+        map.members.push(memberLine(member.target, renderExpression(member, EXPRESSION_SYNTAX)));
+      } else {
+        map.members.push(memberLine(member.target, memberAccess('src', member.source)));
+      }
+
+      // Object and collection pairs rely on a map between the two classes
+      if (member.kind === 'object') {
+        getMap(member.sourceClass, member.targetClass);
+      } else if (member.kind === 'collection' && member.element) {
+        getMap(member.element.sourceClass, member.element.targetClass);
+      }
+    });
+  });
+
+  const lines = [
+    `// Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    'using AutoMapper;',
+    'using System;',
+    'using System.Collections.Generic;',
+    ...(usesExpression(plan, 'concat') || usesExpression(plan, 'split') ? ['using System.Linq;'] : []),
+    '',
+    `namespace ${namespace}`,
+    '{'
+  ];
+
+  const renderClasses = (title, classes) => {
+    lines.push(`${INDENT}// ${title}`);
+    classes.forEach((definition, i) => {
+      if (i > 0) lines.push('');
+      lines.push(`${INDENT}public class ${definition.name}`);
+      lines.push(`${INDENT}{`);
+      definition.properties.forEach(property => {
+        lines.push(`${INDENT}${INDENT}public ${propertyType(property)} ${toPascalCase(property.key)} { get; set; }`);
+      });
+      lines.push(`${INDENT}}`);
+    });
+    lines.push('');
+  };
+
+  renderClasses('Source data structure classes', plan.source.classes);
+  renderClasses('Target data structure classes', plan.target.classes);
+
+  lines.push(`${INDENT}// AutoMapper profile for configuring the mappings`);
+  lines.push(`${INDENT}public class ${profileClassName} : Profile`);
+  lines.push(`${INDENT}{`);
+  lines.push(`${INDENT}${INDENT}public ${profileClassName}()`);
+  lines.push(`${INDENT}${INDENT}{`);
+
+  const body = `${INDENT}${INDENT}${INDENT}`;
+  if (options.comment) {
+    options.comment.trim().split('\n').forEach(line => lines.push(`${body}// ${line.trim()}`.trimEnd()));
+    lines.push('');
+  }
+
+  maps.forEach((map, i) => {
+    if (i > 0) lines.push('');
+    lines.push(`${body}// Map ${map.sourceClass} to ${map.targetClass}`);
+    if (map.members.length === 0) {
+      lines.push(`${body}CreateMap<${map.sourceClass}, ${map.targetClass}>();`);
+      return;
+    }
+    lines.push(`${body}CreateMap<${map.sourceClass}, ${map.targetClass}>()`);
+    map.members.forEach((member, j) => {
+      lines.push(`${body}${INDENT}${member}${j === map.members.length - 1 ? ';' : ''}`);
+    });
+  });
+
+  if (plan.notes.length > 0 || plan.unmappedTargetFields.length > 0) {
+    lines.push('');
+    plan.notes.forEach(note => lines.push(`${body}// Note: ${note}`));
+    if (plan.unmappedTargetFields.length > 0) {
+      lines.push(`${body}// Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`);
+    }
+  }
+
+  lines.push(`${INDENT}${INDENT}}`);
+  lines.push(`${INDENT}}`);
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Check C# AutoMapper code for the parts a usable profile needs: the using directives,
+ * a Profile subclass with CreateMap calls, and a ForMember or ForPath for every mapped field
+ * @param {string} code - C# source code
+ * @param {Object} mapping - Mapping result the code was generated for
+ * @returns {string[]} Validation errors, empty when the code passes
+ */
+function validateCSharpAutoMapper(code, mapping) {
+  const errors = [];
+  const hasUsing = namespace => new RegExp(`^\\s*(global\\s+)?using\\s+${namespace.replace(/\./g, '\\.')}\\s*;`, 'm').test(code);
+
+  if (!hasUsing('AutoMapper')) {
+    errors.push('Missing "using AutoMapper;"');
+  }
+  if (/\b(List|IList|IEnumerable|Dictionary)</.test(code) && !hasUsing('System.Collections.Generic')) {
+    errors.push('Missing "using System.Collections.Generic;" for the collection types');
+  }
+  if (/\b(DateTime|DateTimeOffset|Guid|TimeSpan)\b/.test(code) && !hasUsing('System')) {
+    errors.push('Missing "using System;" for the date and identifier types');
+  }
+  if (!/\bclass\s+\w+\s*:\s*(AutoMapper\.)?Profile\b/.test(code)) {
+    errors.push('No class deriving from AutoMapper Profile');
+  }
+  if (!/\bCreateMap\s*</.test(code)) {
+    errors.push('No CreateMap<TSource, TDestination>() calls');
+  }
+
+  // Destination members as [Segment, ...] from `dest => dest.A.B` lambdas and `"A"`/nameof forms
+  const destinations = [
+    ...Array.from(code.matchAll(/\.(?:ForMember|ForPath)\s*\(\s*(\w+)\s*=>\s*\1((?:\s*\.\s*\w+)+)/g))
+      .map(match => match[2].split('.').map(segment => segment.trim()).filter(Boolean)),
+    ...Array.from(code.matchAll(/\.ForMember\s*\(\s*(?:"(\w+)"|nameof\(\s*[\w.]*?(\w+)\s*\))/g))
+      .map(match => [match[1] || match[2]])
+  ];
+
+  // One entry per mapped target member, with its path relative to the map it is configured on
+  const members = new Map();
+  getActivePairs(mapping).forEach(pair => {
+    if (members.has(pair.target)) return;
+    // Members below a collection are configured on the element map, relative to the element
+    const segments = parsePath(pair.target);
+    const lastIndex = segments.map(segment => segment.key === undefined).lastIndexOf(true);
+    members.set(pair.target, { pair, expected: segments.slice(lastIndex + 1).map(segment => toPascalCase(segment.key)) });
+  });
+
+  // Every destination covers one member: the member with the same path, or else the longest
+  // path it ends, as configured on the map of a nested class
+  const used = new Set();
+  const claim = matches => {
+    let best = -1;
+    destinations.forEach((chain, index) => {
+      if (!used.has(index) && matches(chain) && (best < 0 || chain.length > destinations[best].length)) {
+        best = index;
+      }
+    });
+    if (best >= 0) used.add(best);
+    return best >= 0;
+  };
+  const uncovered = Array.from(members.values())
+    .filter(({ expected }) => !claim(chain => chain.join('.') === expected.join('.')))
+    .filter(({ expected }) => !claim(chain =>
+      chain.length < expected.length &&
+      chain.every((segment, index) => segment === expected[expected.length - chain.length + index])
+    ));
+  uncovered.forEach(({ pair, expected }) => {
+    errors.push(`Mapping ${pair.source || 'constant'} -> ${pair.target} has no ForMember/ForPath for ${expected.join('.')}`);
+  });
+
+  return errors;
+}
+
+module.exports = {
+  name: 'csharp',
+  description: 'C# classes with an AutoMapper Profile',
+  extension: '.cs',
+  fenceLanguages: ['csharp', 'cs', 'c#'],
+  commentSyntax: { line: ['//'], block: true },
+  llmTarget: 'C# code using AutoMapper',
+  llmInstructions: [
+    'Create C# classes for both the source and target structures',
+    'Define an AutoMapper profile class that configures the mappings',
+    'Include a sample implementation showing how to use the mapper',
+    'Add appropriate comments explaining the mapping logic',
+    'Handle nested objects and arrays properly',
+    'Include any necessary type conversions',
+    'Return the complete C# solution including necessary using statements'
+  ],
+  conversionHint: 'C# expressions using "src" with PascalCase property names (e.g. "DateTime.Parse(src.OrderDetails.OrderDate)")',
+  generate: generateCSharpAutoMapper,
+  validate: validateCSharpAutoMapper,
+  toCSharpType
+};
@@ -0,0 +1,55 @@
+const csharp = require('./csharp-automapper');
+const typescript = require('./typescript');
+const java = require('./java-mapstruct');
+const python = require('./python');
+const jsonata = require('./jsonata');
+const jq = require('./jq');
+
+/**
+ * Every generator consumes the same mapping result and exposes:
+ * - name / description / extension: how it is selected and where its output is saved
+ * - generate(mapping, options): deterministic code from the field mappings
+ * - llmTarget / llmInstructions: what to ask the LLM for when it writes the code instead
+ * - conversionHint: how the LLM should write conversion expressions for this language
+ * - fenceLanguages / commentSyntax: how to find and scan the code in an LLM response
+ * - validate(code, mapping) (optional): language-specific checks, returning error messages
+ */
+const GENERATORS = [csharp, typescript, java, python, jsonata, jq];
+
+const ALIASES = {
+  cs: 'csharp',
+  'c#': 'csharp',
+  automapper: 'csharp',
+  ts: 'typescript',
+  mapstruct: 'java',
+  py: 'python',
+  pydantic: 'python'
+};
+
+/**
+ * Look up a code generator by name or alias
+ * @param {string} name - Generator name, e.g. `csharp`, `typescript`, `java`, `python`, `jsonata`, `jq`
+ * @returns {Object} Generator
+ */
+function getGenerator(name = 'csharp') {
+  const key = String(name).toLowerCase();
+  const generator = GENERATORS.find(candidate => candidate.name === (ALIASES[key] || key));
+
+  if (!generator) {
+    throw new Error(`Unknown target language: ${name}. Use one of: ${GENERATORS.map(g => g.name).join(', ')}`);
+  }
+  return generator;
+}
+
+/**
+ * List the available code generators
+ * @returns {Object[]} Generators
+ */
+function listGenerators() {
+  return GENERATORS.slice();
+}
+
+module.exports = {
+  getGenerator,
+  listGenerators
+};
@@ -0,0 +1,226 @@
+const { parsePath } = require('../../utils/path-utils');
+const { toCamelCase } = require('../../utils/naming');
+const { buildMappingPlan, renderExpression } = require('./mapping-plan');
+
+const INDENT = '    ';
+
+// Schema type names (lower-case) to Java types, with the import each one needs
+const JAVA_TYPES = {
+  string: ['String'],
+  text: ['String'],
+  char: ['String'],
+  number: ['BigDecimal', 'java.math.BigDecimal'],
+  decimal: ['BigDecimal', 'java.math.BigDecimal'],
+  money: ['BigDecimal', 'java.math.BigDecimal'],
+  integer: ['Integer'],
+  int: ['Integer'],
+  long: ['Long'],
+  float: ['Double'],
+  double: ['Double'],
+  boolean: ['Boolean'],
+  bool: ['Boolean'],
+  date: ['LocalDate', 'java.time.LocalDate'],
+  datetime: ['OffsetDateTime', 'java.time.OffsetDateTime'],
+  'date-time': ['OffsetDateTime', 'java.time.OffsetDateTime'],
+  timestamp: ['OffsetDateTime', 'java.time.OffsetDateTime'],
+  time: ['LocalTime', 'java.time.LocalTime'],
+  uuid: ['UUID', 'java.util.UUID'],
+  guid: ['UUID', 'java.util.UUID'],
+  object: ['Object'],
+  any: ['Object']
+};
+
+/**
+ * Map a schema type name to a Java type
+ * @param {string} type - Schema type name
+ * @param {Set<string>} imports - Collects the imports the type needs
+ * @returns {string} Java type
+ */
+function toJavaType(type, imports = new Set()) {
+  const [javaType, importName] = JAVA_TYPES[String(type || '').toLowerCase()] || JAVA_TYPES.string;
+  if (importName) {
+    imports.add(importName);
+  }
+  return javaType;
+}
+
+/**
+ * Render a field path as a MapStruct property path (`customerInfo.firstName`)
+ * @param {string} fieldPath - Field path
+ * @returns {string} Property path
+ */
+function propertyPath(fieldPath) {
+  return parsePath(fieldPath).map(segment => toCamelCase(segment.key)).join('.');
+}
+
+/**
+ * Render a field path as a Java expression, used where MapStruct paths cannot index lists.
+ * Like MapStruct's own source paths it gives null when a parent or list element is missing.
+ * @param {string} variable - Variable holding the source object
+ * @param {string} fieldPath - Field path relative to the variable
+ * @returns {string} Java expression, e.g.
+ *   `java.util.Optional.ofNullable(source).map(value -> value.orderDetails)...orElse(null)`
+ */
+function javaAccess(variable, fieldPath) {
+  const steps = parsePath(fieldPath).map(segment => {
+    if (segment.key !== undefined) {
+      return `.map(value -> value.${toCamelCase(segment.key)})`;
+    }
+    const index = segment.index || 0;
+    return `.map(list -> list.size() > ${index} ? list.get(${index}) : null)`;
+  });
+  return `java.util.Optional.ofNullable(${variable})${steps.join('')}.orElse(null)`;
+}
+
+/**
+ * Turn an empty joined string into null, as the transform engine writes nothing then
+ * @param {string} text - Java expression giving a String
+ * @returns {string} Java expression giving a non-empty String or null
+ */
+function nullIfEmpty(text) {
+  return `java.util.Optional.of(${text}).filter(text -> !text.isEmpty()).orElse(null)`;
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) for `expression = "java(...)"`,
+ * written against `source`. Constants and defaults use MapStruct's own attributes instead.
+ */
+const EXPRESSION_SYNTAX = {
+  access: fieldPath => javaAccess('source', fieldPath),
+  concat: (parts, separator) => nullIfEmpty(`java.util.stream.Stream.of(${parts.join(', ')}).filter(java.util.Objects::nonNull)` +
+    `.map(String::valueOf).filter(part -> !part.isEmpty()).collect(java.util.stream.Collectors.joining(${JSON.stringify(separator)}))`),
+  split: (value, separator, index, rest) => {
+    const parts = `java.util.Arrays.stream(whole.split(java.util.regex.Pattern.quote(${JSON.stringify(separator)}))).filter(part -> !part.isEmpty()).skip(${index})`;
+    const pick = rest
+      ? `.collect(java.util.stream.Collectors.joining(${JSON.stringify(separator)}))).filter(text -> !text.isEmpty()`
+      : '.findFirst().orElse(null)';
+    return `java.util.Optional.ofNullable(${value}).map(String::valueOf).map(whole -> ${parts}${pick}).orElse(null)`;
+  }
+};
+
+/**
+ * Generate Java classes for source and target and a MapStruct mapper interface
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - namespace (Java package), sourceClassName, targetClassName,
+ *   mapperName, comment and conversions (Java expressions per target field, written against `source`)
+ * @returns {string} Java source code
+ */
+function generateJavaMapStruct(mapping, options = {}) {
+  const plan = buildMappingPlan(mapping, {
+    ...options,
+    reservedNames: options.mapperName ? [options.mapperName] : []
+  });
+  const mapperName = options.mapperName || `${plan.source.classes[0].name}To${plan.target.classes[0].name}Mapper`;
+  const packageName = options.namespace || 'datamapping';
+  const conversions = options.conversions || {};
+  const imports = new Set(['java.util.List', 'org.mapstruct.Mapper', 'org.mapstruct.Mapping', 'org.mapstruct.factory.Mappers']);
+  const methodName = (sourceClass, targetClass) => `map${sourceClass}To${targetClass}`;
+
+  const body = [];
+
+  // Classes are package-private so the file compiles whatever name it is saved under;
+  // MapStruct reads and writes their public fields directly
+  const renderClasses = (title, classes) => {
+    body.push(`// ${title}`);
+    classes.forEach(definition => {
+      body.push(`class ${definition.name} {`);
+      definition.properties.forEach(property => {
+        let type;
+        if (property.kind === 'list') {
+          type = `List<${property.className || (property.type ? toJavaType(property.type, imports) : 'Object')}>`;
+        } else {
+          type = property.kind === 'object' ? property.className : toJavaType(property.type, imports);
+        }
+        body.push(`${INDENT}public ${type} ${toCamelCase(property.key)};`);
+      });
+      body.push('}', '');
+    });
+  };
+
+  renderClasses('Source data structure classes', plan.source.classes);
+  renderClasses('Target data structure classes', plan.target.classes);
+
+  if (options.comment) {
+    body.push('/**', ...options.comment.trim().split('\n').map(line => ` * ${line.trim()}`), ' */');
+  }
+  body.push('@Mapper');
+  body.push(`interface ${mapperName} {`);
+  body.push(`${INDENT}${mapperName} INSTANCE = Mappers.getMapper(${mapperName}.class);`);
+
+  const declared = new Set();
+  const declareMethod = (sourceClass, targetClass, annotations) => {
+    const name = methodName(sourceClass, targetClass);
+    if (declared.has(name)) return;
+    declared.add(name);
+    body.push('');
+    annotations.forEach(annotation => body.push(`${INDENT}${annotation}`));
+    body.push(`${INDENT}${targetClass} ${name}(${sourceClass} source);`);
+  };
+
+  plan.scopes.forEach(scope => {
+    const annotations = scope.members.map(member => {
+      const target = propertyPath(member.target);
+      if (conversions[member.fullTarget]) {
+        return `@Mapping(target = "${target}", expression = ${JSON.stringify(`java(${conversions[member.fullTarget]})`)})`;
+      }
+      const { expression } = member;
+      if (expression && expression.kind === 'constant') {
+        return `@Mapping(target = "${target}", constant = ${JSON.stringify(String(expression.value))})`;
+      }
+      if (expression && (expression.kind === 'concat' || expression.kind === 'split')) {
+        return `@Mapping(target = "${target}", expression = ${JSON.stringify(`java(${renderExpression(member, EXPRESSION_SYNTAX)})`)})`;
+      }
+      if (expression && expression.kind === 'default' && !member.source.includes('[')) {
+        return `@Mapping(target = "${target}", source = "${propertyPath(member.source)}", defaultValue = ${JSON.stringify(String(expression.value))})`;
+      }
+      if (member.source.includes('[')) {
+        return `@Mapping(target = "${target}", expression = ${JSON.stringify(`java(${javaAccess('source', member.source)})`)})`;
+      }
+      return `@Mapping(target = "${target}", source = "${propertyPath(member.source)}")`;
+    });
+    declareMethod(scope.sourceClass, scope.targetClass, annotations);
+
+    // Nested object pairs get their own method so MapStruct picks it up
+    scope.members
+      .filter(member => member.kind === 'object')
+      .forEach(member => declareMethod(member.sourceClass, member.targetClass, []));
+  });
+
+  body.push('}');
+
+  plan.notes.forEach(note => body.push(`// Note: ${note}`));
+  if (plan.unmappedTargetFields.length > 0) {
+    body.push(`// Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`);
+  }
+
+  const lines = [
+    `// Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    `package ${packageName};`,
+    '',
+    ...Array.from(imports).sort().map(name => `import ${name};`),
+    '',
+    ...body
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  name: 'java',
+  description: 'Java classes with a MapStruct mapper',
+  extension: '.java',
+  fenceLanguages: ['java'],
+  commentSyntax: { line: ['//'], block: true },
+  llmTarget: 'Java code using MapStruct',
+  llmInstructions: [
+    'Create Java classes for both the source and target structures',
+    'Define a MapStruct @Mapper interface with @Mapping annotations for every field',
+    'Add appropriate comments explaining the mapping logic',
+    'Handle nested objects and lists properly',
+    'Include any necessary type conversions',
+    'Return the complete Java source including package and import statements'
+  ],
+  conversionHint: 'Java expressions using "source" with camelCase field names (e.g. "java.time.LocalDate.parse(source.orderDetails.orderDate)")',
+  generate: generateJavaMapStruct,
+  toJavaType
+};
@@ -0,0 +1,103 @@
+const { parsePath } = require('../../utils/path-utils');
+const { buildMappingPlan, buildTargetTree, renderExpression } = require('./mapping-plan');
+
+const INDENT = '  ';
+
+/**
+ * Render a field path as a jq path relative to the current input
+ * @param {string} fieldPath - Field path
+ * @returns {string} jq path, e.g. `.orderDetails.items[0].productId`
+ */
+function jqPath(fieldPath) {
+  return parsePath(fieldPath).map(segment => {
+    if (segment.key === undefined) {
+      return `[${segment.index || 0}]`;
+    }
+    return /^[A-Za-z_][\w]*$/.test(segment.key) ? `.${segment.key}` : `.${JSON.stringify(segment.key)}`;
+  }).join('');
+}
+
+/**
+ * Render an object key for a jq object construction
+ * @param {string} key - Property key
+ * @returns {string} Key as written in jq
+ */
+function jqKey(key) {
+  return /^[A-Za-z_][\w]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) relative to the current source object
+ */
+const EXPRESSION_SYNTAX = {
+  access: jqPath,
+  literal: value => JSON.stringify(value),
+  // An empty result is null, as the transform engine writes nothing then
+  concat: (parts, separator) => `([${parts.join(', ')}] | map(select(. != null and . != "") | tostring) | join(${JSON.stringify(separator)}) | select(. != "") // null)`,
+  split: (value, separator, index, rest) => {
+    const parts = `(${value} // "") | tostring | split(${JSON.stringify(separator)}) | map(select(. != ""))`;
+    return rest ? `(${parts} | .[${index}:] | join(${JSON.stringify(separator)}) | select(. != "") // null)` : `(${parts} | .[${index}])`;
+  },
+  fallback: (value, literal) => `(${value} // ${literal})`
+};
+
+/**
+ * Generate a jq filter that turns a source document into the target shape
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - comment and conversions (jq filters per target field,
+ *   relative to the current source object)
+ * @returns {string} jq filter
+ */
+function generateJq(mapping, options = {}) {
+  const conversions = options.conversions || {};
+  const plan = buildMappingPlan(mapping, options);
+
+  const renderValue = (member, depth) => {
+    if (conversions[member.fullTarget]) {
+      return `(${conversions[member.fullTarget]})`;
+    }
+    if (member.expression) {
+      return renderExpression(member, EXPRESSION_SYNTAX);
+    }
+    const access = jqPath(member.source);
+    if (member.kind === 'collection' && member.element) {
+      return `[(${access} // [])[] | ${renderObject(buildTargetTree(member.element), depth)}]`;
+    }
+    return access;
+  };
+
+  const renderObject = (tree, depth) => {
+    const padding = INDENT.repeat(depth);
+    const entries = Array.from(tree.entries()).map(([key, value]) => {
+      const rendered = value instanceof Map ? renderObject(value, depth + 1) : renderValue(value, depth + 1);
+      return `${padding}${INDENT}${jqKey(key)}: ${rendered}`;
+    });
+    return entries.length > 0 ? `{\n${entries.join(',\n')}\n${padding}}` : '{}';
+  };
+
+  const comments = [
+    `Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    ...(options.comment ? options.comment.trim().split('\n').map(line => line.trim()) : []),
+    ...plan.notes.map(note => `Note: ${note}`),
+    ...(plan.unmappedTargetFields.length > 0 ? [`Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`] : [])
+  ];
+
+  return `${comments.map(comment => `# ${comment}`).join('\n')}\n${renderObject(buildTargetTree(plan.root), 0)}\n`;
+}
+
+module.exports = {
+  name: 'jq',
+  description: 'jq transformation filter',
+  extension: '.jq',
+  fenceLanguages: ['jq'],
+  commentSyntax: { line: ['#'], block: false },
+  llmTarget: 'a jq filter',
+  llmInstructions: [
+    'Write a single jq filter that turns a source document into a target document',
+    'Handle nested objects and arrays properly',
+    'Include any necessary type conversions using jq builtins',
+    'Return only the jq filter, with comments on lines starting with #'
+  ],
+  conversionHint: 'jq filters relative to the current source object (e.g. ".orderDetails.orderDate | strptime(\\"%Y-%m-%d\\") | mktime")',
+  generate: generateJq
+};
@@ -0,0 +1,99 @@
+const { parsePath } = require('../../utils/path-utils');
+const { buildMappingPlan, buildTargetTree, renderExpression } = require('./mapping-plan');
+
+const INDENT = '  ';
+
+/**
+ * Render a field path as a JSONata path relative to the current context
+ * @param {string} fieldPath - Field path
+ * @returns {string} JSONata path, e.g. `orderDetails.items[0].productId`
+ */
+function jsonataPath(fieldPath) {
+  return parsePath(fieldPath).map(segment => {
+    if (segment.key === undefined) {
+      return `[${segment.index || 0}]`;
+    }
+    const key = /^[A-Za-z_$][\w$]*$/.test(segment.key) ? segment.key : `\`${segment.key}\``;
+    return `.${key}`;
+  }).join('').replace(/^\./, '');
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) relative to the current source object
+ */
+const EXPRESSION_SYNTAX = {
+  access: jsonataPath,
+  literal: value => JSON.stringify(value),
+  // The array constructor drops missing parts; an empty result is undefined (a condition
+  // without else), as the transform engine writes nothing then
+  concat: (parts, separator) => `($joined := $join([${parts.join(', ')}][$ != ""].$string(), ${JSON.stringify(separator)}); $joined != "" ? $joined)`,
+  split: (value, separator, index, rest) => {
+    const parts = `$split($string(${value}), ${JSON.stringify(separator)})[$ != ""]`;
+    return rest
+      ? `($joined := $join($filter(${parts}, function($part, $i) { $i >= ${index} }), ${JSON.stringify(separator)}); $joined != "" ? $joined)`
+      : `${parts}[${index}]`;
+  },
+  fallback: (value, literal) => `($exists(${value}) ? ${value} : ${literal})`
+};
+
+/**
+ * Generate a JSONata expression that turns a source document into the target shape
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - comment and conversions (JSONata expressions per target field,
+ *   relative to the current source object)
+ * @returns {string} JSONata expression
+ */
+function generateJsonata(mapping, options = {}) {
+  const conversions = options.conversions || {};
+  const plan = buildMappingPlan(mapping, options);
+
+  const renderValue = (member, depth) => {
+    if (conversions[member.fullTarget]) {
+      return conversions[member.fullTarget];
+    }
+    if (member.expression) {
+      return renderExpression(member, EXPRESSION_SYNTAX);
+    }
+    const access = jsonataPath(member.source);
+    if (member.kind === 'collection' && member.element) {
+      // The array constructor keeps single-element results an array
+      return `[${access}.${renderObject(buildTargetTree(member.element), depth)}]`;
+    }
+    return access;
+  };
+
+  const renderObject = (tree, depth) => {
+    const padding = INDENT.repeat(depth);
+    const entries = Array.from(tree.entries()).map(([key, value]) => {
+      const rendered = value instanceof Map ? renderObject(value, depth + 1) : renderValue(value, depth + 1);
+      return `${padding}${INDENT}${JSON.stringify(key)}: ${rendered}`;
+    });
+    return entries.length > 0 ? `{\n${entries.join(',\n')}\n${padding}}` : '{}';
+  };
+
+  const comments = [
+    `Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    ...(options.comment ? options.comment.trim().split('\n').map(line => line.trim()) : []),
+    ...plan.notes.map(note => `Note: ${note}`),
+    ...(plan.unmappedTargetFields.length > 0 ? [`Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`] : [])
+  ];
+
+  return `/* ${comments.join('\n   ')} */\n${renderObject(buildTargetTree(plan.root), 0)}\n`;
+}
+
+module.exports = {
+  name: 'jsonata',
+  description: 'JSONata transformation expression',
+  extension: '.jsonata',
+  fenceLanguages: ['jsonata'],
+  commentSyntax: { line: [], block: true },
+  llmTarget: 'a JSONata expression',
+  llmInstructions: [
+    'Write a single JSONata expression that turns a source document into a target document',
+    'Handle nested objects and arrays properly',
+    'Include any necessary type conversions using JSONata functions',
+    'Return only the JSONata expression, with comments in /* */ blocks'
+  ],
+  conversionHint: 'JSONata expressions relative to the current source object (e.g. "$toMillis(orderDetails.orderDate)")',
+  generate: generateJsonata
+};
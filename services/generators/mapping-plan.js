@@ -0,0 +1,265 @@
+const path = require('path');
+const { buildFieldTree, findNode, isObjectNode } = require('../../utils/field-tree');
+const { toPascalCase } = require('../../utils/naming');
+const { ClassRegistry, collectClasses } = require('./type-model');
+
+/**
+ * Join a scope path and a relative field path
+ * @param {string} scope - Normalized scope path ('' for the root)
+ * @param {string} relative - Relative field path
+ * @returns {string} Full field path
+ */
+function joinPath(scope, relative) {
+  if (!scope) return relative;
+  if (!relative) return scope;
+  return `${scope}.${relative}`;
+}
+
+const isConstant = pair => Boolean(pair.expression && pair.expression.kind === 'constant');
+
+/**
+ * Strip the collection prefix from a path inside a collection element
+ * @param {string} fieldPath - Field path, e.g. `items[0].productId`
+ * @param {number} arrayIndex - Position of the collection's `[`
+ * @returns {string} Path relative to the element, e.g. `productId`
+ */
+function elementPath(fieldPath, arrayIndex) {
+  return fieldPath.slice(fieldPath.indexOf(']', arrayIndex) + 1).replace(/^\./, '');
+}
+
+/**
+ * Get the active source -> target pairs of a mapping result. Rejected and unmapped rows are
+ * dropped, and so are containers whose children are mapped individually. Constant pairs
+ * have no source; composite pairs keep their expression (see services/composite-mappings).
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @returns {Array<{source: string|null, target: string, expression: Object|undefined}>} Field pairs
+ */
+function getActivePairs(mapping) {
+  const pairs = mapping.fieldMappings
+    .filter(map => map.targetField && map.status !== 'rejected' && (map.sourceField || isConstant(map)))
+    .map(map => ({ source: map.sourceField || null, target: map.targetField, expression: map.expression }));
+
+  return pairs.filter(pair => !pairs.some(other =>
+    other !== pair &&
+    (other.target.startsWith(`${pair.target}.`) || other.target.startsWith(`${pair.target}[`))
+  ));
+}
+
+/**
+ * Build a language-neutral plan of what a code generator has to emit: the source and
+ * target classes, and one scope per pair of mapped classes. The root scope maps the
+ * source root to the target root; every mapped collection of objects gets a nested scope
+ * for its elements, with field paths relative to the element. Field members with a composite
+ * expression carry it, with concat sources relative to the scope as well.
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - sourceClassName, targetClassName and reservedNames (e.g. the mapper class)
+ * @returns {Object} Mapping plan
+ */
+function buildMappingPlan(mapping, options = {}) {
+  const baseName = filename => path.basename(filename, path.extname(filename));
+  const sourceName = toPascalCase(mapping.sourceStructure.name || baseName(mapping.sourceStructure.filename));
+  const targetName = toPascalCase(mapping.targetStructure.name || baseName(mapping.targetStructure.filename));
+
+  const registry = new ClassRegistry();
+  (options.reservedNames || []).forEach(name => registry.reserve(name));
+
+  const sourceTree = buildFieldTree(mapping.sourceFieldTypes || {});
+  const targetTree = buildFieldTree(mapping.targetFieldTypes || {});
+  const source = { tree: sourceTree, ...collectClasses(sourceTree, options.sourceClassName || sourceName, registry) };
+  const target = { tree: targetTree, ...collectClasses(targetTree, options.targetClassName || targetName, registry) };
+
+  const scopes = [];
+  const notes = [];
+
+  const buildScope = (pairs, sourceScope, targetScope) => {
+    const scope = {
+      sourceScope,
+      targetScope,
+      sourceClass: source.classByPath.get(sourceScope),
+      targetClass: target.classByPath.get(targetScope),
+      members: []
+    };
+    scopes.push(scope);
+    const collections = new Map();
+
+    const addCollection = (sourcePath, targetPath) => {
+      const key = `${sourcePath}\u0000${targetPath}`;
+      if (!collections.has(key)) {
+        const collection = { kind: 'collection', source: sourcePath, target: targetPath, pairs: [], element: null };
+        collections.set(key, collection);
+        scope.members.push(collection);
+      }
+      return collections.get(key);
+    };
+
+    // Constants inside a collection element go to the element scope of that collection
+    const elementConstants = [];
+
+    pairs.forEach(pair => {
+      const targetArray = pair.target.indexOf('[');
+      const fullTarget = joinPath(targetScope, pair.target);
+
+      if (isConstant(pair)) {
+        if (targetArray === -1) {
+          scope.members.push({ kind: 'field', source: null, target: pair.target, fullSource: null, fullTarget, expression: pair.expression });
+        } else {
+          elementConstants.push({ collection: pair.target.slice(0, targetArray), target: elementPath(pair.target, targetArray), pair });
+        }
+        return;
+      }
+
+      const sourceArray = pair.source.indexOf('[');
+      const fullSource = joinPath(sourceScope, pair.source);
+
+      if (sourceArray === -1 && targetArray === -1) {
+        const sourceNode = findNode(sourceTree, fullSource);
+        const targetNode = findNode(targetTree, fullTarget);
+
+        if (sourceNode && targetNode && sourceNode.isArray && targetNode.isArray) {
+          addCollection(pair.source, pair.target);
+        } else if (sourceNode && targetNode && isObjectNode(sourceNode) && isObjectNode(targetNode)) {
+          scope.members.push({
+            kind: 'object',
+            source: pair.source,
+            target: pair.target,
+            fullSource,
+            fullTarget,
+            sourceClass: source.classByPath.get(sourceNode.path),
+            targetClass: target.classByPath.get(targetNode.path)
+          });
+        } else {
+          scope.members.push({ kind: 'field', source: pair.source, target: pair.target, fullSource, fullTarget, expression: pair.expression });
+        }
+      } else if (sourceArray !== -1 && targetArray !== -1) {
+        const collectionSource = pair.source.slice(0, sourceArray);
+        const sources = pair.expression && pair.expression.kind === 'concat' ? pair.expression.sources : [pair.source];
+        if (!sources.every(other => other.startsWith(`${collectionSource}[`))) {
+          notes.push(`${fullTarget} joins fields from outside the ${joinPath(sourceScope, collectionSource)} elements`);
+          return;
+        }
+        const expression = pair.expression && pair.expression.kind === 'concat'
+          ? { ...pair.expression, sources: sources.map(other => elementPath(other, sourceArray)) }
+          : pair.expression;
+        const collection = addCollection(collectionSource, pair.target.slice(0, targetArray));
+        collection.pairs.push({
+          source: elementPath(pair.source, sourceArray),
+          target: elementPath(pair.target, targetArray),
+          expression
+        });
+      } else if (sourceArray !== -1) {
+        // A single target value taken from one collection element
+        scope.members.push({ kind: 'field', source: pair.source, target: pair.target, fullSource, fullTarget, expression: pair.expression });
+      } else {
+        notes.push(`${fullSource} -> ${fullTarget} maps a single value into a collection element`);
+      }
+    });
+
+    elementConstants.forEach(({ collection: targetCollection, target: elementTarget, pair }) => {
+      const matching = Array.from(collections.values()).filter(collection => collection.target === targetCollection);
+      if (matching.length === 0) {
+        notes.push(`${joinPath(targetScope, pair.target)} is a constant in a collection that nothing is mapped to`);
+      }
+      matching.forEach(collection => collection.pairs.push({ source: null, target: elementTarget, expression: pair.expression }));
+    });
+
+    collections.forEach(collection => {
+      const sourceElement = `${joinPath(sourceScope, collection.source)}[]`;
+      const targetElement = `${joinPath(targetScope, collection.target)}[]`;
+      const sourceNode = findNode(sourceTree, sourceElement);
+      const targetNode = findNode(targetTree, targetElement);
+
+      collection.fullSource = joinPath(sourceScope, collection.source);
+      collection.fullTarget = joinPath(targetScope, collection.target);
+      if (sourceNode && targetNode && isObjectNode(sourceNode) && isObjectNode(targetNode)) {
+        collection.element = buildScope(
+          collection.pairs.filter(pair => (pair.source || isConstant(pair)) && pair.target),
+          sourceElement,
+          targetElement
+        );
+      }
+    });
+
+    return scope;
+  };
+
+  const root = buildScope(getActivePairs(mapping), '', '');
+
+  return {
+    sourceName,
+    targetName,
+    source,
+    target,
+    root,
+    scopes,
+    notes,
+    unmappedTargetFields: mapping.unmappedTargetFields || []
+  };
+}
+
+/**
+ * Arrange the members of a scope as a tree keyed by target path segments, which is
+ * what generators that build nested object literals need
+ * @param {Object} scope - Scope from buildMappingPlan
+ * @returns {Map<string, Object>} Target key -> member (leaf) or nested Map
+ */
+function buildTargetTree(scope) {
+  const tree = new Map();
+
+  scope.members.forEach(member => {
+    const keys = member.target.split('.');
+    let node = tree;
+    keys.slice(0, -1).forEach(key => {
+      if (!(node.get(key) instanceof Map)) {
+        node.set(key, new Map());
+      }
+      node = node.get(key);
+    });
+    node.set(keys[keys.length - 1], member);
+  });
+
+  return tree;
+}
+
+/**
+ * Render the value of a field member that has a composite expression, using a language's
+ * building blocks
+ * @param {Object} member - Field member from buildMappingPlan
+ * @param {Object} syntax - access(path), literal(value), concat(parts, separator),
+ *   split(value, separator, index, rest) and fallback(value, literal) of the language
+ * @returns {string} Value expression
+ */
+function renderExpression(member, syntax) {
+  const { expression } = member;
+  switch (expression.kind) {
+    case 'constant':
+      return syntax.literal(expression.value);
+    case 'concat':
+      return syntax.concat(expression.sources.map(syntax.access), expression.separator);
+    case 'split':
+      return syntax.split(syntax.access(member.source), expression.separator, expression.index, Boolean(expression.rest));
+    case 'default':
+      return syntax.fallback(syntax.access(member.source), syntax.literal(expression.value));
+    default:
+      return syntax.access(member.source);
+  }
+}
+
+/**
+ * Check whether any scope of a plan uses an expression kind, for generators that emit a
+ * helper function only when it is needed
+ * @param {Object} plan - Result of buildMappingPlan
+ * @param {string} kind - Expression kind
+ * @returns {boolean} True when a member uses it
+ */
+function usesExpression(plan, kind) {
+  return plan.scopes.some(scope => scope.members.some(member => member.expression && member.expression.kind === kind));
+}
+
+module.exports = {
+  getActivePairs,
+  buildMappingPlan,
+  buildTargetTree,
+  renderExpression,
+  usesExpression,
+  joinPath
+};
@@ -0,0 +1,249 @@
+const { parsePath } = require('../../utils/path-utils');
+const { toSnakeCase } = require('../../utils/naming');
+const { buildMappingPlan, buildTargetTree, renderExpression, usesExpression, joinPath } = require('./mapping-plan');
+
+const INDENT = '    ';
+
+// Schema type names (lower-case) to Python types, with the import each one needs
+const PYTHON_TYPES = {
+  string: ['str'],
+  text: ['str'],
+  char: ['str'],
+  number: ['Decimal', 'from decimal import Decimal'],
+  decimal: ['Decimal', 'from decimal import Decimal'],
+  money: ['Decimal', 'from decimal import Decimal'],
+  integer: ['int'],
+  int: ['int'],
+  long: ['int'],
+  float: ['float'],
+  double: ['float'],
+  boolean: ['bool'],
+  bool: ['bool'],
+  date: ['date', 'from datetime import date'],
+  datetime: ['datetime', 'from datetime import datetime'],
+  'date-time': ['datetime', 'from datetime import datetime'],
+  timestamp: ['datetime', 'from datetime import datetime'],
+  time: ['time', 'from datetime import time'],
+  uuid: ['UUID', 'from uuid import UUID'],
+  guid: ['UUID', 'from uuid import UUID'],
+  object: ['Any'],
+  any: ['Any']
+};
+
+/**
+ * Map a schema type name to a Python type
+ * @param {string} type - Schema type name
+ * @param {Set<string>} imports - Collects the import lines the type needs
+ * @returns {string} Python type
+ */
+function toPythonType(type, imports = new Set()) {
+  const [pythonType, importLine] = PYTHON_TYPES[String(type || '').toLowerCase()] || PYTHON_TYPES.string;
+  if (importLine) {
+    imports.add(importLine);
+  }
+  return pythonType;
+}
+
+/**
+ * Render a field path as a call to the generated `_get` helper, which walks attributes
+ * and list indices and returns None as soon as a value is missing
+ * @param {string} variable - Variable holding the source object
+ * @param {string} fieldPath - Field path relative to the variable
+ * @returns {string} Python expression, e.g. `_get(src, "order_details", "items", 0)`
+ */
+function pythonAccess(variable, fieldPath) {
+  const steps = parsePath(fieldPath).map(segment => (
+    segment.key !== undefined ? JSON.stringify(toSnakeCase(segment.key)) : String(segment.index || 0)
+  ));
+  return `_get(${variable}, ${steps.join(', ')})`;
+}
+
+/**
+ * Render a JSON value as a Python literal
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} Python literal
+ */
+function pythonLiteral(value) {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return JSON.stringify(value);
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) written against `src`; split and
+ * default use the `_part` and `_default` helpers the generator emits when they are needed
+ */
+const EXPRESSION_SYNTAX = {
+  access: fieldPath => pythonAccess('src', fieldPath),
+  literal: pythonLiteral,
+  concat: (parts, separator) => `(${JSON.stringify(separator)}.join(str(part) for part in (${parts.join(', ')}) if part not in (None, "")) or None)`,
+  split: (value, separator, index, rest) => `_part(${value}, ${JSON.stringify(separator)}, ${index}${rest ? ', rest=True' : ''})`,
+  fallback: (value, literal) => `_default(${value}, ${literal})`
+};
+
+/**
+ * Generate Python dataclasses (or pydantic models) for source and target plus converter functions
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - pythonStyle ('dataclasses' or 'pydantic'), sourceClassName,
+ *   targetClassName, comment and conversions (Python expressions per target field, written against `src`)
+ * @returns {string} Python source code
+ */
+function generatePython(mapping, options = {}) {
+  const style = options.pythonStyle || 'dataclasses';
+  if (style !== 'dataclasses' && style !== 'pydantic') {
+    throw new Error(`Unknown Python style: ${style}. Use "dataclasses" or "pydantic".`);
+  }
+
+  const conversions = options.conversions || {};
+  const plan = buildMappingPlan(mapping, options);
+  const imports = new Set(['from typing import Any, List, Optional']);
+  const functionName = scope => `map_${toSnakeCase(scope.sourceClass)}_to_${toSnakeCase(scope.targetClass)}`;
+  const body = [];
+
+  if (style === 'pydantic') {
+    imports.add('from pydantic import BaseModel, ConfigDict, Field');
+  } else {
+    imports.add('from dataclasses import dataclass');
+  }
+
+  const renderClasses = (title, classes) => {
+    body.push(`# ${title}`);
+    classes.forEach(definition => {
+      if (style === 'pydantic') {
+        body.push(`class ${definition.name}(BaseModel):`);
+        // The converters construct models by field name; dump with by_alias=True for JSON keys
+        body.push(`${INDENT}model_config = ConfigDict(populate_by_name=True)`);
+      } else {
+        body.push('@dataclass');
+        body.push(`class ${definition.name}:`);
+      }
+      if (style !== 'pydantic' && definition.properties.length === 0) {
+        body.push(`${INDENT}pass`);
+      }
+      definition.properties.forEach(property => {
+        let type;
+        if (property.kind === 'list') {
+          type = `List[${property.className || (property.type ? toPythonType(property.type, imports) : 'Any')}]`;
+        } else {
+          type = property.kind === 'object' ? property.className : toPythonType(property.type, imports);
+        }
+        const name = toSnakeCase(property.key);
+        // pydantic keeps the original JSON key as alias so payloads validate as-is
+        const defaultValue = style === 'pydantic' && name !== property.key
+          ? `Field(default=None, alias=${JSON.stringify(property.key)})`
+          : 'None';
+        body.push(`${INDENT}${name}: Optional[${type}] = ${defaultValue}`);
+      });
+      body.push('', '');
+    });
+  };
+
+  renderClasses('Source data structure classes', plan.source.classes);
+  renderClasses('Target data structure classes', plan.target.classes);
+
+  body.push('def _get(value, *steps):');
+  body.push(`${INDENT}"""Walk attributes and list indices, returning None when a step is missing."""`);
+  body.push(`${INDENT}for step in steps:`);
+  body.push(`${INDENT}${INDENT}if value is None:`);
+  body.push(`${INDENT}${INDENT}${INDENT}return None`);
+  body.push(`${INDENT}${INDENT}if isinstance(step, int):`);
+  body.push(`${INDENT}${INDENT}${INDENT}value = value[step] if len(value) > step else None`);
+  body.push(`${INDENT}${INDENT}else:`);
+  body.push(`${INDENT}${INDENT}${INDENT}value = getattr(value, step, None)`);
+  body.push(`${INDENT}return value`);
+  body.push('', '');
+
+  if (usesExpression(plan, 'split')) {
+    body.push('def _part(value, separator, index, rest=False):');
+    body.push(`${INDENT}"""Take one part of a separated value, or with rest the remaining parts joined again."""`);
+    body.push(`${INDENT}parts = [part for part in str(value).split(separator) if part] if value is not None else []`);
+    body.push(`${INDENT}if rest:`);
+    body.push(`${INDENT}${INDENT}return separator.join(parts[index:]) or None`);
+    body.push(`${INDENT}return parts[index] if len(parts) > index else None`);
+    body.push('', '');
+  }
+  if (usesExpression(plan, 'default')) {
+    body.push('def _default(value, default):');
+    body.push(`${INDENT}"""Use the default when the value is missing."""`);
+    body.push(`${INDENT}return default if value is None else value`);
+    body.push('', '');
+  }
+
+  const renderValue = member => {
+    if (conversions[member.fullTarget]) {
+      return conversions[member.fullTarget];
+    }
+    if (member.expression) {
+      return renderExpression(member, EXPRESSION_SYNTAX);
+    }
+    const access = pythonAccess('src', member.source);
+    if (member.kind === 'collection' && member.element) {
+      return `[${functionName(member.element)}(item) for item in (${access} or [])]`;
+    }
+    return access;
+  };
+
+  const renderConstructor = (className, tree, targetScope, prefix, depth) => {
+    const padding = INDENT.repeat(depth);
+    const args = Array.from(tree.entries()).map(([key, value]) => {
+      const rendered = value instanceof Map
+        ? renderConstructor(
+          plan.target.classByPath.get(joinPath(targetScope, joinPath(prefix, key))),
+          value,
+          targetScope,
+          joinPath(prefix, key),
+          depth + 1
+        )
+        : renderValue(value);
+      return `${padding}${INDENT}${toSnakeCase(key)}=${rendered},`;
+    });
+    return args.length > 0 ? `${className}(\n${args.join('\n')}\n${padding})` : `${className}()`;
+  };
+
+  plan.scopes.forEach(scope => {
+    body.push(`def ${functionName(scope)}(src: ${scope.sourceClass}) -> ${scope.targetClass}:`);
+    const docstring = scope === plan.root && options.comment
+      ? options.comment.trim().replace(/\s*\n\s*/g, ' ')
+      : `Map ${scope.sourceClass} to ${scope.targetClass}.`;
+    body.push(`${INDENT}"""${docstring}"""`);
+    body.push(`${INDENT}return ${renderConstructor(scope.targetClass, buildTargetTree(scope), scope.targetScope, '', 1)}`);
+    body.push('', '');
+  });
+
+  plan.notes.forEach(note => body.push(`# Note: ${note}`));
+  if (plan.unmappedTargetFields.length > 0) {
+    body.push(`# Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`);
+  }
+
+  const lines = [
+    `# Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    'from __future__ import annotations',
+    '',
+    ...Array.from(imports).sort(),
+    '',
+    '',
+    ...body
+  ];
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  name: 'python',
+  description: 'Python dataclasses (or pydantic models) with converter functions',
+  extension: '.py',
+  fenceLanguages: ['python', 'py'],
+  commentSyntax: { line: ['#'], block: false },
+  llmTarget: 'Python converter functions using dataclasses',
+  llmInstructions: [
+    'Create Python dataclasses for both the source and target structures',
+    'Write a typed function that converts a source object to a target object',
+    'Add appropriate comments explaining the mapping logic',
+    'Handle nested objects and lists properly',
+    'Include any necessary type conversions',
+    'Return the complete Python module including imports'
+  ],
+  conversionHint: 'Python expressions using "src" with snake_case attribute names (e.g. "date.fromisoformat(src.order_details.order_date)")',
+  generate: generatePython,
+  toPythonType
+};
@@ -0,0 +1,81 @@
+const { isObjectNode } = require('../../utils/field-tree');
+const { toPascalCase, singularize } = require('../../utils/naming');
+
+/**
+ * Keeps generated type names unique within one output file
+ */
+class ClassRegistry {
+  constructor() {
+    this.names = new Set();
+  }
+
+  /**
+   * Reserve a type name, prefixing it with its parent type name on collisions
+   * @param {string} preferred - Preferred type name
+   * @param {string} parentName - Name of the enclosing type
+   * @returns {string} Unique type name
+   */
+  reserve(preferred, parentName = '') {
+    let name = preferred || 'Item';
+    if (this.names.has(name) && parentName) {
+      name = `${parentName}${name}`;
+    }
+    let counter = 2;
+    const base = name;
+    while (this.names.has(name)) {
+      name = `${base}${counter++}`;
+    }
+    this.names.add(name);
+    return name;
+  }
+}
+
+/**
+ * Collect language-neutral class definitions for a field tree. Every object node and
+ * every collection element with child fields becomes a class.
+ * @param {Object} root - Root node from buildFieldTree
+ * @param {string} rootClassName - Class name for the root node
+ * @param {ClassRegistry} registry - Shared type name registry
+ * @returns {{classes: Object[], classByPath: Map<string, string>}} Classes with properties
+ *   `{key, kind: 'scalar'|'object'|'list', type, className}` and the class name per node path
+ */
+function collectClasses(root, rootClassName, registry) {
+  const classes = [];
+  const classByPath = new Map();
+
+  const visit = (node, className) => {
+    classByPath.set(node.path, className);
+    const definition = { name: className, properties: [] };
+    classes.push(definition);
+
+    node.children.forEach(child => {
+      definition.properties.push({ key: child.name, ...describeProperty(child, className) });
+    });
+  };
+
+  const describeProperty = (node, parentName) => {
+    if (node.isArray) {
+      const element = node.element;
+      if (element && isObjectNode(element)) {
+        const elementClass = registry.reserve(toPascalCase(singularize(node.name)), parentName);
+        visit(element, elementClass);
+        return { kind: 'list', className: elementClass, type: null };
+      }
+      return { kind: 'list', className: null, type: element && element.type ? element.type : null };
+    }
+    if (isObjectNode(node)) {
+      const childClass = registry.reserve(toPascalCase(node.name), parentName);
+      visit(node, childClass);
+      return { kind: 'object', className: childClass, type: null };
+    }
+    return { kind: 'scalar', className: null, type: node.type };
+  };
+
+  visit(root, registry.reserve(rootClassName));
+  return { classes, classByPath };
+}
+
+module.exports = {
+  ClassRegistry,
+  collectClasses
+};
@@ -0,0 +1,183 @@
+const { parsePath } = require('../../utils/path-utils');
+const { buildMappingPlan, buildTargetTree, renderExpression } = require('./mapping-plan');
+
+const INDENT = '  ';
+
+// Schema type names (lower-case) to TypeScript types; dates stay ISO strings in JSON payloads
+const TYPESCRIPT_TYPES = {
+  string: 'string',
+  text: 'string',
+  char: 'string',
+  number: 'number',
+  decimal: 'number',
+  money: 'number',
+  integer: 'number',
+  int: 'number',
+  long: 'number',
+  float: 'number',
+  double: 'number',
+  boolean: 'boolean',
+  bool: 'boolean',
+  date: 'string',
+  datetime: 'string',
+  'date-time': 'string',
+  timestamp: 'string',
+  time: 'string',
+  uuid: 'string',
+  guid: 'string',
+  object: 'unknown',
+  any: 'unknown'
+};
+
+/**
+ * Map a schema type name to a TypeScript type
+ * @param {string} type - Schema type name
+ * @returns {string} TypeScript type
+ */
+function toTypeScriptType(type) {
+  return TYPESCRIPT_TYPES[String(type || '').toLowerCase()] || 'string';
+}
+
+/**
+ * Render an object key, quoting it when it is not a valid identifier
+ * @param {string} key - Property key
+ * @returns {string} Key as written in TypeScript
+ */
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render a field path as an optional-chaining access expression
+ * @param {string} variable - Variable holding the source object
+ * @param {string} fieldPath - Field path relative to the variable
+ * @returns {string} Access expression, e.g. `src.orderDetails?.items?.[0]?.productId`
+ */
+function accessChain(variable, fieldPath) {
+  return parsePath(fieldPath).reduce((expression, segment, i) => {
+    const optional = i === 0 ? '' : '?';
+    if (segment.key === undefined) {
+      return `${expression}${optional ? '?.' : ''}[${segment.index || 0}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(segment.key)
+      ? `${expression}${optional}.${segment.key}`
+      : `${expression}${optional ? '?.' : ''}[${JSON.stringify(segment.key)}]`;
+  }, variable);
+}
+
+/**
+ * Composite expressions (see services/composite-mappings) written against `src`
+ */
+const EXPRESSION_SYNTAX = {
+  access: fieldPath => accessChain('src', fieldPath),
+  literal: value => JSON.stringify(value),
+  // An empty result is undefined, as the transform engine writes nothing then
+  concat: (parts, separator) => `([${parts.join(', ')}].filter(part => part != null && part !== '').join(${JSON.stringify(separator)}) || undefined)`,
+  split: (value, separator, index, rest) => {
+    const parts = `String(${value} ?? '').split(${JSON.stringify(separator)}).filter(Boolean)`;
+    return rest ? `(${parts}.slice(${index}).join(${JSON.stringify(separator)}) || undefined)` : `${parts}[${index}]`;
+  },
+  fallback: (value, literal) => `${value} ?? ${literal}`
+};
+
+/**
+ * Generate TypeScript interfaces for source and target plus mapping functions
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @param {Object} options - sourceClassName, targetClassName, comment and conversions
+ *   (TypeScript expressions per target field, written against `src`)
+ * @returns {string} TypeScript source code
+ */
+function generateTypeScript(mapping, options = {}) {
+  const conversions = options.conversions || {};
+  const plan = buildMappingPlan(mapping, options);
+  const functionName = scope => `map${scope.sourceClass}To${scope.targetClass}`;
+
+  const lines = [
+    `// Generated from the field mappings between ${mapping.sourceStructure.filename} and ${mapping.targetStructure.filename}`,
+    ''
+  ];
+
+  const renderInterfaces = (title, classes) => {
+    lines.push(`// ${title}`);
+    classes.forEach(definition => {
+      lines.push(`export interface ${definition.name} {`);
+      definition.properties.forEach(property => {
+        let type;
+        if (property.kind === 'list') {
+          type = `${property.className || (property.type ? toTypeScriptType(property.type) : 'unknown')}[]`;
+        } else {
+          type = property.kind === 'object' ? property.className : toTypeScriptType(property.type);
+        }
+        lines.push(`${INDENT}${propertyKey(property.key)}?: ${type};`);
+      });
+      lines.push('}', '');
+    });
+  };
+
+  renderInterfaces('Source data structure types', plan.source.classes);
+  renderInterfaces('Target data structure types', plan.target.classes);
+
+  const renderValue = member => {
+    if (conversions[member.fullTarget]) {
+      return conversions[member.fullTarget];
+    }
+    if (member.expression) {
+      return renderExpression(member, EXPRESSION_SYNTAX);
+    }
+    const access = accessChain('src', member.source);
+    if (member.kind === 'collection' && member.element) {
+      return `(${access} ?? []).map(${functionName(member.element)})`;
+    }
+    if (member.kind === 'object') {
+      // Structurally different classes: copy as-is and let the caller refine it
+      return `${access} as unknown as ${member.targetClass}`;
+    }
+    return access;
+  };
+
+  const renderLiteral = (tree, depth) => {
+    const padding = INDENT.repeat(depth);
+    const entries = Array.from(tree.entries()).map(([key, value]) => {
+      const rendered = value instanceof Map ? renderLiteral(value, depth + 1) : renderValue(value);
+      return `${padding}${INDENT}${propertyKey(key)}: ${rendered}`;
+    });
+    return entries.length > 0 ? `{\n${entries.join(',\n')}\n${padding}}` : '{}';
+  };
+
+  plan.scopes.forEach(scope => {
+    const description = scope === plan.root && options.comment
+      ? options.comment.trim().split('\n').map(line => ` * ${line.trim()}`)
+      : [` * Map ${scope.sourceClass} to ${scope.targetClass}`];
+    lines.push('/**', ...description, ' */');
+    lines.push(`export function ${functionName(scope)}(src: ${scope.sourceClass}): ${scope.targetClass} {`);
+    lines.push(`${INDENT}return ${renderLiteral(buildTargetTree(scope), 1)};`);
+    lines.push('}', '');
+  });
+
+  plan.notes.forEach(note => lines.push(`// Note: ${note}`));
+  if (plan.unmappedTargetFields.length > 0) {
+    lines.push(`// Unmapped target fields: ${plan.unmappedTargetFields.join(', ')}`);
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  name: 'typescript',
+  description: 'TypeScript interfaces with mapping functions',
+  extension: '.ts',
+  fenceLanguages: ['typescript', 'ts'],
+  commentSyntax: { line: ['//'], block: true },
+  llmTarget: 'TypeScript mapping functions',
+  llmInstructions: [
+    'Create TypeScript interfaces for both the source and target structures',
+    'Write a typed function that converts a source object to a target object',
+    'Add appropriate comments explaining the mapping logic',
+    'Handle nested objects and arrays properly',
+    'Include any necessary type conversions',
+    'Return the complete TypeScript module'
+  ],
+  conversionHint: 'TypeScript expressions using "src" with the original property names (e.g. "new Date(src.orderDetails?.orderDate ?? \'\').toISOString()")',
+  generate: generateTypeScript,
+  toTypeScriptType
+};
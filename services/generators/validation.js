@@ -0,0 +1,39 @@
+const { extractCode, findUnbalancedBrackets } = require('../../utils/code-utils');
+
+/**
+ * Strip an LLM response down to the code for the given target
+ * @param {string} text - Raw LLM response
+ * @param {Object} target - Code generator the response was requested for
+ * @returns {string} Code with a trailing newline
+ */
+function postProcessCode(text, target) {
+  return `${extractCode(text, target.fenceLanguages)}\n`;
+}
+
+/**
+ * Structurally validate generated code: brackets must balance and the target's own
+ * checks (e.g. AutoMapper profile and member coverage for C#) must pass
+ * @param {string} code - Generated code
+ * @param {Object} mapping - Mapping result the code was generated for
+ * @param {Object} target - Code generator the code was generated for
+ * @returns {{passed: boolean, errors: string[]}} Validation result
+ */
+function validateGeneratedCode(code, mapping, target) {
+  const errors = [];
+
+  if (!code.trim()) {
+    errors.push('The output contains no code');
+  } else {
+    errors.push(...findUnbalancedBrackets(code, target.commentSyntax));
+    if (target.validate) {
+      errors.push(...target.validate(code, mapping));
+    }
+  }
+
+  return { passed: errors.length === 0, errors };
+}
+
+module.exports = {
+  postProcessCode,
+  validateGeneratedCode
+};
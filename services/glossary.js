@@ -0,0 +1,160 @@
+/**
+ * Project glossary (`mapper.glossary.yaml`): the domain vocabulary the embedding model does
+ * not know. It steers matching and is quoted in LLM prompts.
+ *
+ * synonyms:            # terms with the same meaning, in field names and prompts
+ *   - [customer, client]
+ *   - [order, purchase]
+ *   - [sku, productId]
+ * mappings:            # pairs that are always mapped
+ *   - { source: customerInfo.customerId, target: client.id }
+ * forbidden:           # pairs that are never mapped
+ *   - { source: orderDetails.orderId, target: client.id }
+ * descriptions:        # meaning of a field, keyed by field path or field name
+ *   sku: Stock keeping unit that identifies a product
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { splitWords } = require('../utils/naming');
+
+const GLOSSARY_FILES = ['mapper.glossary.yaml', 'mapper.glossary.yml', 'mapper.glossary.json'];
+
+/**
+ * Check a parsed glossary and fill in the missing sections
+ * @param {Object} glossary - Parsed glossary file
+ * @param {string} filePath - Glossary location, used in error messages
+ * @returns {Object} Glossary with synonyms, mappings, forbidden and descriptions
+ */
+function validateGlossary(glossary, filePath) {
+  if (!glossary || typeof glossary !== 'object' || Array.isArray(glossary)) {
+    throw new Error(`Invalid glossary ${filePath}: expected an object with synonyms, mappings, forbidden or descriptions`);
+  }
+
+  const { synonyms = [], mappings = [], forbidden = [], descriptions = {} } = glossary;
+  if (!Array.isArray(synonyms) || synonyms.some(group => !Array.isArray(group) || group.length < 2 ||
+      group.some(term => typeof term !== 'string' || !term.trim()))) {
+    throw new Error(`Invalid glossary ${filePath}: synonyms must be a list of groups with at least two terms`);
+  }
+  [['mappings', mappings], ['forbidden', forbidden]].forEach(([section, pairs]) => {
+    if (!Array.isArray(pairs)) {
+      throw new Error(`Invalid glossary ${filePath}: ${section} must be a list`);
+    }
+    pairs.forEach((pair, i) => {
+      if (!pair || typeof pair.source !== 'string' || typeof pair.target !== 'string') {
+        throw new Error(`Invalid glossary ${filePath}: ${section} entry ${i + 1} needs a source and a target`);
+      }
+    });
+  });
+  if (typeof descriptions !== 'object' || Array.isArray(descriptions) ||
+      Object.values(descriptions).some(description => typeof description !== 'string')) {
+    throw new Error(`Invalid glossary ${filePath}: descriptions must map field paths or names to text`);
+  }
+
+  return { path: filePath, synonyms, mappings, forbidden, descriptions };
+}
+
+/**
+ * Load a glossary from a .yaml, .yml or .json file
+ * @param {string} filePath - Glossary file path
+ * @returns {Object} Checked glossary
+ */
+async function loadGlossary(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const ext = path.extname(filePath).toLowerCase();
+  return validateGlossary(ext === '.json' ? JSON.parse(content) : yaml.load(content), filePath);
+}
+
+/**
+ * Find the project glossary in a directory
+ * @param {string} directory - Directory to look in
+ * @returns {string|null} Path of the first glossary file that exists, or null
+ */
+async function findGlossaryFile(directory) {
+  for (const name of GLOSSARY_FILES) {
+    const filePath = path.join(directory, name);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a text mentions a term, comparing whole words (`productId` matches
+ * `items[0].productId` and `product id`, not `productIdentifier`)
+ * @param {string[]} words - Words of the text, from splitWords
+ * @param {string} term - Glossary term
+ * @returns {boolean} True when the term's words occur in a row
+ */
+function mentions(words, term) {
+  const termWords = splitWords(term);
+  return termWords.length > 0 && words.some((word, i) => termWords.every((termWord, k) => words[i + k] === termWord));
+}
+
+/**
+ * Find the glossary description of a field, by its full path or by its name
+ * @param {Object} glossary - Loaded glossary
+ * @param {string} fieldPath - Field path
+ * @returns {string|null} Description
+ */
+function describeGlossaryField(glossary, fieldPath) {
+  if (!glossary) return null;
+  const name = fieldPath.replace(/\[\d*\]/g, '').split('.').pop();
+  return glossary.descriptions[fieldPath] || glossary.descriptions[name] || null;
+}
+
+/**
+ * List the synonyms of the terms a field path mentions, to add to its embedded text
+ * @param {Object} glossary - Loaded glossary
+ * @param {string} fieldPath - Field path
+ * @returns {string[]} Synonyms of the mentioned terms, excluding the terms themselves
+ */
+function synonymsOf(glossary, fieldPath) {
+  if (!glossary) return [];
+  const words = splitWords(fieldPath);
+  return glossary.synonyms
+    .filter(group => group.some(term => mentions(words, term)))
+    .flatMap(group => group.filter(term => !mentions(words, term)));
+}
+
+/**
+ * Render the glossary entries that concern a text (field lists, a query) for an LLM prompt
+ * @param {Object} glossary - Loaded glossary
+ * @param {string} text - Text the prompt is about
+ * @returns {string} Glossary lines, or '' when nothing applies
+ */
+function glossaryContext(glossary, text) {
+  if (!glossary) return '';
+  const words = splitWords(text);
+  const lines = [
+    ...glossary.synonyms
+      .filter(group => group.some(term => mentions(words, term)))
+      .map(group => `- ${group.join(' = ')}`),
+    ...Object.entries(glossary.descriptions)
+      .filter(([key]) => mentions(words, key))
+      .map(([key, description]) => `- ${key}: ${description}`),
+    ...glossary.mappings
+      .filter(pair => mentions(words, pair.source) || mentions(words, pair.target))
+      .map(pair => `- ${pair.source} always maps to ${pair.target}`),
+    ...glossary.forbidden
+      .filter(pair => mentions(words, pair.source) || mentions(words, pair.target))
+      .map(pair => `- ${pair.source} must not map to ${pair.target}`)
+  ];
+
+  return lines.length > 0 ? `Domain glossary:\n${lines.join('\n')}` : '';
+}
+
+module.exports = {
+  GLOSSARY_FILES,
+  validateGlossary,
+  loadGlossary,
+  findGlossaryFile,
+  describeGlossaryField,
+  synonymsOf,
+  glossaryContext
+};
@@ -0,0 +1,180 @@
+/**
+ * Hierarchy-aware scoring: the similarity of two fields is blended with the similarity of
+ * their parents, so `customerInfo.address.city` prefers a `city` below `mailingAddress`
+ * in `client` over one in an unrelated object. A parent (an object, a collection element
+ * or the entity of a multi-entity schema) is represented by the mean vector of the fields
+ * below it; the fields outside any parent share the mean vector of the whole schema.
+ *
+ * Siblings are also kept together: once a scope is assigned, it is assigned again with a bonus
+ * for the target parent most of a field's siblings went to, so a stray `city` follows the
+ * other `address` fields instead of landing in another object with a slightly closer name.
+ */
+
+const { cosineSimilarity } = require('../utils/vector-utils');
+const { expressionSources } = require('./composite-mappings');
+
+// Share of the parent similarity in the blended score
+const PARENT_WEIGHT = 0.3;
+// Bonus for a target below the parent all of a field's siblings went to
+const SIBLING_WEIGHT = 0.1;
+
+/**
+ * Get the parent path of a field
+ * @param {string} field - Field path, e.g. `customerInfo.address.city` or `items[0].id`
+ * @returns {string} Parent path, e.g. `customerInfo.address` or `items[0]` ('' at the top)
+ */
+function parentPath(field) {
+  const dot = field.lastIndexOf('.');
+  return dot === -1 ? '' : field.slice(0, dot);
+}
+
+/**
+ * Average the vectors of every parent's descendant fields
+ * @param {Array<{field: string, vector: number[]}>} fields - Embedded fields
+ * @returns {Map<string, number[]>} Parent path -> mean vector, with '' for the whole schema
+ */
+function buildParentVectors(fields) {
+  const sums = new Map();
+  const add = (key, vector) => {
+    if (!sums.has(key)) {
+      sums.set(key, { sum: new Array(vector.length).fill(0), count: 0 });
+    }
+    const entry = sums.get(key);
+    vector.forEach((value, k) => { entry.sum[k] += value; });
+    entry.count++;
+  };
+
+  fields.forEach(field => {
+    add('', field.vector);
+    for (let parent = parentPath(field.field); parent; parent = parentPath(parent)) {
+      add(parent, field.vector);
+    }
+  });
+
+  return new Map(Array.from(sums, ([key, { sum, count }]) => [key, sum.map(value => value / count)]));
+}
+
+/**
+ * Create a function that compares the parents of a source and a target field
+ * @param {Array<{field: string, vector: number[]}>} sourceFields - Embedded source fields
+ * @param {Array<{field: string, vector: number[]}>} targetFields - Embedded target fields
+ * @returns {function(string, string): number} Parent similarity of a source and a target field path
+ */
+function createParentScorer(sourceFields, targetFields) {
+  const sourceParents = buildParentVectors(sourceFields);
+  const targetParents = buildParentVectors(targetFields);
+  const cache = new Map();
+
+  return (sourceField, targetField) => {
+    const sourceParent = parentPath(sourceField);
+    const targetParent = parentPath(targetField);
+    const key = `${sourceParent}\u0000${targetParent}`;
+    if (!cache.has(key)) {
+      cache.set(key, cosineSimilarity(sourceParents.get(sourceParent), targetParents.get(targetParent)));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Blend the score of a field pair with the similarity of the fields' parents
+ * @param {number} score - Score of the fields themselves
+ * @param {number} parentScore - Similarity of their parents, see createParentScorer
+ * @param {number} weight - Share of the parent similarity
+ * @returns {number} Blended score
+ */
+function blendParentScore(score, parentScore, weight = PARENT_WEIGHT) {
+  return (1 - weight) * score + weight * parentScore;
+}
+
+/**
+ * Create a function that scores how well a target keeps a source field with its siblings
+ * @param {Array<[string, string]>} pairs - Assigned source and target field paths
+ * @returns {function(string, string): number} Share of the source field's other assigned
+ *   siblings (fields with the same parent) whose target has the same parent as the target
+ *   field; 0 for fields outside any parent
+ */
+function createSiblingScorer(pairs) {
+  const assigned = new Map(pairs);
+  // Source parent -> target parent -> number of fields
+  const counts = new Map();
+  pairs.forEach(([sourceField, targetField]) => {
+    const sourceParent = parentPath(sourceField);
+    if (!counts.has(sourceParent)) {
+      counts.set(sourceParent, new Map());
+    }
+    const targets = counts.get(sourceParent);
+    targets.set(parentPath(targetField), (targets.get(parentPath(targetField)) || 0) + 1);
+  });
+
+  return (sourceField, targetField) => {
+    const sourceParent = parentPath(sourceField);
+    const targets = counts.get(sourceParent);
+    if (!sourceParent || !targets) return 0;
+
+    // The field's own assignment is no sibling
+    const own = assigned.has(sourceField) ? parentPath(assigned.get(sourceField)) : null;
+    const targetParent = parentPath(targetField);
+    const total = Array.from(targets.values()).reduce((sum, count) => sum + count, 0) - (own !== null ? 1 : 0);
+    const count = (targets.get(targetParent) || 0) - (own === targetParent ? 1 : 0);
+    return total > 0 ? count / total : 0;
+  };
+}
+
+/**
+ * Add the sibling bonus to the score of a field pair; only used to choose between targets,
+ * the confidence of a pair stays its own score
+ * @param {number} score - Score of the pair
+ * @param {number} siblingScore - Share of the siblings in the same target parent, see createSiblingScorer
+ * @param {number} weight - Bonus when all siblings are there
+ * @returns {number} Score with the bonus
+ */
+function blendSiblingScore(score, siblingScore, weight = SIBLING_WEIGHT) {
+  return score + weight * siblingScore;
+}
+
+/**
+ * Derive the entity-level correspondences from the field mappings: every source parent is
+ * paired with the target parent that most of its mapped fields went to
+ * @param {Object[]} fieldMappings - Field mapping rows
+ * @returns {Array<{sourcePath: string, targetPath: string, confidence: number, fieldCount: number}>}
+ *   Parent pairs with the mean confidence and number of their field mappings
+ */
+function collectEntityMappings(fieldMappings) {
+  const bySourceParent = new Map();
+
+  fieldMappings
+    .filter(row => row.targetField && row.status !== 'rejected' && row.sourceField)
+    .forEach(row => {
+      const targetParent = parentPath(row.targetField);
+      expressionSources(row).map(parentPath).forEach(sourceParent => {
+        if (!sourceParent && !targetParent) return;
+        if (!bySourceParent.has(sourceParent)) {
+          bySourceParent.set(sourceParent, new Map());
+        }
+        const targets = bySourceParent.get(sourceParent);
+        const entry = targets.get(targetParent) || { confidence: 0, fieldCount: 0 };
+        entry.confidence += row.confidence;
+        entry.fieldCount++;
+        targets.set(targetParent, entry);
+      });
+    });
+
+  return Array.from(bySourceParent, ([sourcePath, targets]) => {
+    const [targetPath, { confidence, fieldCount }] = Array.from(targets).sort((a, b) =>
+      b[1].fieldCount - a[1].fieldCount || b[1].confidence - a[1].confidence)[0];
+    return { sourcePath, targetPath, confidence: confidence / fieldCount, fieldCount };
+  });
+}
+
+module.exports = {
+  PARENT_WEIGHT,
+  SIBLING_WEIGHT,
+  parentPath,
+  buildParentVectors,
+  createParentScorer,
+  blendParentScore,
+  createSiblingScorer,
+  blendSiblingScore,
+  collectEntityMappings
+};
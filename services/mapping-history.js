@@ -0,0 +1,176 @@
+/**
+ * Mapping history: a local store of the source -> target pairs that people approved in earlier
+ * runs, with the embeddings of both fields. New runs look up the nearest approved pairs to
+ * boost or propose a match, so a team's decisions carry over to similar schemas.
+ *
+ * The vectors only compare with vectors of the same embedding model, so the file records the
+ * model and dimension, and a history built with another model is rejected.
+ *
+ * File: { historyVersion, model, dimension, pairs: Pair[] }
+ * Pair: { sourceField, targetField, sourceVector, targetVector, approvals: [{ source, target, at }] }
+ */
+
+const fs = require('fs').promises;
+const { cosineSimilarity } = require('../utils/vector-utils');
+const { fingerprint } = require('./mapping-spec');
+
+const HISTORY_VERSION = 1;
+const DEFAULT_HISTORY_FILE = 'mapping-history.json';
+// An approved pair counts for a new pair when both fields are at least this similar...
+const MIN_FIELD_SIMILARITY = 0.9;
+// ...and their combined similarity reaches this score
+const MIN_HISTORY_SCORE = 0.85;
+const APPROVED_STATUSES = ['accepted', 'manual'];
+
+/**
+ * Create an empty history
+ * @param {string} filePath - Where the history is saved
+ * @param {Object} options - model: name of the embedding model; dimension: vector length,
+ *   taken from the first recorded pair when not given
+ * @returns {Object} History
+ */
+function createHistory(filePath, { model = null, dimension = null } = {}) {
+  return { path: filePath, historyVersion: HISTORY_VERSION, model, dimension, pairs: [] };
+}
+
+/**
+ * Load a mapping history; a missing file gives an empty history
+ * @param {string} filePath - History file path
+ * @param {Object} options - model: embedding model the history must have been built with
+ * @returns {Object} History with path, model, dimension and pairs
+ */
+async function loadHistory(filePath, { model = null } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return createHistory(filePath, { model });
+    throw error;
+  }
+
+  const stored = JSON.parse(content);
+  if (!stored || !Array.isArray(stored.pairs)) {
+    throw new Error(`Invalid mapping history ${filePath}: pairs array is missing`);
+  }
+  if (stored.historyVersion !== HISTORY_VERSION) {
+    throw new Error(`Unsupported mapping history version ${stored.historyVersion} in ${filePath} (expected ${HISTORY_VERSION})`);
+  }
+  if (model && stored.model !== model) {
+    throw new Error(`Mapping history ${filePath} was built with ${stored.model} (${stored.dimension} dimensions), not ${model}. Use another --history file or --no-history.`);
+  }
+  return {
+    ...createHistory(filePath, { model: stored.model, dimension: stored.dimension }),
+    pairs: stored.pairs
+  };
+}
+
+/**
+ * Save a mapping history to its file
+ * @param {Object} history - History from loadHistory
+ */
+async function saveHistory(history) {
+  await fs.writeFile(history.path, JSON.stringify({
+    historyVersion: history.historyVersion,
+    model: history.model,
+    dimension: history.dimension,
+    pairs: history.pairs
+  }));
+}
+
+/**
+ * Record the approved rows of a mapping: accepted and manual rows with a source and a target.
+ * Rows forced by the glossary and composite rows are skipped. A pair approved again for the
+ * same source and target files is only counted once.
+ * @param {Object} history - History from loadHistory
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures, with sourceEmbeddings and targetEmbeddings
+ * @returns {number} Number of rows recorded as new approvals
+ */
+function recordApprovedMappings(history, mapping) {
+  const sourceVectors = new Map(mapping.sourceEmbeddings.map(field => [field.field, field.vector]));
+  const targetVectors = new Map(mapping.targetEmbeddings.map(field => [field.field, field.vector]));
+  const dimension = mapping.sourceEmbeddings.length > 0 ? mapping.sourceEmbeddings[0].vector.length : null;
+  if (dimension !== null && history.dimension !== null && dimension !== history.dimension) {
+    throw new Error(`Mapping history ${history.path} holds ${history.dimension}-dimensional vectors, not ${dimension}`);
+  }
+  if (dimension !== null) {
+    history.dimension = dimension;
+  }
+  const approval = {
+    source: fingerprint(mapping.sourceStructure.content),
+    target: fingerprint(mapping.targetStructure.content)
+  };
+  let recorded = 0;
+
+  mapping.fieldMappings
+    .filter(row => APPROVED_STATUSES.includes(row.status) && row.origin !== 'glossary' && !row.expression &&
+      sourceVectors.has(row.sourceField) && targetVectors.has(row.targetField))
+    .forEach(row => {
+      let pair = history.pairs.find(other => other.sourceField === row.sourceField && other.targetField === row.targetField);
+      if (!pair) {
+        pair = { sourceField: row.sourceField, targetField: row.targetField, approvals: [] };
+        history.pairs.push(pair);
+      }
+      // The latest embeddings are kept, so the history follows changes of the embedding text
+      pair.sourceVector = sourceVectors.get(row.sourceField);
+      pair.targetVector = targetVectors.get(row.targetField);
+      if (!pair.approvals.some(other => other.source === approval.source && other.target === approval.target)) {
+        pair.approvals.push({ ...approval, at: new Date().toISOString() });
+        recorded++;
+      }
+    });
+
+  return recorded;
+}
+
+/**
+ * Create a function that scores a source and a target field by the nearest approved pair:
+ * the product of the source's similarity to the pair's source field and the target's
+ * similarity to the pair's target field
+ * @param {Object} history - History from loadHistory
+ * @param {Array<{field: string, vector: number[]}>} sourceFields - Embedded source fields
+ * @param {Array<{field: string, vector: number[]}>} targetFields - Embedded target fields
+ * @returns {function(number, number): ({score: number, pair: Object}|null)} Lookup by source and
+ *   target index; null when no approved pair is close enough
+ */
+function createHistoryScorer(history, sourceFields, targetFields) {
+  const usable = history.pairs.filter(pair =>
+    pair.sourceVector && pair.targetVector &&
+    sourceFields.length > 0 && pair.sourceVector.length === sourceFields[0].vector.length);
+  // Approved pairs whose source resembles each source field
+  const candidates = sourceFields.map(sourceField => usable
+    .map(pair => ({ pair, similarity: cosineSimilarity(sourceField.vector, pair.sourceVector) }))
+    .filter(candidate => candidate.similarity >= MIN_FIELD_SIMILARITY));
+
+  return (i, j) => {
+    let best = null;
+    candidates[i].forEach(({ pair, similarity }) => {
+      const targetSimilarity = cosineSimilarity(targetFields[j].vector, pair.targetVector);
+      const score = similarity * targetSimilarity;
+      if (targetSimilarity >= MIN_FIELD_SIMILARITY && score >= MIN_HISTORY_SCORE && (!best || score > best.score)) {
+        best = { score, pair };
+      }
+    });
+    return best;
+  };
+}
+
+/**
+ * Describe where a history match came from, for terminal output
+ * @param {Object} match - The `history` of a field mapping row: sourceField, targetField and
+ *   the number of approvals
+ * @returns {string} Text such as `approved as email -> emailAddress in 3 mappings`
+ */
+function describeHistoryMatch(match) {
+  return `approved as ${match.sourceField} -> ${match.targetField} in ${match.approvals} mapping${match.approvals === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  HISTORY_VERSION,
+  DEFAULT_HISTORY_FILE,
+  createHistory,
+  loadHistory,
+  saveHistory,
+  recordApprovedMappings,
+  createHistoryScorer,
+  describeHistoryMatch
+};
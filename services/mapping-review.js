@@ -0,0 +1,167 @@
+const readline = require('readline');
+const { formatCompatibility } = require('./type-compatibility');
+const { describeExpression } = require('./composite-mappings');
+const { formatScoreBreakdown } = require('./field-scorer');
+
+/**
+ * Ask a question on the terminal and resolve with the trimmed answer. Answers are read from
+ * the line iterator of the readline interface, which keeps lines that arrive before they
+ * are asked for (e.g. answers piped in).
+ * @param {AsyncIterator<string>} lines - Lines of the readline interface
+ * @param {stream.Writable} output - Where the prompt is written
+ * @param {string} question - Prompt text
+ * @returns {Promise<string|null>} Answer, or null when the input ended (EOF, Ctrl+D)
+ */
+async function ask(lines, output, question) {
+  output.write(question);
+  const { value, done } = await lines.next();
+  return done ? null : value.trim();
+}
+
+/**
+ * Point a row at another target, taking the confidence and score breakdown from its matches
+ * @param {Object} row - Field mapping row
+ * @param {string} targetField - Target field path
+ */
+function retarget(row, targetField) {
+  const match = (row.targetMatches || []).find(m => m.targetField === targetField);
+  row.targetField = targetField;
+  row.confidence = match ? match.confidence : 0;
+  if (match && match.components) {
+    row.scores = match.components;
+  } else {
+    delete row.scores;
+  }
+  delete row.history;
+  if (match && match.origin) {
+    row.origin = match.origin;
+  } else {
+    delete row.origin;
+  }
+}
+
+/**
+ * Interactively review the field mappings of a mapping result in the terminal.
+ * For every row the reviewer can accept the proposed target, pick another of the
+ * top matches, type a custom target path or ignore the source field. Ignoring a composite
+ * row (concat, split, constant, ...) rejects that composite and keeps its target on record.
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures (modified in place)
+ * @param {Object} options - Review options
+ * @param {boolean} options.reviewAll - Also revisit rows that were already reviewed
+ * @param {stream.Readable} options.input - Input stream (defaults to stdin)
+ * @param {stream.Writable} options.output - Output stream (defaults to stdout)
+ * @returns {Promise<Object>} Counts of the decisions taken
+ */
+async function reviewFieldMappings(mapping, options = {}) {
+  const output = options.output || process.stdout;
+  const rl = readline.createInterface({ input: options.input || process.stdin, output });
+  const lines = rl[Symbol.asyncIterator]();
+  const write = text => output.write(`${text}\n`);
+  const knownTargets = new Set(mapping.targetFields || []);
+  const summary = { accepted: 0, manual: 0, ignored: 0, skipped: 0 };
+
+  const rows = mapping.fieldMappings.filter(row =>
+    // Rejected pairs are only kept as a record of an earlier decision
+    !(row.status === 'rejected' && row.targetField) &&
+    (options.reviewAll || !row.status || row.status === 'auto')
+  );
+
+  write(`\nReviewing ${rows.length} field mapping(s)`);
+  write('  Enter/a = accept, 1-9 = pick match, c = custom target, i = ignore field, s = skip, q = finish\n');
+
+  try {
+    for (let index = 0; index < rows.length; index++) {
+      const row = rows[index];
+      const matches = row.targetMatches || [];
+      const proposed = row.targetField || (matches[0] && matches[0].targetField);
+      const current = row.targetField
+        ? `${row.targetField} (confidence: ${row.confidence.toFixed(2)})${row.origin === 'history' ? ' [history]' : ''}`
+        : '(unmapped)';
+
+      write(`[${index + 1}/${rows.length}] ${describeExpression(row)} -> ${current}`);
+      if (row.targetField && row.compatibility && row.compatibility.verdict !== 'identical') {
+        write(`  Types: ${formatCompatibility(row.compatibility)}`);
+      }
+      matches.forEach((match, i) => {
+        const breakdown = match.components ? `: ${formatScoreBreakdown(match.components)}` : '';
+        const origin = match.origin === 'history' ? ' [history]' : '';
+        write(`    ${i + 1}) ${match.targetField} (${match.confidence.toFixed(2)}${breakdown})${origin}`);
+      });
+
+      const answer = await ask(lines, output, '  > ');
+
+      // The end of the input finishes the review like q; the remaining rows are kept as they are
+      if (answer === null || answer.toLowerCase() === 'q') {
+        summary.skipped += rows.length - index;
+        break;
+      }
+
+      const choice = answer.toLowerCase();
+      if (choice === '' || choice === 'a') {
+        if (!proposed) {
+          write('  No target to accept, row left unchanged');
+          summary.skipped++;
+          continue;
+        }
+        if (proposed !== row.targetField) {
+          retarget(row, proposed);
+        }
+        row.status = 'accepted';
+        summary.accepted++;
+      } else if (/^\d+$/.test(choice) && matches[parseInt(choice, 10) - 1]) {
+        retarget(row, matches[parseInt(choice, 10) - 1].targetField);
+        row.status = 'accepted';
+        summary.accepted++;
+      } else if (choice === 'c') {
+        const targetField = await ask(lines, output, '  Target path: ');
+        if (targetField === null) {
+          summary.skipped += rows.length - index;
+          break;
+        }
+        if (!targetField) {
+          write('  Empty path, row left unchanged');
+          summary.skipped++;
+          continue;
+        }
+        // A manual row must name a real target field, or a re-run could not keep it
+        if (knownTargets.size > 0 && !knownTargets.has(targetField)) {
+          write(`  ${targetField} is not a target field, row left unchanged`);
+          summary.skipped++;
+          continue;
+        }
+        retarget(row, targetField);
+        row.status = 'manual';
+        summary.manual++;
+      } else if (choice === 'i') {
+        if (!row.expression) {
+          row.targetField = null;
+        }
+        row.confidence = 0;
+        row.status = 'rejected';
+        row.notes = 'Ignored during review';
+        summary.ignored++;
+      } else {
+        if (choice !== 's') {
+          write('  Unknown choice, row skipped');
+        }
+        summary.skipped++;
+        continue;
+      }
+
+      const duplicate = row.targetField && row.status !== 'rejected' && mapping.fieldMappings.find(other =>
+        other !== row && other.targetField === row.targetField && other.status !== 'rejected'
+      );
+      if (duplicate) {
+        write(`  Note: ${row.targetField} is also mapped from ${describeExpression(duplicate)}`);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  return summary;
+}
+
+module.exports = {
+  reviewFieldMappings
+};
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { validateExpression } = require('./composite-mappings');
+
+const SPEC_VERSION = 1;
+const STATUSES = ['auto', 'accepted', 'rejected', 'manual'];
+
+/**
+ * Compute a content fingerprint so a spec can tell when its inputs changed
+ * @param {string} content - File content
+ * @returns {string} Fingerprint in the form `sha256:<hex>`
+ */
+function fingerprint(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Describe the input file of a mapping for its spec
+ * @param {Object} structure - Parsed data structure
+ * @returns {Object} path, fragment (when one entity of the file was selected) and fingerprint
+ */
+function describeInput(structure) {
+  return {
+    path: structure.path,
+    ...(structure.fragment ? { fragment: structure.fragment } : {}),
+    fingerprint: fingerprint(structure.content)
+  };
+}
+
+/**
+ * Build a mapping spec from a mapDataStructures result
+ * @param {Object} mapping - Result of DataMapper.mapDataStructures
+ * @returns {Object} Versioned mapping spec
+ */
+function createMappingSpec(mapping) {
+  return {
+    specVersion: SPEC_VERSION,
+    source: describeInput(mapping.sourceStructure),
+    target: describeInput(mapping.targetStructure),
+    updatedAt: new Date().toISOString(),
+    fieldMappings: mapping.fieldMappings.map(map => {
+      const row = {
+        sourceField: map.sourceField,
+        targetField: map.targetField,
+        confidence: Number(map.confidence.toFixed(4)),
+        status: map.status || 'auto'
+      };
+      if (map.expression) {
+        row.expression = map.expression;
+      }
+      if (map.origin) {
+        row.origin = map.origin;
+      }
+      if (map.notes) {
+        row.notes = map.notes;
+      }
+      if (map.targetField && map.scores) {
+        row.scores = Object.fromEntries(Object.entries(map.scores).map(([component, score]) => [component, Number(score.toFixed(4))]));
+      }
+      if (map.targetField && map.compatibility) {
+        row.compatibility = map.compatibility;
+      }
+      if (map.targetMatches && map.targetMatches.length > 0) {
+        row.alternatives = map.targetMatches.map(match => ({
+          targetField: match.targetField,
+          confidence: Number(match.confidence.toFixed(4))
+        }));
+      }
+      return row;
+    }),
+    unmappedSourceFields: mapping.unmappedSourceFields,
+    unmappedTargetFields: mapping.unmappedTargetFields,
+    entityMappings: (mapping.entityMappings || []).map(entity => ({
+      ...entity,
+      confidence: Number(entity.confidence.toFixed(4))
+    }))
+  };
+}
+
+/**
+ * Check that a parsed spec follows the documented format
+ * @param {Object} spec - Parsed mapping spec
+ * @param {string} filePath - Spec location, used in error messages
+ */
+function validateMappingSpec(spec, filePath) {
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.fieldMappings)) {
+    throw new Error(`Invalid mapping spec ${filePath}: fieldMappings array is missing`);
+  }
+  if (spec.specVersion !== SPEC_VERSION) {
+    throw new Error(`Unsupported mapping spec version ${spec.specVersion} in ${filePath} (expected ${SPEC_VERSION})`);
+  }
+
+  spec.fieldMappings.forEach((row, i) => {
+    // Constant rows are the only ones without a source
+    if (!row.sourceField && !(row.expression && row.expression.kind === 'constant')) {
+      throw new Error(`Invalid mapping spec ${filePath}: row ${i + 1} has no sourceField`);
+    }
+    const expressionError = row.expression ? validateExpression(row.expression) : null;
+    if (expressionError) {
+      throw new Error(`Invalid mapping spec ${filePath}: row ${i + 1} ${expressionError}`);
+    }
+    if (row.status && !STATUSES.includes(row.status)) {
+      throw new Error(`Invalid mapping spec ${filePath}: row ${i + 1} has unknown status "${row.status}" (use ${STATUSES.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Load a mapping spec from a .json, .yaml or .yml file
+ * @param {string} filePath - Spec file path
+ * @returns {Object} Parsed mapping spec
+ */
+async function loadMappingSpec(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const ext = path.extname(filePath).toLowerCase();
+  const spec = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  validateMappingSpec(spec, filePath);
+  return spec;
+}
+
+/**
+ * Save a mapping spec as YAML or JSON depending on the file extension
+ * @param {string} filePath - Spec file path
+ * @param {Object} spec - Mapping spec
+ */
+async function saveMappingSpec(filePath, spec) {
+  const ext = path.extname(filePath).toLowerCase();
+  const content = ext === '.yaml' || ext === '.yml'
+    ? yaml.dump(spec, { lineWidth: 120, noRefs: true })
+    : JSON.stringify(spec, null, 2);
+
+  await fs.writeFile(filePath, content);
+}
+
+/**
+ * Get the rows a human decided on; these are kept instead of being recomputed
+ * @param {Object} spec - Mapping spec
+ * @returns {Object[]} Accepted, manual and rejected rows
+ */
+function getReviewedRows(spec) {
+  if (!spec) return [];
+  return spec.fieldMappings.filter(row => row.status && row.status !== 'auto');
+}
+
+module.exports = {
+  SPEC_VERSION,
+  STATUSES,
+  fingerprint,
+  createMappingSpec,
+  validateMappingSpec,
+  loadMappingSpec,
+  saveMappingSpec,
+  getReviewedRows
+};
@@ -0,0 +1,244 @@
+const { createSchema, createEntity, createField } = require('../schema-ir');
+
+const PRIMITIVES = {
+  null: 'object', boolean: 'boolean', int: 'integer', long: 'integer', float: 'number', double: 'number',
+  bytes: 'string', string: 'string'
+};
+
+// Logical types by the value they stand for
+const LOGICAL_TYPES = {
+  date: 'date',
+  'time-millis': 'time', 'time-micros': 'time',
+  'timestamp-millis': 'date-time', 'timestamp-micros': 'date-time', 'timestamp-nanos': 'date-time',
+  'local-timestamp-millis': 'date-time', 'local-timestamp-micros': 'date-time', 'local-timestamp-nanos': 'date-time',
+  uuid: 'uuid',
+  decimal: 'number',
+  duration: 'string'
+};
+
+const FORMAT_TYPES = new Set(['date', 'date-time', 'time', 'uuid']);
+
+const isNamedType = schema => Boolean(schema) && typeof schema === 'object' && !Array.isArray(schema) &&
+  ['record', 'error', 'enum', 'fixed'].includes(schema.type) && typeof schema.name === 'string';
+
+/**
+ * Decide whether a parsed JSON document is an Avro schema: a record, an array of named types
+ * (as in a multi-type `.avsc`), or a protocol (`.avpr`) with `types`
+ * @param {*} document - Parsed JSON document
+ * @returns {boolean} True for Avro schemas
+ */
+function isAvro(document) {
+  if (Array.isArray(document)) {
+    return document.length > 0 && document.every(isNamedType) && document.some(schema => schema.type === 'record');
+  }
+  if (document && typeof document === 'object' && typeof document.protocol === 'string') {
+    return Array.isArray(document.types);
+  }
+  return isNamedType(document) && document.type === 'record' && Array.isArray(document.fields);
+}
+
+/**
+ * Convert an Avro schema into the schema IR. Records that no other record uses become
+ * entities; the records they use are inlined as nested paths. A union with `"null"` makes a
+ * field nullable (for a record, every field below it), a field without a default that cannot be null is required, arrays are
+ * collections, maps are opaque objects and logical types (`date`, `timestamp-millis`,
+ * `decimal`, `uuid`, ...) give the field its type. Named types may be referenced by their full
+ * or short name, as Avro allows.
+ * @param {Object|Object[]} document - Parsed `.avsc` or `.avpr` document
+ * @returns {Object} Schema IR
+ */
+function parseAvro(document) {
+  const topLevel = Array.isArray(document) ? document : (document.protocol ? document.types : [document]);
+  const basePointer = document.protocol ? '#/types' : '#';
+  const named = new Map();
+  const nestedNames = new Set();
+  const referenced = new Set();
+
+  const fullName = (schema, namespace) => (schema.name.includes('.') || !(schema.namespace || namespace)
+    ? schema.name
+    : `${schema.namespace || namespace}.${schema.name}`);
+  const namespaceOf = name => name.split('.').slice(0, -1).join('.');
+
+  const references = [];
+
+  // Register every named type with the pointer to its definition, and note the type names
+  // each record refers to
+  const register = (schema, namespace, pointer, owner) => {
+    if (Array.isArray(schema)) {
+      schema.forEach((option, index) => register(option, namespace, `${pointer}/${index}`, owner));
+      return;
+    }
+    if (typeof schema === 'string') {
+      if (owner && !PRIMITIVES[schema]) references.push({ owner, name: schema, namespace });
+      return;
+    }
+    if (!schema || typeof schema !== 'object') return;
+
+    if (isNamedType(schema)) {
+      const name = fullName(schema, namespace);
+      named.set(name, { schema, pointer, namespace: namespaceOf(name) });
+      if (owner) nestedNames.add(name);
+      (schema.fields || []).forEach((field, index) => {
+        register(field.type, namespaceOf(name), `${pointer}/fields/${index}/type`, name);
+      });
+      return;
+    }
+    register(schema.type, namespace, pointer, owner);
+    register(schema.items, namespace, `${pointer}/items`, owner);
+    register(schema.values, namespace, `${pointer}/values`, owner);
+  };
+
+  const lookup = (name, namespace) => {
+    if (named.has(name)) return named.get(name);
+    if (named.has(`${namespace}.${name}`)) return named.get(`${namespace}.${name}`);
+    const match = Array.from(named.keys()).find(key => key.split('.').pop() === name);
+    return match ? named.get(match) : null;
+  };
+
+  topLevel.forEach((schema, index) => {
+    register(schema, document.namespace || '', Array.isArray(document) || document.protocol ? `${basePointer}/${index}` : '#', null);
+  });
+  references.forEach(({ owner, name, namespace }) => {
+    const definition = lookup(name, namespace);
+    const target = definition && fullName(definition.schema, definition.namespace);
+    if (target && target !== owner) referenced.add(target);
+  });
+
+  // A type's shape: scalar, object (a record) or many (an array), plus nullability
+  const resolve = (schema, namespace, pointer) => {
+    if (typeof schema === 'string') {
+      if (PRIMITIVES[schema]) {
+        return { shape: 'scalar', type: PRIMITIVES[schema], constraints: {}, nullable: schema === 'null', pointer };
+      }
+      const definition = lookup(schema, namespace);
+      if (!definition) {
+        return { shape: 'scalar', type: 'object', constraints: {}, description: schema, pointer };
+      }
+      return resolve(definition.schema, definition.namespace, definition.pointer);
+    }
+
+    if (Array.isArray(schema)) {
+      const options = schema
+        .map((option, index) => ({ option, index }))
+        .filter(({ option }) => option !== 'null' && !(option && option.type === 'null'));
+      const nullable = options.length < schema.length;
+      if (options.length === 1) {
+        return { ...resolve(options[0].option, namespace, `${pointer}/${options[0].index}`), nullable };
+      }
+      const resolved = options.map(({ option, index }) => resolve(option, namespace, `${pointer}/${index}`));
+      const types = Array.from(new Set(resolved.map(option => (option.shape === 'scalar' ? option.type : option.shape))));
+      return {
+        shape: 'scalar',
+        type: types.length === 1 ? types[0] : 'string',
+        constraints: {},
+        nullable,
+        description: `one of: ${resolved.map(option => option.name || option.type || option.shape).join(', ')}`,
+        pointer
+      };
+    }
+
+    const logicalType = LOGICAL_TYPES[schema.logicalType];
+    switch (schema.type) {
+      case 'record':
+      case 'error':
+        return { shape: 'object', record: schema, name: schema.name, namespace: namespaceOf(fullName(schema, namespace)), nullable: false, pointer };
+      case 'enum':
+        return { shape: 'scalar', type: 'string', name: schema.name, constraints: { enum: schema.symbols }, description: schema.doc, pointer };
+      case 'array':
+        return { shape: 'many', element: resolve(schema.items, namespace, `${pointer}/items`), nullable: false, pointer };
+      case 'map':
+        return { shape: 'scalar', type: 'object', constraints: {}, pointer };
+      case 'fixed':
+        return {
+          shape: 'scalar',
+          type: logicalType || 'string',
+          name: schema.name,
+          constraints: logicalType === 'number' ? { precision: schema.precision, decimals: schema.scale || 0 } : { length: schema.size },
+          pointer
+        };
+      default: {
+        const base = resolve(schema.type, namespace, pointer);
+        if (!logicalType) return base;
+        return {
+          ...base,
+          type: logicalType,
+          constraints: logicalType === 'number' ? { precision: schema.precision, decimals: schema.scale || 0 } : {}
+        };
+      }
+    }
+  };
+
+  const collectFields = (record, namespace, pointer, stack) => {
+    const fields = [];
+
+    // The fields of a record that may be null (a union with "null") may be null as well
+    const visit = (current, currentNamespace, currentPointer, prefix, parentRequired, parentNullable, currentStack) => {
+      (current.fields || []).forEach((field, index) => {
+        const fieldPath = prefix ? `${prefix}.${field.name}` : field.name;
+        const fieldPointer = `${currentPointer}/fields/${index}`;
+        const resolved = resolve(field.type, currentNamespace, `${fieldPointer}/type`);
+        const required = parentRequired && field.default === undefined && !resolved.nullable;
+        const nullable = parentNullable || Boolean(resolved.nullable);
+
+        if (resolved.shape === 'object' && !currentStack.includes(resolved.record)) {
+          visit(resolved.record, resolved.namespace, resolved.pointer, fieldPath, required, nullable, [...currentStack, resolved.record]);
+          return;
+        }
+
+        const isMany = resolved.shape === 'many';
+        const element = isMany ? resolved.element : resolved;
+        const recursive = element.shape === 'object' && currentStack.includes(element.record);
+        const type = element.shape === 'scalar' ? element.type : (element.shape === 'object' ? 'object' : 'array');
+        const defaultValue = field.default !== null && typeof field.default !== 'object' ? field.default : undefined;
+        fields.push(createField({
+          path: fieldPath,
+          type,
+          cardinality: isMany ? 'many' : 'one',
+          required,
+          nullable,
+          description: [
+            field.doc,
+            element.description,
+            recursive ? `recursive reference to ${element.name}` : ''
+          ].filter(Boolean).join('; '),
+          constraints: {
+            format: FORMAT_TYPES.has(type) ? type : undefined,
+            ...element.constraints,
+            default: defaultValue
+          },
+          source: { pointer: fieldPointer }
+        }));
+
+        if (isMany && element.shape === 'object' && !recursive) {
+          visit(element.record, element.namespace, element.pointer, `${fieldPath}[0]`, required, false, [...currentStack, element.record]);
+        }
+      });
+    };
+
+    visit(record, namespace, pointer, '', true, false, stack);
+    return fields;
+  };
+
+  const records = Array.from(named.entries()).filter(([, { schema }]) => schema.type === 'record' || schema.type === 'error');
+  const entities = records.map(([name, { schema, pointer, namespace }]) => ({
+    name,
+    entity: createEntity({
+      name: schema.name,
+      description: schema.doc || '',
+      fields: collectFields(schema, namespace, pointer, [schema]),
+      source: namespace ? { pointer, namespace } : { pointer }
+    })
+  }));
+
+  // Records used by other records are part of those, unless nothing else is left
+  const roots = entities.filter(({ name }) => !nestedNames.has(name) && !referenced.has(name));
+  return createSchema({
+    format: 'avro',
+    entities: (roots.length > 0 ? roots : entities).map(({ entity }) => entity)
+  });
+}
+
+module.exports = {
+  isAvro,
+  parseAvro
+};
@@ -0,0 +1,366 @@
+const { tokenize } = require('../../utils/code-utils');
+const { buildDeclarationSchema } = require('./type-declarations');
+
+const PRIMITIVES = {
+  string: 'string', String: 'string', char: 'string', Char: 'string', Uri: 'string', TimeSpan: 'string',
+  int: 'integer', Int32: 'integer', long: 'integer', Int64: 'integer', short: 'integer', Int16: 'integer',
+  byte: 'integer', Byte: 'integer', sbyte: 'integer', SByte: 'integer', uint: 'integer', UInt32: 'integer',
+  ulong: 'integer', UInt64: 'integer', ushort: 'integer', UInt16: 'integer', BigInteger: 'integer',
+  decimal: 'number', Decimal: 'number', double: 'number', Double: 'number', float: 'number', Single: 'number',
+  bool: 'boolean', Boolean: 'boolean',
+  DateTime: 'date-time', DateTimeOffset: 'date-time', DateOnly: 'date', TimeOnly: 'time',
+  Guid: 'uuid',
+  object: 'object', Object: 'object', dynamic: 'object', JsonElement: 'object', JsonNode: 'object',
+  JObject: 'object', JToken: 'object', ExpandoObject: 'object', Hashtable: 'object'
+};
+
+const LANGUAGE = {
+  format: 'csharp',
+  primitives: PRIMITIVES,
+  collections: new Set(['List', 'IList', 'IEnumerable', 'ICollection', 'IReadOnlyList', 'IReadOnlyCollection',
+    'HashSet', 'ISet', 'SortedSet', 'Collection', 'ObservableCollection', 'ImmutableList', 'IImmutableList',
+    'ImmutableArray', 'LinkedList', 'Queue', 'Stack']),
+  maps: new Set(['Dictionary', 'IDictionary', 'IReadOnlyDictionary', 'SortedDictionary', 'ConcurrentDictionary',
+    'ImmutableDictionary', 'KeyValuePair']),
+  wrappers: new Set(['Lazy', 'Optional'])
+};
+
+const MODIFIERS = new Set(['public', 'private', 'protected', 'internal', 'static', 'sealed', 'abstract', 'partial',
+  'readonly', 'virtual', 'override', 'new', 'required', 'const', 'volatile', 'extern', 'unsafe', 'async', 'file',
+  'fixed', 'implicit', 'explicit']);
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'record', 'enum']);
+
+// Attributes that rename a property when it is serialized, and where they keep the name
+const NAME_ATTRIBUTES = { JsonPropertyName: null, JsonProperty: 'PropertyName', DataMember: 'Name', XmlElement: 'ElementName' };
+
+/**
+ * Read C# source code into the schema IR: classes, records (including positional records),
+ * structs and interfaces with their public properties and fields. Nullable types (`int?`),
+ * collections (`List<T>`, arrays), nested classes, base types and enums are resolved, serialized
+ * names come from `[JsonPropertyName]`/`[JsonProperty]`/`[DataMember]`, `required` and
+ * `[Required]` mark required fields, and `///` summaries become field descriptions.
+ * This is a lightweight declaration reader, not a compiler: method bodies and
+ * initializers are skipped.
+ * @param {string} code - C# source
+ * @returns {Object} Schema IR; the classes no other class refers to are the entities
+ */
+function parseCSharp(code) {
+  const tokens = tokenize(code);
+  const declarations = [];
+  const end = { kind: 'end', value: null, line: 0, doc: null };
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset] || end;
+  const is = (value, offset = 0) => peek(offset).kind !== 'string' && peek(offset).value === value;
+  const next = () => tokens[pos++] || end;
+  const closing = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+  const skipBalanced = () => {
+    const open = next().value;
+    let depth = 1;
+    while (pos < tokens.length && depth > 0) {
+      const token = next();
+      if (token.kind === 'punctuation' && token.value === open) depth++;
+      if (token.kind === 'punctuation' && token.value === closing[open]) depth--;
+    }
+  };
+
+  // Skip to the end of the current statement: its `;` or the block that ends it
+  const skipStatement = () => {
+    while (pos < tokens.length && !is('}')) {
+      if (is('{')) {
+        skipBalanced();
+        return;
+      }
+      if (is('(') || is('[')) {
+        skipBalanced();
+      } else if (next().value === ';') {
+        return;
+      }
+    }
+  };
+
+  const parseQualifiedName = () => {
+    let qualified = next().value;
+    while ((is('.') || (is(':') && is(':', 1))) && peek(is('.') ? 1 : 2).kind === 'identifier') {
+      pos += is('.') ? 1 : 2;
+      qualified = next().value;
+    }
+    return qualified;
+  };
+
+  const parseType = () => {
+    let type;
+    if (is('(')) {
+      // Tuples carry no names we could map
+      skipBalanced();
+      type = { kind: 'named', name: 'object', args: [] };
+    } else {
+      const typeName = parseQualifiedName();
+      const args = [];
+      if (is('<')) {
+        next();
+        while (pos < tokens.length && !is('>')) {
+          args.push(parseType());
+          if (is(',')) next();
+        }
+        next();
+      }
+      type = typeName === 'Nullable' && args.length === 1
+        ? { kind: 'nullable', inner: args[0] }
+        : { kind: 'named', name: typeName, args };
+    }
+
+    for (;;) {
+      if (is('?')) {
+        next();
+        type = { kind: 'nullable', inner: type };
+      } else if (is('[') && (is(']', 1) || is(',', 1))) {
+        skipBalanced();
+        type = { kind: 'array', element: type };
+      } else {
+        return type;
+      }
+    }
+  };
+
+  const parseAttributes = () => {
+    const attributes = [];
+    while (is('[')) {
+      next();
+      while (pos < tokens.length && !is(']')) {
+        // Attribute targets such as `property:` on positional record parameters
+        if (peek().kind === 'identifier' && is(':', 1) && !is(':', 2)) {
+          pos += 2;
+        }
+        const attribute = { name: parseQualifiedName().replace(/Attribute$/, ''), strings: [], named: {} };
+        if (is('(')) {
+          next();
+          let depth = 1;
+          while (pos < tokens.length && depth > 0) {
+            const token = next();
+            if (token.kind === 'punctuation' && token.value === '(') depth++;
+            if (token.kind === 'punctuation' && token.value === ')') depth--;
+            if (token.kind === 'identifier' && is('=') && peek(1).kind === 'string') {
+              attribute.named[token.value] = peek(1).value;
+            } else if (token.kind === 'string' && tokens[pos - 2].value !== '=') {
+              attribute.strings.push(token.value);
+            }
+          }
+        }
+        attributes.push(attribute);
+        if (is(',')) next();
+      }
+      next();
+    }
+    return attributes;
+  };
+
+  const parseModifiers = () => {
+    const modifiers = [];
+    while (peek().kind === 'identifier' && MODIFIERS.has(peek().value) && !is('(', 1) && !is(';', 1)) {
+      modifiers.push(next().value);
+    }
+    return modifiers;
+  };
+
+  const createMember = ({ memberName, type, attributes, modifiers, doc, line, hasDefault }) => {
+    const byName = attributeName => attributes.find(attribute => attribute.name === attributeName);
+    const renamed = Object.entries(NAME_ATTRIBUTES)
+      .map(([attributeName, property]) => {
+        const attribute = byName(attributeName);
+        return attribute && (property ? attribute.named[property] || attribute.strings[0] : attribute.strings[0]);
+      })
+      .find(Boolean);
+    const described = byName('Description') || byName('Display');
+
+    return {
+      name: memberName,
+      key: renamed || memberName,
+      type,
+      required: modifiers.includes('required') || Boolean(byName('Required') || byName('JsonRequired')) ||
+        hasDefault === false,
+      nullable: false,
+      description: doc || (described ? described.strings[0] || described.named.Description || described.named.Name || '' : ''),
+      line
+    };
+  };
+
+  const isIgnored = attributes => attributes.some(attribute => ['JsonIgnore', 'IgnoreDataMember', 'XmlIgnore', 'NotMapped'].includes(attribute.name));
+
+  // Parameters of a positional record; each becomes a required property unless it has a default
+  const parseParameters = () => {
+    const members = [];
+    next();
+    while (pos < tokens.length && !is(')')) {
+      const doc = peek().doc;
+      const line = peek().line;
+      const attributes = parseAttributes();
+      while (['this', 'params', 'ref', 'out', 'in', 'scoped'].includes(peek().value)) next();
+      const type = parseType();
+      const memberName = next().value;
+      let hasDefault = false;
+      if (is('=')) {
+        hasDefault = true;
+        while (pos < tokens.length && !is(',') && !is(')')) {
+          if (is('(') || is('[') || is('{')) skipBalanced(); else next();
+        }
+      }
+      if (!isIgnored(attributes)) {
+        members.push(createMember({ memberName, type, attributes, modifiers: [], doc, line, hasDefault }));
+      }
+      if (is(',')) next();
+    }
+    next();
+    return members;
+  };
+
+  const parseEnum = declaration => {
+    next();
+    while (pos < tokens.length && !is('}')) {
+      const attributes = parseAttributes();
+      if (peek().kind === 'identifier') {
+        const valueName = next().value;
+        const renamed = attributes.find(attribute => ['EnumMember', 'JsonStringEnumMemberName', 'JsonPropertyName'].includes(attribute.name));
+        declaration.values.push(renamed ? renamed.named.Value || renamed.strings[0] || valueName : valueName);
+      }
+      while (pos < tokens.length && !is(',') && !is('}')) {
+        if (is('(')) skipBalanced(); else next();
+      }
+      if (is(',')) next();
+    }
+    next();
+  };
+
+  const parseTypeDeclaration = ({ doc, line }) => {
+    let keyword = next().value;
+    if (keyword === 'record' && (is('struct') || is('class'))) {
+      keyword = next().value === 'struct' ? 'struct' : 'record';
+    }
+    const declaration = {
+      name: next().value,
+      kind: keyword === 'enum' ? 'enum' : 'object',
+      description: doc || '',
+      line,
+      typeParameters: [],
+      bases: [],
+      members: [],
+      values: [],
+      valueType: 'string'
+    };
+    declarations.push(declaration);
+
+    if (is('<')) {
+      next();
+      while (pos < tokens.length && !is('>')) {
+        const token = next();
+        if (token.kind === 'identifier' && token.value !== 'in' && token.value !== 'out') {
+          declaration.typeParameters.push(token.value);
+        }
+      }
+      next();
+    }
+    if (is('(')) {
+      declaration.members = parseParameters();
+    }
+    if (is(':')) {
+      next();
+      do {
+        if (is(',')) next();
+        declaration.bases.push(parseType());
+        if (is('(')) skipBalanced();
+      } while (is(','));
+    }
+    while (pos < tokens.length && !is('{') && !is(';')) {
+      // Generic constraints (`where T : class`)
+      next();
+    }
+
+    if (keyword === 'enum') {
+      declaration.bases = [];
+      parseEnum(declaration);
+    } else if (is('{')) {
+      next();
+      parseBlock({ declaration, keyword });
+      next();
+    } else {
+      next();
+    }
+  };
+
+  const parseMember = (owner, { attributes, modifiers, doc, line }) => {
+    const token = peek();
+    if (['event', 'operator', 'delegate', 'using'].includes(token.value) || is('~') ||
+      (token.value === owner.declaration.name && is('(', 1))) {
+      // Events, operators, constructors and finalizers
+      skipStatement();
+      return;
+    }
+
+    const type = parseType();
+    if (peek().kind !== 'identifier' || is('this')) {
+      skipStatement();
+      return;
+    }
+    const memberName = next().value;
+    if (is('(') || is('<')) {
+      // Methods
+      skipStatement();
+      return;
+    }
+
+    if (is('{')) {
+      skipBalanced();
+      if (is('=')) skipStatement();
+    } else {
+      skipStatement();
+    }
+
+    const visible = owner.keyword === 'interface' || modifiers.includes('public');
+    if (visible && !modifiers.includes('static') && !modifiers.includes('const') && !isIgnored(attributes)) {
+      owner.declaration.members.push(createMember({ memberName, type, attributes, modifiers, doc, line }));
+    }
+  };
+
+  // Namespace and type bodies; nested types are declarations of their own
+  const parseBlock = owner => {
+    while (pos < tokens.length && !is('}')) {
+      if (is(';')) {
+        next();
+        continue;
+      }
+      const { doc, line } = peek();
+      const attributes = parseAttributes();
+      const modifiers = parseModifiers();
+
+      if (is('namespace')) {
+        next();
+        parseQualifiedName();
+        if (is('{')) {
+          next();
+          parseBlock(null);
+        }
+        next();
+      } else if (TYPE_KEYWORDS.has(peek().value) && peek(1).kind === 'identifier') {
+        parseTypeDeclaration({ doc, line });
+      } else if (owner) {
+        parseMember(owner, { attributes, modifiers, doc, line });
+      } else {
+        skipStatement();
+      }
+    }
+  };
+
+  while (pos < tokens.length) {
+    parseBlock(null);
+    // A stray closing brace at the top level
+    next();
+  }
+
+  return buildDeclarationSchema(declarations, LANGUAGE);
+}
+
+module.exports = {
+  parseCSharp
+};
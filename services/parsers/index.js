@@ -0,0 +1,141 @@
+const { resolvePointer } = require('../../utils/json-pointer');
+const { createSchema, isSchema, selectEntity } = require('../schema-ir');
+const { isJsonSchema, parseJsonSchema } = require('./json-schema-parser');
+const { isOpenApi, parseOpenApi } = require('./openapi-parser');
+const { isAvro, parseAvro } = require('./avro-parser');
+const { parseSchemaShape, isTypedExample, parseTypedExample, parseFieldList } = require('./json-structure-parser');
+const { coerceRecord, inferSchema, parseNdjson } = require('./sample-inference');
+const { parseYamlDocuments } = require('./yaml-parser');
+const { parseCSharp } = require('./csharp-parser');
+const { parseTypeScript } = require('./typescript-parser');
+const { parseSqlDdl } = require('./sql-parser');
+const { parseProtobuf } = require('./protobuf-parser');
+const { parseXml, isXsd, parseXsd, readXmlRecord, inferXmlSchema } = require('./xml-parser');
+
+/**
+ * Convert a parsed document into the schema IR, picking the parser from its shape
+ * @param {*} structure - Parsed document (JSON, YAML or the structure the LLM extracted)
+ * @param {string} name - Entity name to use when the document does not name itself
+ * @returns {Object} Schema IR
+ */
+function buildSchema(structure, name) {
+  if (isSchema(structure)) {
+    return structure;
+  }
+  // OpenAPI first: Swagger documents also have the `definitions` of a JSON Schema
+  if (isOpenApi(structure)) {
+    return parseOpenApi(structure);
+  }
+  if (isJsonSchema(structure)) {
+    return parseJsonSchema(structure, name);
+  }
+  // Avro records also have `fields`, so they are recognized before field lists
+  if (isAvro(structure)) {
+    return parseAvro(structure);
+  }
+  if (structure && structure.schema && typeof structure.schema === 'object' && !Array.isArray(structure.schema)) {
+    return parseSchemaShape(structure.schema, name);
+  }
+  if (structure && Array.isArray(structure.fields)) {
+    return parseFieldList(structure.fields, name);
+  }
+  if (isTypedExample(structure)) {
+    return parseTypedExample(structure, name);
+  }
+  // Anything else is sample data; an array holds several records
+  return inferSchema(Array.isArray(structure) ? structure : [structure], { name, format: 'sample-json' });
+}
+
+/**
+ * Convert the documents of a multi-document file (e.g. YAML separated by `---`) into one
+ * schema. Documents holding sample data are merged as records of one entity; otherwise
+ * every document contributes its own entities.
+ * @param {Array} documents - Parsed documents
+ * @param {string} name - Base entity name
+ * @returns {Object} Schema IR
+ */
+function buildSchemaFromDocuments(documents, name) {
+  if (documents.length === 1) {
+    return buildSchema(documents[0], name);
+  }
+
+  const schemas = documents.map((document, index) => buildSchema(document, `${name}${index + 1}`));
+  if (schemas.every(schema => schema.format === 'sample-json')) {
+    return inferSchema(documents, { name, format: 'sample-json' });
+  }
+
+  const combined = createSchema({
+    format: schemas[0].format,
+    entities: [],
+    relationships: schemas.flatMap(schema => schema.relationships)
+  });
+  const names = new Set();
+  schemas.forEach((schema, index) => {
+    schema.entities.forEach(entity => {
+      // Entity names must stay unique, as they prefix the field paths
+      const entityName = names.has(entity.name) ? `${entity.name}${index + 1}` : entity.name;
+      names.add(entityName);
+      combined.entities.push({ ...entity, name: entityName, source: { ...entity.source, document: index } });
+    });
+  });
+  return combined;
+}
+
+/**
+ * Split an input reference such as `spec.yaml#/components/schemas/Customer` into the
+ * file path and the fragment selecting an entity
+ * @param {string} reference - File path, optionally followed by `#<pointer or entity name>`
+ * @returns {{filePath: string, fragment: string|null}} File path and fragment (with `#`)
+ */
+function splitReference(reference) {
+  const index = reference.indexOf('#');
+  return index > 0
+    ? { filePath: reference.slice(0, index), fragment: reference.slice(index) }
+    : { filePath: reference, fragment: null };
+}
+
+/**
+ * Pick the entity a reference fragment points at. Entities are matched by pointer or name;
+ * any other pointer into the document is parsed as a JSON Schema of its own.
+ * @param {Object} schema - Schema IR of the whole document
+ * @param {*} document - Parsed document
+ * @param {string} fragment - Fragment with `#`, e.g. `#/components/schemas/Customer` or `#Customer`
+ * @returns {Object} Schema IR with the selected entity
+ */
+function selectReference(schema, document, fragment) {
+  const selected = selectEntity(schema, fragment);
+  if (selected) {
+    return selected;
+  }
+
+  const node = fragment.startsWith('#/') ? resolvePointer(document, fragment) : null;
+  if (node && typeof node === 'object' && !Array.isArray(node)) {
+    const name = decodeURIComponent(fragment.split('/').pop()).replace(/~1/g, '/').replace(/~0/g, '~');
+    return parseJsonSchema(node, name, { document, pointer: fragment });
+  }
+
+  const available = schema.entities.map(entity => (entity.source && entity.source.pointer) || entity.name);
+  throw new Error(`No entity matches ${fragment}. Available: ${available.join(', ') || 'none'}`);
+}
+
+module.exports = {
+  buildSchema,
+  splitReference,
+  selectReference,
+  buildSchemaFromDocuments,
+  parseYamlDocuments,
+  parseCSharp,
+  parseTypeScript,
+  parseSqlDdl,
+  parseProtobuf,
+  parseAvro,
+  parseXml,
+  isXsd,
+  parseXsd,
+  readXmlRecord,
+  inferXmlSchema,
+  parseFieldList,
+  coerceRecord,
+  inferSchema,
+  parseNdjson
+};
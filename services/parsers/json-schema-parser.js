@@ -0,0 +1,276 @@
+const { escapeToken, resolvePointer } = require('../../utils/json-pointer');
+const { createSchema, createEntity, createField } = require('../schema-ir');
+
+// String formats that are more useful as the field type than plain "string"
+const TYPED_FORMATS = new Set(['date', 'date-time', 'time', 'uuid']);
+
+const SCHEMA_KEYWORDS = ['properties', 'items', '$ref', '$defs', 'definitions', 'oneOf', 'anyOf', 'allOf'];
+
+// Validation keywords carried over into field constraints
+const CONSTRAINT_KEYWORDS = ['pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'minItems', 'maxItems', 'default', 'const'];
+
+/**
+ * Decide whether a parsed JSON document is a JSON Schema rather than sample data
+ * or this project's `{"schema": {field: "type"}}` shape
+ * @param {*} document - Parsed JSON
+ * @returns {boolean} True for JSON Schema documents
+ */
+function isJsonSchema(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return false;
+  }
+  if (typeof document.$schema === 'string' && /json-schema/.test(document.$schema)) {
+    return true;
+  }
+  return (document.type === 'object' && isPlainObject(document.properties)) ||
+    ((isPlainObject(document.$defs) || isPlainObject(document.definitions)) && SCHEMA_KEYWORDS.some(key => key in document));
+}
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve a local `$ref` (`#`, `#/$defs/Address`, `#/definitions/a~1b`) against the root schema
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema document
+ * @returns {Object|null} Referenced schema, or null when it is not local or does not exist
+ */
+function resolveRef(ref, root) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return null;
+  }
+  return resolvePointer(root, ref);
+}
+
+/**
+ * Convert a JSON Schema into the schema IR. Local `$ref`s and `allOf` are merged in place;
+ * `oneOf`/`anyOf` with a `null` branch make the field nullable, other branches contribute
+ * their properties as optional fields. Nested objects contribute their leaf fields.
+ * @param {Object} schema - JSON Schema document (draft-07 or 2020-12)
+ * @param {string} name - Entity name when the schema has no title
+ * @param {Object} options - For a schema inside a larger document (e.g. an OpenAPI component):
+ *   document to resolve `$ref`s against and the pointer of the schema in it; such a schema is
+ *   always named by the caller
+ * @returns {Object} Schema IR with one entity; field sources are JSON pointers
+ */
+function parseJsonSchema(schema, name = 'Root', options = {}) {
+  const document = options.document || schema;
+  const rootPointer = options.pointer || '#';
+  const fields = [];
+
+  /**
+   * Merge `$ref` and `allOf` into one schema and describe the type it ends up with
+   * @param {Object} node - Schema node
+   * @param {string[]} refs - References being expanded, to stop on recursive schemas
+   * @param {string} pointer - JSON pointer of the node
+   * @returns {Object} Normalized node: types, nullable, properties, required, items, variants, ...
+   */
+  const normalize = (node, refs = [], pointer = '#') => {
+    const empty = { types: [], nullable: false, properties: {}, pointers: {}, required: [], variants: [], constraints: {}, refs, pointer };
+    if (!isPlainObject(node)) {
+      return empty;
+    }
+
+    let merged = { ...node };
+    let expanded = refs;
+
+    if (node.$ref) {
+      if (refs.includes(node.$ref)) {
+        return { ...empty, types: ['object'], recursive: node.$ref };
+      }
+      const target = resolveRef(node.$ref, document);
+      expanded = [...refs, node.$ref];
+      if (target) {
+        pointer = node.$ref;
+        // Sibling keywords (e.g. description next to $ref) win over the referenced schema
+        const { $ref, ...siblings } = node;
+        merged = { ...target, ...siblings };
+      } else {
+        merged = { ...node, description: node.description || `Reference to ${node.$ref}` };
+      }
+    }
+
+    const properties = isPlainObject(merged.properties) ? merged.properties : {};
+    const result = {
+      types: [],
+      nullable: false,
+      properties: { ...properties },
+      pointers: {},
+      required: Array.isArray(merged.required) ? [...merged.required] : [],
+      items: Array.isArray(merged.items) ? merged.items[0] : merged.items,
+      itemsPointer: Array.isArray(merged.items) ? `${pointer}/items/0` : `${pointer}/items`,
+      variants: [],
+      description: merged.description || merged.title,
+      format: merged.format,
+      enum: Array.isArray(merged.enum) ? merged.enum : (merged.const !== undefined ? [merged.const] : undefined),
+      constraints: {},
+      refs: expanded,
+      pointer
+    };
+    Object.keys(properties).forEach(key => {
+      result.pointers[key] = `${pointer}/properties/${escapeToken(key)}`;
+    });
+    CONSTRAINT_KEYWORDS.forEach(keyword => {
+      if (merged[keyword] !== undefined) result.constraints[keyword] = merged[keyword];
+    });
+
+    // OpenAPI 3.0 and Swagger 2.0 mark nullability next to the type
+    if (merged.nullable === true || merged['x-nullable'] === true) {
+      result.nullable = true;
+    }
+    [].concat(merged.type || []).forEach(type => {
+      if (type === 'null') {
+        result.nullable = true;
+      } else {
+        result.types.push(type);
+      }
+    });
+
+    (Array.isArray(merged.allOf) ? merged.allOf : []).forEach((part, index) => {
+      const normalized = normalize(part, expanded, `${pointer}/allOf/${index}`);
+      Object.assign(result.properties, normalized.properties);
+      Object.assign(result.pointers, normalized.pointers);
+      Object.assign(result.constraints, normalized.constraints);
+      result.required.push(...normalized.required);
+      result.types.push(...normalized.types.filter(type => !result.types.includes(type)));
+      if (!result.items) {
+        result.items = normalized.items;
+        result.itemsPointer = normalized.itemsPointer;
+      }
+      result.format = result.format || normalized.format;
+      result.enum = result.enum || normalized.enum;
+      result.description = result.description || normalized.description;
+    });
+
+    const variants = [
+      ...(Array.isArray(merged.oneOf) ? merged.oneOf.map((variant, index) => [variant, `${pointer}/oneOf/${index}`]) : []),
+      ...(Array.isArray(merged.anyOf) ? merged.anyOf.map((variant, index) => [variant, `${pointer}/anyOf/${index}`]) : [])
+    ];
+    variants.forEach(([variant, variantPointer]) => {
+      const normalized = normalize(variant, expanded, variantPointer);
+      if (normalized.types.length === 0 && normalized.nullable) {
+        result.nullable = true;
+        return;
+      }
+      result.variants.push(normalized);
+      result.nullable = result.nullable || normalized.nullable;
+    });
+
+    if (result.variants.length > 0) {
+      // Properties of every branch are available, but none of them is guaranteed
+      result.variants.forEach(variant => {
+        Object.entries(variant.properties).forEach(([key, value]) => {
+          if (!(key in result.properties)) {
+            result.properties[key] = value;
+            result.pointers[key] = variant.pointers[key];
+          }
+        });
+        variant.types.forEach(type => {
+          if (!result.types.includes(type)) result.types.push(type);
+        });
+        if (!result.items) {
+          result.items = variant.items;
+          result.itemsPointer = variant.itemsPointer;
+        }
+        result.format = result.format || variant.format;
+      });
+      if (result.variants.length === 1) {
+        result.required.push(...result.variants[0].required);
+        result.description = result.description || result.variants[0].description;
+      }
+    }
+
+    if (result.types.length === 0) {
+      if (Object.keys(result.properties).length > 0) {
+        result.types.push('object');
+      } else if (result.items) {
+        result.types.push('array');
+      }
+    }
+
+    return result;
+  };
+
+  const typeName = normalized => {
+    const type = normalized.types.find(candidate => candidate !== 'object') || normalized.types[0] || 'string';
+    return type === 'string' && TYPED_FORMATS.has(normalized.format) ? normalized.format : type;
+  };
+
+  const describe = normalized => {
+    const parts = [];
+    if (normalized.description) parts.push(normalized.description);
+    if (normalized.variants.length > 1) {
+      parts.push(`one of: ${normalized.variants.map(variant => variant.types.join('|') || 'object').join(', ')}`);
+    }
+    if (normalized.recursive) parts.push(`recursive reference to ${normalized.recursive}`);
+    return parts.join('; ');
+  };
+
+  const visit = (normalized, prefix) => {
+    const required = new Set(normalized.required);
+
+    Object.entries(normalized.properties).forEach(([key, value]) => {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const child = normalize(value, normalized.refs, normalized.pointers[key]);
+      const isObject = Object.keys(child.properties).length > 0;
+      const isArray = child.types.includes('array');
+
+      if (isObject && !isArray) {
+        visit(child, fieldPath);
+        return;
+      }
+
+      const element = isArray ? normalize(child.items, child.refs, child.itemsPointer) : null;
+      const hasElementFields = Boolean(element) && Object.keys(element.properties).length > 0;
+
+      fields.push(createField({
+        path: fieldPath,
+        type: isArray ? (hasElementFields ? 'object' : typeName(element)) : typeName(child),
+        cardinality: isArray ? 'many' : 'one',
+        required: required.has(key),
+        nullable: child.nullable,
+        description: describe(child),
+        constraints: {
+          format: child.format || (element ? element.format : undefined),
+          enum: child.enum || (element ? element.enum : undefined),
+          ...child.constraints
+        },
+        source: { pointer: child.pointer }
+      }));
+
+      if (hasElementFields) {
+        visit(element, `${fieldPath}[0]`);
+      }
+    });
+  };
+
+  const root = normalize(schema, [rootPointer], rootPointer);
+  if (root.types.includes('array') && Object.keys(root.properties).length === 0) {
+    // A top-level array schema describes its elements
+    visit(normalize(root.items, root.refs, root.itemsPointer), '');
+  } else {
+    visit(root, '');
+  }
+
+  return createSchema({
+    format: 'json-schema',
+    entities: [createEntity({
+      name: options.pointer ? name : (schema.title || name),
+      description: schema.description || '',
+      fields,
+      source: { pointer: rootPointer }
+    })]
+  });
+}
+
+module.exports = {
+  isJsonSchema,
+  parseJsonSchema,
+  resolveRef
+};
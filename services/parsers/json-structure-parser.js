@@ -0,0 +1,155 @@
+const { escapeToken } = require('../../utils/json-pointer');
+const { createSchema, createEntity, createField } = require('../schema-ir');
+
+/**
+ * Convert this project's schema shape (`{"schema": {"field": "type", ...}}`) into the schema IR.
+ * Nested objects contribute their leaf fields; a one-element array describes a collection.
+ * Objects with a `type` are field definitions and may carry a `description`.
+ * @param {Object} schemaObject - Value of the `schema` property
+ * @param {string} name - Entity name
+ * @returns {Object} Schema IR with one entity
+ */
+function parseSchemaShape(schemaObject, name = 'Root') {
+  const fields = [];
+
+  const visit = (node, prefix, pointer) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const fieldPointer = `${pointer}/${escapeToken(key)}`;
+
+      if (Array.isArray(value)) {
+        const element = value[0];
+        const isObject = Boolean(element) && typeof element === 'object';
+        fields.push(createField({
+          path: fieldPath,
+          type: isObject ? 'object' : String(element || 'string'),
+          cardinality: 'many',
+          source: { pointer: fieldPointer }
+        }));
+        if (isObject) {
+          visit(element, `${fieldPath}[0]`, `${fieldPointer}/0`);
+        }
+      } else if (value && typeof value === 'object' && value.type) {
+        fields.push(createField({
+          path: fieldPath,
+          type: String(value.type),
+          description: value.description || '',
+          source: { pointer: fieldPointer }
+        }));
+      } else if (value && typeof value === 'object') {
+        visit(value, fieldPath, fieldPointer);
+      } else {
+        fields.push(createField({ path: fieldPath, type: String(value), source: { pointer: fieldPointer } }));
+      }
+    });
+  };
+
+  visit(schemaObject, '', '#/schema');
+  return createSchema({ format: 'schema-json', entities: [createEntity({ name, fields, source: { pointer: '#/schema' } })] });
+}
+
+// Type names used as values in hand-written examples such as `{"id": "string"}`
+const TYPE_NAMES = new Set(['string', 'text', 'char', 'number', 'decimal', 'money', 'integer', 'int', 'long',
+  'float', 'double', 'boolean', 'bool', 'date', 'datetime', 'date-time', 'timestamp', 'time', 'uuid', 'guid',
+  'object', 'array', 'any']);
+
+/**
+ * Decide whether a JSON document is a hand-written example whose values are type names
+ * rather than sample data
+ * @param {*} document - Parsed JSON
+ * @returns {boolean} True when every string value is a type name
+ */
+function isTypedExample(document) {
+  const strings = [];
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    } else if (typeof value === 'string') {
+      strings.push(value);
+    }
+  };
+  collect(document);
+  return strings.length > 0 && strings.every(value => TYPE_NAMES.has(value.toLowerCase()));
+}
+
+/**
+ * Convert a hand-written example whose values are type names (`{"id": "string"}`) into
+ * the schema IR by walking its values
+ * @param {Object|Array} document - Example document; for an array its first element is used
+ * @param {string} name - Entity name
+ * @returns {Object} Schema IR with one entity
+ */
+function parseTypedExample(document, name = 'Root') {
+  const fields = [];
+
+  const visit = (node, prefix, pointer) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const fieldPointer = `${pointer}/${escapeToken(key)}`;
+
+      if (Array.isArray(value)) {
+        const element = value[0];
+        const isObject = Boolean(element) && typeof element === 'object' && !Array.isArray(element);
+        fields.push(createField({
+          path: fieldPath,
+          type: isObject ? 'object' : (typeof element === 'string' ? element : typeof element),
+          cardinality: 'many',
+          source: { pointer: fieldPointer }
+        }));
+        if (isObject) {
+          visit(element, `${fieldPath}[0]`, `${fieldPointer}/0`);
+        }
+      } else if (value && typeof value === 'object') {
+        visit(value, fieldPath, fieldPointer);
+      } else {
+        fields.push(createField({
+          path: fieldPath,
+          type: typeof value === 'string' ? value : (value === null ? 'string' : typeof value),
+          nullable: value === null,
+          source: { pointer: fieldPointer }
+        }));
+      }
+    });
+  };
+
+  const root = Array.isArray(document) ? document[0] : document;
+  if (root && typeof root === 'object') {
+    visit(root, '', Array.isArray(document) ? '#/0' : '#');
+  }
+  return createSchema({ format: 'typed-example', entities: [createEntity({ name, fields, source: { pointer: '#' } })] });
+}
+
+/**
+ * Convert a list of field descriptions, as extracted from text or returned by the LLM,
+ * into the schema IR
+ * @param {Object[]} list - Items with field (or name), type and description
+ * @param {string} name - Entity name
+ * @returns {Object} Schema IR with one entity
+ */
+function parseFieldList(list, name = 'Root') {
+  const fields = list
+    .map(item => ({ ...item, path: item.field || item.name }))
+    .filter(item => typeof item.path === 'string' && item.path.length > 0)
+    .map(item => {
+      const type = String(item.type || 'string').toLowerCase();
+      return createField({
+        path: item.path,
+        type: type === 'array' ? 'object' : type,
+        cardinality: type === 'array' ? 'many' : 'one',
+        required: item.required === true,
+        description: typeof item.description === 'string' ? item.description : '',
+        source: item.line ? { line: item.line } : null
+      });
+    });
+
+  return createSchema({ format: 'field-list', entities: [createEntity({ name, fields })] });
+}
+
+module.exports = {
+  parseSchemaShape,
+  isTypedExample,
+  parseTypedExample,
+  parseFieldList
+};
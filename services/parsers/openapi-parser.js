@@ -0,0 +1,38 @@
+const { escapeToken } = require('../../utils/json-pointer');
+const { createSchema } = require('../schema-ir');
+const { parseJsonSchema } = require('./json-schema-parser');
+
+/**
+ * Decide whether a parsed document is an OpenAPI 3.x or Swagger 2.0 description
+ * @param {*} document - Parsed JSON or YAML
+ * @returns {boolean} True for OpenAPI and Swagger documents
+ */
+function isOpenApi(document) {
+  return Boolean(document) && typeof document === 'object' &&
+    ((typeof document.openapi === 'string' && document.openapi.startsWith('3.')) ||
+      String(document.swagger) === '2.0');
+}
+
+/**
+ * Convert the schemas of an OpenAPI document into the schema IR, one entity per
+ * `components/schemas` entry (OpenAPI 3.x) or `definitions` entry (Swagger 2.0).
+ * `$ref`s between schemas are resolved against the whole document.
+ * @param {Object} document - OpenAPI or Swagger document
+ * @returns {Object} Schema IR; entity sources are the pointers of their schemas
+ */
+function parseOpenApi(document) {
+  const base = document.openapi ? '#/components/schemas' : '#/definitions';
+  const schemas = (document.openapi ? (document.components || {}).schemas : document.definitions) || {};
+
+  const entities = Object.entries(schemas).map(([name, schema]) => {
+    const pointer = `${base}/${escapeToken(name)}`;
+    return parseJsonSchema(schema, name, { document, pointer }).entities[0];
+  });
+
+  return createSchema({ format: document.openapi ? 'openapi' : 'swagger', entities });
+}
+
+module.exports = {
+  isOpenApi,
+  parseOpenApi
+};
@@ -0,0 +1,280 @@
+const { tokenize } = require('../../utils/code-utils');
+const { toCamelCase } = require('../../utils/naming');
+const { buildDeclarationSchema } = require('./type-declarations');
+
+const PRIMITIVES = {
+  string: 'string', bytes: 'string',
+  int32: 'integer', int64: 'integer', uint32: 'integer', uint64: 'integer', sint32: 'integer', sint64: 'integer',
+  fixed32: 'integer', fixed64: 'integer', sfixed32: 'integer', sfixed64: 'integer',
+  double: 'number', float: 'number',
+  bool: 'boolean',
+  // Well-known types, by the JSON they are serialized as
+  'google.protobuf.Timestamp': 'date-time',
+  'google.protobuf.Duration': 'string',
+  'google.protobuf.FieldMask': 'string',
+  'google.protobuf.Struct': 'object',
+  'google.protobuf.Value': 'object',
+  'google.protobuf.ListValue': 'object',
+  'google.protobuf.Any': 'object',
+  'google.protobuf.Empty': 'object'
+};
+
+// Wrapper types are their scalar, with null standing for "not set"
+const WRAPPERS = {
+  'google.protobuf.StringValue': 'string', 'google.protobuf.BytesValue': 'bytes',
+  'google.protobuf.Int32Value': 'int32', 'google.protobuf.Int64Value': 'int64',
+  'google.protobuf.UInt32Value': 'uint32', 'google.protobuf.UInt64Value': 'uint64',
+  'google.protobuf.DoubleValue': 'double', 'google.protobuf.FloatValue': 'float',
+  'google.protobuf.BoolValue': 'bool'
+};
+
+const LANGUAGE = {
+  format: 'protobuf',
+  primitives: PRIMITIVES,
+  collections: new Set(),
+  maps: new Set(['map']),
+  wrappers: new Set()
+};
+
+/**
+ * Read a protobuf definition (proto3 or proto2) into the schema IR: messages with their fields,
+ * nested messages, enums, `repeated` fields as collections, `map<K, V>` fields, `oneof` groups
+ * and the well-known types (`google.protobuf.Timestamp` is a date-time, wrapper types such as
+ * `StringValue` are nullable scalars). Fields are named as in the protobuf JSON mapping
+ * (`customer_id` becomes `customerId`, or the `json_name` option); the `.proto` name is kept
+ * in the field source. Comments on the lines above a message or field become descriptions.
+ * @param {string} code - `.proto` source
+ * @returns {Object} Schema IR; the messages no other message refers to are the entities
+ */
+function parseProtobuf(code) {
+  const tokens = tokenize(code, { lineDocs: true });
+  const declarations = [];
+  const end = { kind: 'end', value: null, line: 0, doc: null };
+  let packageName = '';
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset] || end;
+  const is = (value, offset = 0) => peek(offset).kind !== 'string' && peek(offset).value === value;
+  const next = () => tokens[pos++] || end;
+
+  const skipBlock = () => {
+    while (pos < tokens.length && !is('{')) next();
+    next();
+    let depth = 1;
+    while (pos < tokens.length && depth > 0) {
+      const token = next();
+      if (token.kind === 'punctuation' && token.value === '{') depth++;
+      if (token.kind === 'punctuation' && token.value === '}') depth--;
+    }
+  };
+
+  const skipStatement = () => {
+    while (pos < tokens.length && !is(';') && !is('}')) {
+      if (is('{')) {
+        skipBlock();
+        return;
+      }
+      next();
+    }
+    if (is(';')) next();
+  };
+
+  // Dotted names such as `google.protobuf.Timestamp` or `.shop.Order.Line`
+  const readName = () => {
+    let typeName = is('.') ? next().value : '';
+    typeName += next().value;
+    while (is('.') && peek(1).kind === 'identifier') {
+      next();
+      typeName += `.${next().value}`;
+    }
+    return typeName;
+  };
+
+  // Field options (`[json_name = "id", deprecated = true]`) as a name -> value map
+  const readOptions = () => {
+    const options = {};
+    if (!is('[')) return options;
+    next();
+    while (pos < tokens.length && !is(']')) {
+      const name = readName().replace(/^\(|\)$/g, '');
+      if (is('=')) {
+        next();
+        options[name] = next().value;
+      }
+      while (pos < tokens.length && !is(',') && !is(']')) next();
+      if (is(',')) next();
+    }
+    next();
+    return options;
+  };
+
+  const parseEnum = (scope, { doc, line }) => {
+    next();
+    const name = next().value;
+    const values = [];
+    next();
+    while (pos < tokens.length && !is('}')) {
+      if (is('option') || is('reserved')) {
+        skipStatement();
+      } else if (peek().kind === 'identifier' && is('=', 1)) {
+        values.push(next().value);
+        skipStatement();
+      } else {
+        next();
+      }
+    }
+    next();
+    // The JSON mapping writes enum values by name
+    declarations.push({
+      name: [...scope, name].join('.'),
+      kind: 'enum',
+      description: doc || '',
+      line,
+      scope,
+      members: [],
+      valueType: 'string',
+      values
+    });
+  };
+
+  const parseField = (scope, oneof) => {
+    const { doc, line } = peek();
+    const label = ['repeated', 'optional', 'required'].includes(peek().value) && peek(1).kind === 'identifier'
+      ? next().value
+      : null;
+
+    let type;
+    if (is('map') && is('<', 1)) {
+      next();
+      while (pos < tokens.length && !is('>')) next();
+      next();
+      type = { kind: 'named', name: 'map', args: [] };
+    } else {
+      const typeName = readName();
+      type = WRAPPERS[typeName]
+        ? { kind: 'nullable', inner: { kind: 'named', name: WRAPPERS[typeName], args: [] } }
+        : { kind: 'named', name: typeName, args: [], scope };
+    }
+
+    const name = next().value;
+    while (pos < tokens.length && !is('[') && !is(';') && !is('}')) next();
+    const options = readOptions();
+    if (is(';')) next();
+
+    return {
+      name,
+      key: options.json_name || toCamelCase(name),
+      type: label === 'repeated' ? { kind: 'array', element: type } : type,
+      required: label === 'required',
+      // proto3 `optional` fields and oneof members can be absent
+      nullable: label === 'optional' || Boolean(oneof),
+      description: doc || '',
+      line,
+      oneof
+    };
+  };
+
+  const parseMessage = (scope, { doc, line }) => {
+    next();
+    const name = next().value;
+    const declaration = {
+      name: [...scope, name].join('.'),
+      kind: 'object',
+      description: doc || '',
+      line,
+      scope,
+      typeParameters: [],
+      bases: [],
+      members: [],
+      values: []
+    };
+    declarations.push(declaration);
+    const inner = [...scope, name];
+
+    next();
+    while (pos < tokens.length && !is('}')) {
+      const token = peek();
+      if (is('message')) {
+        parseMessage(inner, token);
+      } else if (is('enum')) {
+        parseEnum(inner, token);
+      } else if (is('oneof')) {
+        next();
+        const oneof = next().value;
+        next();
+        const members = [];
+        while (pos < tokens.length && !is('}')) {
+          if (is('option') || is(';')) {
+            skipStatement();
+          } else {
+            members.push(parseField(inner, oneof));
+          }
+        }
+        next();
+        const names = members.map(member => member.key).join(', ');
+        members.forEach(member => {
+          member.description = [member.description, `one of ${oneof}: ${names}`].filter(Boolean).join('; ');
+        });
+        declaration.members.push(...members);
+      } else if (['option', 'reserved', 'extensions', 'extend', 'group'].includes(token.value) || is(';')) {
+        skipStatement();
+      } else {
+        declaration.members.push(parseField(inner));
+      }
+    }
+    next();
+  };
+
+  while (pos < tokens.length) {
+    const token = peek();
+    if (is('package')) {
+      next();
+      packageName = readName();
+      skipStatement();
+    } else if (is('message')) {
+      parseMessage([], token);
+    } else if (is('enum')) {
+      parseEnum([], token);
+    } else {
+      // syntax, import, option, service and extend
+      skipStatement();
+      if (is('}')) next();
+    }
+  }
+
+  // Type names are resolved from the innermost scope outwards, as protoc does
+  const known = new Set(declarations.map(declaration => declaration.name));
+  const resolveName = ref => {
+    let typeName = ref.name.replace(/^\./, '');
+    if (packageName && typeName.startsWith(`${packageName}.`)) {
+      typeName = typeName.slice(packageName.length + 1);
+    }
+    for (let depth = ref.scope.length; depth >= 0; depth--) {
+      const candidate = [...ref.scope.slice(0, depth), typeName].join('.');
+      if (known.has(candidate)) return candidate;
+    }
+    return typeName;
+  };
+  // Nested types get protoc's C++/Go names (`Order_Line`) so entity names stay free of dots
+  const typeName = name => name.replace(/\./g, '_');
+  const rename = ref => {
+    if (ref.kind === 'array' || ref.kind === 'nullable') {
+      return { ...ref, element: ref.element && rename(ref.element), inner: ref.inner && rename(ref.inner) };
+    }
+    if (ref.scope) {
+      const resolved = resolveName(ref);
+      return { kind: 'named', name: known.has(resolved) ? typeName(resolved) : resolved, args: [] };
+    }
+    return ref;
+  };
+
+  return buildDeclarationSchema(declarations.map(declaration => ({
+    ...declaration,
+    name: typeName(declaration.name),
+    members: declaration.members.map(member => ({ ...member, type: rename(member.type) }))
+  })), LANGUAGE);
+}
+
+module.exports = {
+  parseProtobuf
+};
@@ -0,0 +1,286 @@
+const { escapeToken } = require('../../utils/json-pointer');
+const { createSchema, createEntity, createField } = require('../schema-ir');
+
+// String values with more distinct values than this are free text, not an enum
+const MAX_ENUM_VALUES = 10;
+
+// Recognized string formats, in order of preference; the first that matches every value wins.
+// When none does, the first that every value matches or widens to wins: a column mixing
+// ISO dates and date-times is a date-time column (the dates read as midnight).
+const STRING_FORMATS = [
+  {
+    type: 'date-time',
+    format: 'date-time',
+    test: value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value),
+    widens: value => /^\d{4}-\d{2}-\d{2}$/.test(value)
+  },
+  { type: 'date', format: 'date', pattern: 'YYYY-MM-DD', test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) },
+  { type: 'date', format: 'date', pattern: 'MM/DD/YYYY', test: value => /^(0?[1-9]|1[0-2])\/(0?[1-9]|[12]\d|3[01])\/\d{4}$/.test(value) },
+  { type: 'date', format: 'date', pattern: 'DD/MM/YYYY', test: value => /^(0?[1-9]|[12]\d|3[01])\/(0?[1-9]|1[0-2])\/\d{4}$/.test(value) },
+  { type: 'date', format: 'date', pattern: 'DD.MM.YYYY', test: value => /^(0?[1-9]|[12]\d|3[01])\.(0?[1-9]|1[0-2])\.\d{4}$/.test(value) },
+  { type: 'time', format: 'time', test: value => /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value) },
+  { type: 'uuid', format: 'uuid', test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value) },
+  { type: 'number', format: 'thousands-separated', test: value => /^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) },
+  { type: 'number', format: 'decimal-comma', test: value => /^-?\d{1,3}(\.\d{3})*,\d+$/.test(value) },
+  { type: 'string', format: 'email', test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+  { type: 'string', format: 'uri', test: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value) }
+];
+
+/**
+ * Create the statistics collected for one field
+ * @returns {Object} Field statistics
+ */
+function createStats() {
+  return {
+    seen: 0,
+    nulls: 0,
+    kinds: new Map(),
+    values: new Map(),
+    formats: null,
+    widerFormats: null,
+    decimals: 0,
+    minimum: null,
+    maximum: null,
+    objects: 0,
+    children: new Map(),
+    element: null
+  };
+}
+
+/**
+ * Read a text cell as the value it stands for: number, boolean or string
+ * @param {string} value - Cell text
+ * @returns {*} Typed value
+ */
+function coerceText(value) {
+  if (/^[+-]?\d+(\.\d+)?$/.test(value) && !/^[+-]?0\d/.test(value)) {
+    return Number(value);
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Read the text values of a record (e.g. a CSV row or an XML document) as numbers and
+ * booleans where possible; nested objects and arrays are read the same way
+ * @param {Object<string, *>} record - Record with text values
+ * @returns {Object} Record with typed values
+ */
+function coerceRecord(record) {
+  const coerce = value => {
+    if (typeof value === 'string') return coerceText(value);
+    if (Array.isArray(value)) return value.map(coerce);
+    if (value && typeof value === 'object') return coerceRecord(value);
+    return value;
+  };
+
+  return Object.entries(record).reduce((typed, [key, value]) => {
+    typed[key] = coerce(value);
+    return typed;
+  }, {});
+}
+
+/**
+ * Record one value in the statistics of a field
+ * @param {Object} stats - Field statistics
+ * @param {*} value - Observed value
+ */
+function observe(stats, value) {
+  stats.seen++;
+  const kindCount = kind => stats.kinds.set(kind, (stats.kinds.get(kind) || 0) + 1);
+
+  if (value === null || value === undefined) {
+    stats.nulls++;
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    kindCount('array');
+    stats.element = stats.element || createStats();
+    value.forEach(item => observe(stats.element, item));
+  } else if (typeof value === 'object') {
+    kindCount('object');
+    stats.objects++;
+    Object.entries(value).forEach(([key, child]) => {
+      if (!stats.children.has(key)) {
+        stats.children.set(key, createStats());
+      }
+      observe(stats.children.get(key), child);
+    });
+  } else if (typeof value === 'number') {
+    kindCount(Number.isInteger(value) ? 'integer' : 'number');
+    const decimals = String(value).split('.')[1];
+    stats.decimals = Math.max(stats.decimals, decimals ? decimals.length : 0);
+    stats.minimum = stats.minimum === null ? value : Math.min(stats.minimum, value);
+    stats.maximum = stats.maximum === null ? value : Math.max(stats.maximum, value);
+  } else if (typeof value === 'boolean') {
+    kindCount('boolean');
+  } else {
+    const text = String(value);
+    kindCount('string');
+    // Keep only the formats every string so far matches, or matches or widens to
+    stats.formats = (stats.formats || STRING_FORMATS).filter(candidate => candidate.test(text));
+    stats.widerFormats = (stats.widerFormats || STRING_FORMATS)
+      .filter(candidate => candidate.test(text) || (candidate.widens && candidate.widens(text)));
+    if (stats.values.size <= MAX_ENUM_VALUES || stats.values.has(text)) {
+      stats.values.set(text, (stats.values.get(text) || 0) + 1);
+    }
+  }
+}
+
+/**
+ * Merge the kinds seen for a field into one type. Integers and decimals widen to number;
+ * any other mix falls back to string.
+ * @param {Object} stats - Field statistics
+ * @returns {{type: string, variants: string[]}} Type and the kinds it was merged from
+ */
+function resolveKind(stats) {
+  const kinds = Array.from(stats.kinds.keys());
+  if (kinds.length === 0) {
+    return { type: 'string', variants: [] };
+  }
+  if (kinds.length === 1) {
+    return { type: kinds[0], variants: [] };
+  }
+  if (kinds.every(kind => kind === 'integer' || kind === 'number')) {
+    return { type: 'number', variants: [] };
+  }
+  return { type: kinds.includes('object') ? 'object' : 'string', variants: kinds };
+}
+
+/**
+ * Describe a scalar field: its type, format and constraints
+ * @param {Object} stats - Field statistics
+ * @returns {{type: string, constraints: Object, description: string}} Field details
+ */
+function describeScalar(stats) {
+  const { type, variants } = resolveKind(stats);
+  const constraints = {};
+  let fieldType = type;
+  const details = variants.length > 0 ? [`mixed values: ${variants.join(', ')}`] : [];
+
+  if (type === 'integer' || type === 'number') {
+    constraints.minimum = stats.minimum;
+    constraints.maximum = stats.maximum;
+    if (type === 'number') {
+      constraints.decimals = stats.decimals;
+    }
+  }
+
+  if (type === 'string' && variants.length === 0) {
+    const strings = Array.from(stats.values.keys());
+    const match = stats.formats && (stats.formats[0] || stats.widerFormats[0]);
+
+    if (match) {
+      fieldType = match.type;
+      constraints.format = match.format;
+      constraints.datePattern = match.pattern;
+    } else if (strings.length > 0 && strings.length <= MAX_ENUM_VALUES && strings.length * 2 <= stats.seen - stats.nulls) {
+      // Few distinct values that repeat across records read as an enum
+      constraints.enum = strings.sort();
+    }
+  }
+
+  return { type: fieldType, constraints, description: details.join('; ') };
+}
+
+/**
+ * Infer the schema IR from sample records. Field types, nullability, required-ness,
+ * collection cardinality, enums and date/number formats are merged across all records.
+ * @param {Object[]} records - Sample records
+ * @param {Object} options - name (entity name) and format (input format recorded on the schema)
+ * @returns {Object} Schema IR with one entity
+ */
+function inferSchema(records, options = {}) {
+  const root = createStats();
+  records.forEach(record => observe(root, record));
+
+  const fields = [];
+
+  // Fields of an optional nested object are only as required as the object itself
+  const visit = (stats, prefix, pointer, parentRequired = true) => {
+    stats.children.forEach((child, key) => {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const fieldPointer = `${pointer}/${escapeToken(key)}`;
+      const missing = stats.objects - child.seen;
+      const nullable = child.nulls > 0;
+      const required = parentRequired && missing === 0 && !nullable;
+      const { type } = resolveKind(child);
+
+      if (type === 'object' && child.children.size > 0) {
+        visit(child, fieldPath, fieldPointer, required);
+        return;
+      }
+
+      if (type === 'array') {
+        const element = child.element || createStats();
+        const elementKind = resolveKind(element).type;
+        const isObjectElement = elementKind === 'object' && element.children.size > 0;
+        const elementDetails = isObjectElement ? null : describeScalar(element);
+
+        fields.push(createField({
+          path: fieldPath,
+          type: isObjectElement ? 'object' : elementDetails.type,
+          cardinality: 'many',
+          nullable,
+          required,
+          description: elementDetails ? elementDetails.description : '',
+          constraints: elementDetails ? elementDetails.constraints : {},
+          source: { pointer: fieldPointer }
+        }));
+        if (isObjectElement) {
+          visit(element, `${fieldPath}[0]`, `${fieldPointer}/0`);
+        }
+        return;
+      }
+
+      const details = describeScalar(child);
+      fields.push(createField({
+        path: fieldPath,
+        type: details.type,
+        nullable,
+        required,
+        description: details.description,
+        constraints: details.constraints,
+        source: { pointer: fieldPointer }
+      }));
+    });
+  };
+
+  visit(root, '', '#/*');
+
+  return createSchema({
+    format: options.format || 'inferred',
+    entities: [createEntity({
+      name: options.name || 'Root',
+      description: `Inferred from ${records.length} sample record${records.length === 1 ? '' : 's'}`,
+      fields
+    })]
+  });
+}
+
+/**
+ * Parse newline-delimited JSON into records, skipping blank lines
+ * @param {string} text - NDJSON text
+ * @returns {Object[]} Records
+ */
+function parseNdjson(text) {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+      }
+    });
+}
+
+module.exports = {
+  coerceRecord,
+  inferSchema,
+  parseNdjson
+};
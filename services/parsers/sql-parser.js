@@ -0,0 +1,520 @@
+const { createSchema, createEntity, createField, inlineRelationships } = require('../schema-ir');
+
+// Column types by their (lower-case) name; the first word decides for multi-word types
+const COLUMN_TYPES = {
+  integer: ['int', 'integer', 'smallint', 'bigint', 'tinyint', 'mediumint', 'serial', 'bigserial', 'smallserial',
+    'int2', 'int4', 'int8', 'pls_integer', 'binary_integer'],
+  number: ['decimal', 'numeric', 'number', 'money', 'smallmoney', 'real', 'float', 'float4', 'float8', 'double',
+    'binary_float', 'binary_double'],
+  string: ['char', 'varchar', 'nchar', 'nvarchar', 'varchar2', 'nvarchar2', 'character', 'text', 'ntext',
+    'tinytext', 'mediumtext', 'longtext', 'clob', 'nclob', 'citext', 'string', 'enum', 'set', 'inet', 'cidr',
+    'macaddr', 'interval', 'sysname'],
+  boolean: ['bool', 'boolean', 'bit'],
+  date: ['date'],
+  time: ['time', 'timetz'],
+  'date-time': ['timestamp', 'timestamptz', 'datetime', 'datetime2', 'smalldatetime', 'datetimeoffset'],
+  uuid: ['uuid', 'uniqueidentifier'],
+  object: ['json', 'jsonb', 'xml', 'hstore', 'variant', 'sql_variant']
+};
+const BINARY_TYPES = ['bytea', 'blob', 'tinyblob', 'mediumblob', 'longblob', 'binary', 'varbinary', 'image', 'raw'];
+const AUTO_TYPES = ['serial', 'bigserial', 'smallserial'];
+
+// Words that start a table constraint rather than a column, and the clauses of a column definition
+const CONSTRAINT_WORDS = ['constraint', 'primary', 'foreign', 'unique', 'check', 'key', 'index', 'fulltext',
+  'spatial', 'exclude', 'period'];
+const COLUMN_CLAUSES = ['not', 'null', 'primary', 'references', 'default', 'unique', 'check', 'constraint', 'comment',
+  'identity', 'auto_increment', 'autoincrement', 'generated', 'collate', 'on'];
+
+/**
+ * Split SQL into tokens. Quoted identifiers (`"name"`, `` `name` ``, `[name]`) become identifier
+ * tokens, `--` comments are kept by line so they can describe the column they trail.
+ * @param {string} sql - SQL text
+ * @returns {{tokens: Object[], comments: Map<number, string>}} Tokens and comments by line
+ */
+function tokenizeSql(sql) {
+  const tokens = [];
+  const comments = new Map();
+  let line = 1;
+  let i = 0;
+
+  const readQuoted = close => {
+    let value = '';
+    let j = i + 1;
+    while (j < sql.length && !(sql[j] === close && sql[j + 1] !== close)) {
+      // A doubled closing character escapes itself
+      if (sql[j] === close) j++;
+      if (sql[j] === '\n') line++;
+      value += sql[j];
+      j++;
+    }
+    i = j + 1;
+    return value;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (sql.startsWith('--', i) || char === '#') {
+      const end = sql.indexOf('\n', i);
+      const text = sql.slice(i, end === -1 ? sql.length : end).replace(/^(--|#)\s*/, '').trim();
+      if (text) comments.set(line, text);
+      i = end === -1 ? sql.length : end;
+    } else if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      const comment = sql.slice(i, end === -1 ? sql.length : end + 2);
+      line += (comment.match(/\n/g) || []).length;
+      i += comment.length;
+    } else if (char === '\'' || ((char === 'N' || char === 'E') && sql[i + 1] === '\'')) {
+      if (char !== '\'') i++;
+      const tokenLine = line;
+      tokens.push({ kind: 'string', value: readQuoted('\''), line: tokenLine });
+    } else if (char === '"' || char === '`' || (char === '[' && sql[i + 1] !== ']')) {
+      const tokenLine = line;
+      tokens.push({ kind: 'identifier', value: readQuoted(char === '[' ? ']' : char), line: tokenLine });
+    } else if (/[A-Za-z_@]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_@][A-Za-z0-9_$#@]*/);
+      tokens.push({ kind: 'word', value: match[0], line });
+      i += match[0].length;
+    } else if (/[0-9]/.test(char)) {
+      const match = sql.slice(i).match(/^[0-9]+(\.[0-9]+)?/);
+      tokens.push({ kind: 'number', value: match[0], line });
+      i += match[0].length;
+    } else {
+      tokens.push({ kind: 'punctuation', value: char, line });
+      i++;
+    }
+  }
+
+  return { tokens, comments };
+}
+
+/**
+ * Map a column type to the IR type and its constraints
+ * @param {string[]} words - Lower-case type words, e.g. ['double', 'precision'] or ['timestamp', 'with', 'time', 'zone']
+ * @param {string[]} args - Type arguments, e.g. ['10', '2'] for DECIMAL(10,2) or the values of ENUM('a','b')
+ * @param {Map<string, string[]>} enums - User-defined enum types
+ * @returns {{type: string, constraints: Object}} IR type and constraints
+ */
+function mapColumnType(words, args, enums) {
+  const [base] = words;
+  const constraints = {};
+
+  if (enums.has(base)) {
+    return { type: 'string', constraints: { enum: enums.get(base) } };
+  }
+  if (BINARY_TYPES.includes(base)) {
+    return { type: 'string', constraints: { format: 'binary' } };
+  }
+  if (base === 'enum' || base === 'set') {
+    return { type: 'string', constraints: { enum: args } };
+  }
+  // MySQL's boolean convention
+  if (base === 'tinyint' && args[0] === '1') {
+    return { type: 'boolean', constraints };
+  }
+
+  let type = Object.keys(COLUMN_TYPES).find(candidate => COLUMN_TYPES[candidate].includes(base)) || 'string';
+
+  if (type === 'string' && /^\d+$/.test(args[0] || '')) {
+    constraints.maxLength = Number(args[0]);
+  }
+  if (type === 'number' && /^\d+$/.test(args[0] || '')) {
+    constraints.precision = Number(args[0]);
+    constraints.decimals = args[1] !== undefined ? Number(args[1]) : 0;
+    // NUMERIC(10) and NUMBER(10, 0) hold whole numbers
+    if (['decimal', 'numeric', 'number'].includes(base) && constraints.decimals === 0) {
+      type = 'integer';
+      delete constraints.decimals;
+    }
+  }
+  if (type === 'date-time' || type === 'date' || type === 'time' || type === 'uuid') {
+    constraints.format = type;
+  }
+
+  return { type, constraints };
+}
+
+/**
+ * Read SQL DDL into the schema IR: every `CREATE TABLE` becomes an entity with its columns,
+ * types, nullability, keys, defaults and comments (`COMMENT '...'`, `COMMENT ON ... IS '...'`
+ * or a trailing `--` comment). Foreign keys, inline or added by `ALTER TABLE`, become
+ * relationships, and each table also gets the columns of the tables it is related to as
+ * nested paths (`customer.name`, `order_lines[0].sku`).
+ * Works for the common PostgreSQL, MySQL, SQL Server, SQLite and Oracle syntax; statements
+ * other than tables, enum types and comments are skipped.
+ * @param {string} sql - SQL script
+ * @returns {Object} Schema IR
+ */
+function parseSqlDdl(sql) {
+  const { tokens, comments } = tokenizeSql(sql);
+  const tables = [];
+  const enums = new Map();
+  const foreignKeys = [];
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset] || { kind: 'end', value: '', line: 0 };
+  const word = (offset = 0) => (peek(offset).kind === 'word' ? peek(offset).value.toLowerCase() : null);
+  const is = (value, offset = 0) => peek(offset).kind === 'punctuation' && peek(offset).value === value;
+  const next = () => tokens[pos++];
+  const accept = (...words) => {
+    if (words.every((expected, index) => word(index) === expected)) {
+      pos += words.length;
+      return true;
+    }
+    return false;
+  };
+
+  const skipParens = () => {
+    let depth = 0;
+    do {
+      if (is('(')) depth++;
+      if (is(')')) depth--;
+      next();
+    } while (pos < tokens.length && depth > 0);
+  };
+
+  const skipStatement = () => {
+    while (pos < tokens.length && !is(';') && word() !== 'go') {
+      if (is('(')) skipParens(); else next();
+    }
+    next();
+  };
+
+  // Qualified names (`dbo.Orders`, `"public"."orders"`) are known by their last part
+  const parseName = () => {
+    let name = next().value;
+    while (is('.') && (peek(1).kind === 'word' || peek(1).kind === 'identifier')) {
+      next();
+      name = next().value;
+    }
+    return name;
+  };
+
+  const parseNameList = () => {
+    const names = [];
+    if (!is('(')) return names;
+    next();
+    while (pos < tokens.length && !is(')')) {
+      if (peek().kind === 'word' || peek().kind === 'identifier') {
+        names.push(next().value);
+        // Sort order and prefix lengths in key definitions
+        while (pos < tokens.length && !is(',') && !is(')')) {
+          if (is('(')) skipParens(); else next();
+        }
+      } else {
+        next();
+      }
+      if (is(',')) next();
+    }
+    next();
+    return names;
+  };
+
+  // `key INT` is a column, `KEY idx_name (col)` an index
+  const isTableConstraint = () => CONSTRAINT_WORDS.includes(word()) &&
+    (is('(', 1) || ['key', 'check'].includes(word(1)) || (peek(1).kind !== 'punctuation' && is('(', 2)) ||
+      ['constraint', 'primary', 'foreign'].includes(word()));
+
+  const findTable = name => tables.find(table => table.name.toLowerCase() === String(name).toLowerCase());
+  const findColumn = (table, name) => table && table.columns.find(column => column.name.toLowerCase() === String(name).toLowerCase());
+
+  const parseReferences = (table, columns, constraintName) => {
+    const target = parseName();
+    const targetColumns = parseNameList();
+    foreignKeys.push({ name: constraintName, table: table.name, columns, target, targetColumns });
+    // ON DELETE / ON UPDATE / MATCH / DEFERRABLE clauses
+    while (['on', 'match', 'deferrable', 'not', 'initially', 'enable', 'disable', 'validate', 'novalidate'].includes(word())) {
+      if (word() === 'not' && word(1) !== 'deferrable') break;
+      next();
+      while (['delete', 'update', 'cascade', 'restrict', 'set', 'null', 'default', 'no', 'action', 'full', 'partial',
+        'simple', 'deferrable', 'immediate', 'deferred', 'initially'].includes(word())) {
+        next();
+      }
+    }
+  };
+
+  const parseTableConstraint = table => {
+    let constraintName = null;
+    if (accept('constraint')) {
+      constraintName = parseName();
+    }
+    if (accept('primary', 'key')) {
+      while (['clustered', 'nonclustered'].includes(word())) next();
+      table.primaryKey = parseNameList();
+      table.primaryKey.forEach(name => {
+        const column = findColumn(table, name);
+        if (column) column.primaryKey = true;
+      });
+    } else if (accept('foreign', 'key')) {
+      const columns = parseNameList();
+      if (accept('references')) {
+        parseReferences(table, columns, constraintName);
+      }
+    } else if (word() === 'unique') {
+      next();
+      while (['key', 'index', 'clustered', 'nonclustered'].includes(word())) next();
+      if (peek().kind !== 'punctuation') next();
+      const names = parseNameList();
+      table.uniqueKeys.push(names);
+      if (names.length === 1 && findColumn(table, names[0])) {
+        findColumn(table, names[0]).unique = true;
+      }
+    }
+    // CHECK, INDEX, KEY and the rest carry nothing we map
+    while (pos < tokens.length && !is(',') && !is(')') && !is(';')) {
+      if (is('(')) skipParens(); else next();
+    }
+  };
+
+  const parseColumn = table => {
+    const { line } = peek();
+    const column = { name: next().value, line, notNull: false, primaryKey: false, unique: false, auto: false };
+
+    // The type: one word, a qualified user-defined type, or a multi-word type such as
+    // CHARACTER VARYING, DOUBLE PRECISION or TIMESTAMP WITH TIME ZONE
+    const typeWords = [];
+    if (peek().kind === 'word' || peek().kind === 'identifier') {
+      typeWords.push(parseName().toLowerCase());
+      if (['character', 'double', 'timestamp', 'time', 'national'].includes(typeWords[0])) {
+        while (['varying', 'precision', 'with', 'without', 'time', 'zone', 'local', 'character', 'varchar'].includes(word())) {
+          typeWords.push(next().value.toLowerCase());
+        }
+      }
+    }
+
+    const args = [];
+    if (is('(')) {
+      next();
+      while (pos < tokens.length && !is(')')) {
+        const token = next();
+        if (token.kind !== 'punctuation') args.push(token.kind === 'word' ? token.value.toLowerCase() : token.value);
+      }
+      next();
+    }
+    let many = false;
+    while (is('[')) {
+      // PostgreSQL arrays (`text[]`)
+      next();
+      if (is(']')) next();
+      many = true;
+    }
+    if (word() === 'array') {
+      next();
+      many = true;
+    }
+    Object.assign(column, mapColumnType(typeWords.length > 0 ? typeWords : ['text'], args, enums), { many, rawType: typeWords.join(' ') });
+    column.auto = AUTO_TYPES.includes(typeWords[0]);
+
+    while (pos < tokens.length && !is(',') && !is(')')) {
+      if (accept('not', 'null')) {
+        column.notNull = true;
+      } else if (accept('null')) {
+        column.notNull = false;
+      } else if (accept('primary', 'key')) {
+        column.primaryKey = true;
+        table.primaryKey = [column.name];
+      } else if (accept('unique')) {
+        column.unique = true;
+        table.uniqueKeys.push([column.name]);
+        accept('key');
+      } else if (accept('references')) {
+        parseReferences(table, [column.name], null);
+      } else if (accept('default')) {
+        const start = pos;
+        do {
+          if (is('(')) skipParens(); else next();
+        } while (pos < tokens.length && !is(',') && !is(')') && !COLUMN_CLAUSES.includes(word()));
+        column.default = tokens.slice(start, pos).map(token => (token.kind === 'string' ? `'${token.value}'` : token.value)).join('');
+      } else if (accept('comment')) {
+        column.description = peek().kind === 'string' ? next().value : '';
+      } else if (['identity', 'auto_increment', 'autoincrement', 'generated'].includes(word())) {
+        column.auto = true;
+        next();
+      } else if (is('(')) {
+        skipParens();
+      } else {
+        next();
+      }
+    }
+
+    if (!column.description && comments.has(line)) {
+      column.description = comments.get(line);
+    }
+    table.columns.push(column);
+  };
+
+  const parseCreateTable = () => {
+    accept('if', 'not', 'exists');
+    const { line } = peek();
+    // Keys are lists of column names; a foreign key on a whole one is one-to-one
+    const table = { name: parseName(), line, columns: [], primaryKey: [], uniqueKeys: [], description: comments.get(line - 1) || '' };
+    if (!is('(')) {
+      // CREATE TABLE ... AS SELECT has no column list to read
+      return;
+    }
+    tables.push(table);
+    next();
+
+    while (pos < tokens.length && !is(')')) {
+      if (isTableConstraint()) {
+        parseTableConstraint(table);
+      } else {
+        parseColumn(table);
+      }
+      if (is(',')) next();
+    }
+    next();
+
+    // Table options, e.g. MySQL's COMMENT = '...'
+    while (pos < tokens.length && !is(';') && !['go', 'create', 'alter'].includes(word()) && !(word() === 'comment' && word(1) === 'on')) {
+      if (accept('comment')) {
+        if (is('=')) next();
+        if (peek().kind === 'string') table.description = next().value;
+      } else if (is('(')) {
+        skipParens();
+      } else {
+        next();
+      }
+    }
+  };
+
+  const parseAlterTable = () => {
+    accept('only');
+    accept('if', 'exists');
+    const table = findTable(parseName());
+    while (pos < tokens.length && !is(';') && word() !== 'go') {
+      if (table && accept('add')) {
+        if (['constraint', 'primary', 'foreign', 'unique'].includes(word())) {
+          parseTableConstraint(table);
+        }
+      } else if (is('(')) {
+        skipParens();
+      } else {
+        next();
+      }
+    }
+  };
+
+  const parseComment = () => {
+    const target = word();
+    next();
+    const parts = [next().value];
+    while (is('.')) {
+      next();
+      parts.push(next().value);
+    }
+    if (!accept('is') || peek().kind !== 'string') return;
+    const text = next().value;
+
+    if (target === 'table') {
+      const table = findTable(parts[parts.length - 1]);
+      if (table) table.description = text;
+    } else if (target === 'column') {
+      const column = findColumn(findTable(parts[parts.length - 2]), parts[parts.length - 1]);
+      if (column) column.description = text;
+    }
+  };
+
+  // Each reader stops at the end of its statement; anything else is skipped
+  while (pos < tokens.length) {
+    if (is(';') || word() === 'go') {
+      next();
+    } else if (accept('create')) {
+      accept('or', 'replace');
+      while (['temp', 'temporary', 'global', 'local', 'unlogged', 'virtual', 'external'].includes(word())) next();
+      if (accept('table')) {
+        parseCreateTable();
+      } else if (accept('type') && word(1) === 'as' && word(2) === 'enum') {
+        // PostgreSQL enum types: CREATE TYPE mood AS ENUM ('sad', 'happy')
+        const typeName = parseName().toLowerCase();
+        pos += 2;
+        const listStart = pos;
+        skipParens();
+        enums.set(typeName, tokens.slice(listStart, pos).filter(token => token.kind === 'string').map(token => token.value));
+      } else {
+        skipStatement();
+      }
+    } else if (accept('alter', 'table')) {
+      parseAlterTable();
+    } else if (accept('comment', 'on')) {
+      parseComment();
+    } else {
+      skipStatement();
+    }
+  }
+
+  // Primary keys are required and never null
+  const entities = tables.map(table => createEntity({
+    name: table.name,
+    description: table.description,
+    fields: table.columns.map(column => createField({
+      path: column.name,
+      type: column.type,
+      cardinality: column.many ? 'many' : 'one',
+      nullable: !column.notNull && !column.primaryKey,
+      required: column.notNull || column.primaryKey,
+      description: column.description || '',
+      constraints: {
+        ...column.constraints,
+        sqlType: column.rawType,
+        primaryKey: column.primaryKey || undefined,
+        unique: column.unique || undefined,
+        generated: column.auto || undefined,
+        default: column.default
+      },
+      source: { line: column.line }
+    })),
+    source: { line: table.line }
+  }));
+
+  // An inline REFERENCES and a FOREIGN KEY constraint on the same columns are one relationship
+  const sameColumns = (a, b) => a.length === b.length &&
+    a.every(name => b.some(other => other.toLowerCase() === name.toLowerCase()));
+  const uniqueForeignKeys = [];
+  foreignKeys.forEach(foreignKey => {
+    const duplicate = uniqueForeignKeys.find(other =>
+      other.table.toLowerCase() === foreignKey.table.toLowerCase() &&
+      other.target.toLowerCase() === foreignKey.target.toLowerCase() &&
+      sameColumns(other.columns, foreignKey.columns));
+    if (!duplicate) {
+      uniqueForeignKeys.push({ ...foreignKey });
+      return;
+    }
+    duplicate.name = duplicate.name || foreignKey.name;
+    if (duplicate.targetColumns.length === 0) {
+      duplicate.targetColumns = foreignKey.targetColumns;
+    }
+  });
+
+  const relationships = uniqueForeignKeys.map(foreignKey => {
+    const target = findTable(foreignKey.target);
+    const targetColumns = foreignKey.targetColumns.length > 0
+      ? foreignKey.targetColumns
+      : (target ? target.columns.filter(column => column.primaryKey).map(column => column.name) : []);
+    const source = findTable(foreignKey.table);
+    const sourceColumns = foreignKey.columns.map(name => findColumn(source, name)).filter(Boolean);
+    // Only a foreign key on a whole primary or unique key is unique; one part of a composite
+    // key (order_lines.order_id in PRIMARY KEY (order_id, line_no)) repeats
+    const oneToOne = source !== undefined && foreignKey.columns.length > 0 &&
+      [source.primaryKey, ...source.uniqueKeys].some(key => key.length > 0 && sameColumns(key, foreignKey.columns));
+
+    return {
+      name: foreignKey.name || `${foreignKey.table}_${foreignKey.columns.join('_')}_fkey`,
+      from: { entity: foreignKey.table, fields: foreignKey.columns },
+      to: { entity: target ? target.name : foreignKey.target, fields: targetColumns },
+      cardinality: oneToOne ? 'one-to-one' : 'many-to-one',
+      required: sourceColumns.length > 0 && sourceColumns.every(column => column.notNull || column.primaryKey)
+    };
+  });
+
+  return inlineRelationships(createSchema({ format: 'sql', entities, relationships }));
+}
+
+module.exports = {
+  parseSqlDdl
+};
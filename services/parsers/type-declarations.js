@@ -0,0 +1,236 @@
+const { createSchema, createEntity, createField } = require('../schema-ir');
+
+// Types that are more useful as the field type than plain "string", as in the JSON Schema parser
+const FORMAT_TYPES = new Set(['date', 'date-time', 'time', 'uuid']);
+
+/**
+ * Convert type declarations read from source code (C# classes, TypeScript interfaces, ...) into
+ * the schema IR. The language parsers only translate syntax into declarations; resolving types,
+ * inlining nested types and picking the entities happens here.
+ *
+ * Declaration: { name, kind: 'object'|'enum'|'alias', description, line, typeParameters,
+ *                bases: TypeRef[], members: Member[], values, valueType, type }
+ * Member:      { name, key (serialized name), type: TypeRef, required, nullable, description, line }
+ * TypeRef:     { kind: 'named', name, args } | { kind: 'array', element } | { kind: 'object', members }
+ *              | { kind: 'union', options } | { kind: 'intersection', parts } | { kind: 'literal', value }
+ *              | { kind: 'nullable', inner }
+ *
+ * Object types that no other declaration refers to become entities; the types they refer to
+ * are inlined as nested paths (`address.city`, `lines[0].sku`).
+ * @param {Object[]} declarations - Declarations in source order
+ * @param {Object} language - format, primitives (type name -> IR type), collections and
+ *   maps (generic type names read as a collection or as an opaque object), wrappers (generic
+ *   type names that stand for their type argument)
+ * @returns {Object} Schema IR
+ */
+function buildDeclarationSchema(declarations, language) {
+  const byName = new Map(declarations.map(declaration => [declaration.name, declaration]));
+  const scalar = (type, extra = {}) => ({ shape: 'scalar', type, nullable: false, ...extra });
+
+  const resolve = (ref, context) => {
+    switch (ref.kind) {
+      case 'nullable':
+        return { ...resolve(ref.inner, context), nullable: true };
+      case 'array':
+        return { shape: 'many', element: resolve(ref.element, context), nullable: false };
+      case 'object':
+        return { shape: 'object', members: ref.members, context, nullable: false };
+      case 'literal':
+        return scalar(typeof ref.value === 'string' ? 'string' : typeof ref.value, { enum: [String(ref.value)] });
+      case 'intersection':
+        return mergeObjects(ref.parts.map(part => resolve(part, context)));
+      case 'union':
+        return resolveUnion(ref, context);
+      default:
+        return resolveNamed(ref, context);
+    }
+  };
+
+  const resolveUnion = (ref, context) => {
+    const options = ref.options.filter(option => !(option.kind === 'named' && ['null', 'undefined'].includes(option.name)));
+    const nullable = options.length < ref.options.length;
+    const resolved = options.map(option => resolve(option, context));
+
+    if (resolved.length === 1) {
+      return { ...resolved[0], nullable: nullable || resolved[0].nullable };
+    }
+    if (resolved.length > 0 && resolved.every(option => option.shape === 'scalar' && option.enum)) {
+      // A union of literals is an enum
+      const types = new Set(resolved.map(option => option.type));
+      return scalar(types.size === 1 ? resolved[0].type : 'string', {
+        nullable,
+        enum: resolved.flatMap(option => option.enum)
+      });
+    }
+    if (resolved.length > 0 && resolved.every(option => option.shape === 'object')) {
+      return { ...mergeObjects(resolved), nullable };
+    }
+
+    const types = Array.from(new Set(resolved.map(option => (option.shape === 'scalar' ? option.type : option.shape))));
+    return scalar(types.length === 1 ? types[0] : 'string', {
+      nullable,
+      description: types.length > 1 ? `one of: ${types.join(', ')}` : ''
+    });
+  };
+
+  const resolveNamed = (ref, context) => {
+    const args = ref.args || [];
+
+    if (context.bindings.has(ref.name)) {
+      const binding = context.bindings.get(ref.name);
+      return resolve(binding.ref, binding.context);
+    }
+    if (language.wrappers.has(ref.name) && args.length > 0) {
+      return resolve(args[0], context);
+    }
+    if (language.collections.has(ref.name)) {
+      return { shape: 'many', element: args.length > 0 ? resolve(args[args.length - 1], context) : scalar('object'), nullable: false };
+    }
+    if (language.maps.has(ref.name)) {
+      return scalar('object');
+    }
+    if (language.primitives[ref.name]) {
+      return scalar(language.primitives[ref.name]);
+    }
+
+    const declaration = byName.get(ref.name);
+    if (!declaration) {
+      // Types defined elsewhere carry no fields we could read
+      return scalar('object', { description: ref.name });
+    }
+    if (context.stack.includes(ref.name)) {
+      return scalar('object', { description: `recursive reference to ${ref.name}` });
+    }
+    if (declaration.kind === 'enum') {
+      return scalar(declaration.valueType || 'string', { enum: declaration.values });
+    }
+
+    const bindings = new Map((declaration.typeParameters || []).map((parameter, index) => [
+      parameter,
+      { ref: args[index] || { kind: 'named', name: 'object', args: [] }, context }
+    ]));
+    const inner = { stack: [...context.stack, ref.name], bindings };
+
+    if (declaration.kind === 'alias') {
+      return resolve(declaration.type, inner);
+    }
+
+    const bases = (declaration.bases || [])
+      .map(base => resolve(base, inner))
+      .filter(base => base.shape === 'object');
+    return mergeObjects([...bases, { shape: 'object', members: declaration.members, context: inner, nullable: false }]);
+  };
+
+  // Members of several object types, each resolved in the context it was declared in;
+  // a later member with the same key replaces an earlier one
+  const mergeObjects = parts => {
+    const members = new Map();
+    parts.filter(part => part.shape === 'object').forEach(part => {
+      part.members.forEach(member => members.set(member.key, { ...member, context: member.context || part.context }));
+    });
+    return { shape: 'object', members: Array.from(members.values()), context: null, nullable: false };
+  };
+
+  const collectFields = root => {
+    const fields = [];
+
+    // Members of an optional nested object are only as required as the object itself
+    const visit = (object, prefix, parentRequired) => {
+      object.members.forEach(member => {
+        const fieldPath = prefix ? `${prefix}.${member.key}` : member.key;
+        const resolved = resolve(member.type, member.context || object.context);
+        const required = parentRequired && member.required;
+
+        if (resolved.shape === 'object') {
+          visit(resolved, fieldPath, required && !resolved.nullable);
+          return;
+        }
+
+        const isMany = resolved.shape === 'many';
+        const element = isMany ? resolved.element : resolved;
+        const type = element.shape === 'scalar' ? element.type : (element.shape === 'object' ? 'object' : 'array');
+        fields.push(createField({
+          path: fieldPath,
+          type,
+          cardinality: isMany ? 'many' : 'one',
+          required,
+          nullable: Boolean(member.nullable || resolved.nullable),
+          description: [member.description, element.description].filter(Boolean).join('; '),
+          constraints: {
+            format: FORMAT_TYPES.has(type) ? type : undefined,
+            enum: element.enum
+          },
+          source: member.key === member.name ? { line: member.line } : { line: member.line, property: member.name }
+        }));
+
+        if (isMany && element.shape === 'object') {
+          visit(element, `${fieldPath}[0]`, required);
+        }
+      });
+    };
+
+    visit(root, '', true);
+    return fields;
+  };
+
+  // Names each declaration refers to, through its members, bases and aliased type
+  const references = new Map(declarations.map(declaration => {
+    const names = new Set();
+    const collect = ref => {
+      if (!ref || typeof ref !== 'object') return;
+      if (ref.kind === 'named' && ref.name !== declaration.name) names.add(ref.name);
+      [ref.inner, ref.element, ...(ref.args || []), ...(ref.options || []), ...(ref.parts || [])].forEach(collect);
+      (ref.members || []).forEach(member => collect(member.type));
+    };
+    (declaration.bases || []).forEach(collect);
+    (declaration.members || []).forEach(member => collect(member.type));
+    collect(declaration.type);
+    return [declaration.name, names];
+  }));
+
+  const rootContext = { stack: [], bindings: new Map() };
+  const objects = declarations
+    .filter(declaration => declaration.kind !== 'enum')
+    .map(declaration => ({ declaration, resolved: resolveNamed({ kind: 'named', name: declaration.name, args: [] }, rootContext) }))
+    .filter(({ resolved }) => resolved.shape === 'object');
+
+  // Entities are the object types nothing else in the file refers to. Types that only refer to
+  // each other (Order.lines -> OrderLine.order) are covered by the one that reaches the most types.
+  const reachable = typeName => {
+    const found = new Set();
+    const visit = current => {
+      if (found.has(current)) return;
+      found.add(current);
+      (references.get(current) || []).forEach(visit);
+    };
+    visit(typeName);
+    return found;
+  };
+  const reached = new Set();
+  const referenced = new Set(Array.from(references.values()).flatMap(names => Array.from(names)));
+  const roots = objects.filter(({ declaration }) => !referenced.has(declaration.name));
+  roots.forEach(({ declaration }) => reachable(declaration.name).forEach(typeName => reached.add(typeName)));
+  for (;;) {
+    const candidates = objects
+      .filter(({ declaration }) => !reached.has(declaration.name))
+      .map(candidate => ({ candidate, covers: reachable(candidate.declaration.name) }));
+    if (candidates.length === 0) break;
+    const best = candidates.reduce((top, current) => (current.covers.size > top.covers.size ? current : top));
+    roots.push(best.candidate);
+    best.covers.forEach(typeName => reached.add(typeName));
+  }
+  roots.sort((a, b) => objects.indexOf(a) - objects.indexOf(b));
+
+  const entities = roots.map(({ declaration, resolved }) => createEntity({
+    name: declaration.name,
+    description: declaration.description || '',
+    fields: collectFields(resolved),
+    source: { line: declaration.line }
+  }));
+
+  return createSchema({ format: language.format, entities });
+}
+
+module.exports = {
+  buildDeclarationSchema
+};
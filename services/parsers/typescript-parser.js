@@ -0,0 +1,378 @@
+const { tokenize } = require('../../utils/code-utils');
+const { buildDeclarationSchema } = require('./type-declarations');
+
+const LANGUAGE = {
+  format: 'typescript',
+  primitives: {
+    string: 'string', String: 'string', symbol: 'string',
+    number: 'number', Number: 'number', bigint: 'integer',
+    boolean: 'boolean', Boolean: 'boolean',
+    Date: 'date-time',
+    any: 'object', unknown: 'object', object: 'object', Object: 'object', never: 'object', void: 'object'
+  },
+  collections: new Set(['Array', 'ReadonlyArray', 'Set', 'ReadonlySet']),
+  maps: new Set(['Record', 'Map', 'ReadonlyMap', 'WeakMap', 'Pick', 'Omit']),
+  wrappers: new Set(['Partial', 'Required', 'Readonly', 'NonNullable', 'Promise'])
+};
+
+// Keywords in front of declarations and members that do not change their shape
+const MODIFIERS = new Set(['export', 'default', 'declare', 'abstract', 'const', 'readonly', 'public', 'override',
+  'accessor']);
+
+/**
+ * Read TypeScript source code into the schema IR: interfaces, object type aliases and classes
+ * with their properties. Optional members (`?`), unions with `null`/`undefined`, arrays
+ * (`T[]`, `Array<T>`), inline object types, `extends`, intersections, generics, enums and
+ * string literal unions are resolved, and JSDoc comments become field descriptions.
+ * This is a lightweight declaration reader, not a compiler: functions, method signatures
+ * and initializers are skipped.
+ * @param {string} code - TypeScript source
+ * @returns {Object} Schema IR; the types no other type refers to are the entities
+ */
+function parseTypeScript(code) {
+  const tokens = tokenize(code);
+  const declarations = [];
+  const end = { kind: 'end', value: null, line: 0, doc: null };
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset] || end;
+  const is = (value, offset = 0) => peek(offset).kind !== 'string' && peek(offset).value === value;
+  const next = () => tokens[pos++] || end;
+  const closing = { '(': ')', '[': ']', '{': '}', '<': '>' };
+  const object = { kind: 'named', name: 'object', args: [] };
+
+  const skipBalanced = () => {
+    const open = next().value;
+    let depth = 1;
+    while (pos < tokens.length && depth > 0) {
+      const token = next();
+      if (token.kind === 'punctuation' && token.value === open) depth++;
+      if (token.kind === 'punctuation' && token.value === closing[open]) depth--;
+    }
+  };
+
+  // Skip to the end of the current statement: its `;`, the block that ends it, or the end of its line
+  const skipStatement = () => {
+    const { line } = peek();
+    while (pos < tokens.length && !is('}')) {
+      if (is('{')) {
+        skipBalanced();
+        return;
+      }
+      if (is('(') || is('[')) {
+        skipBalanced();
+      } else if (next().value === ';' || (peek().line > line && !/^[=.|&?:,(<>+\-*/]$/.test(peek().value))) {
+        return;
+      }
+    }
+  };
+
+  const parseTypeArguments = () => {
+    const args = [];
+    next();
+    while (pos < tokens.length && !is('>')) {
+      args.push(parseType());
+      if (is(',')) next();
+    }
+    next();
+    return args;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.kind === 'string') {
+      next();
+      return { kind: 'literal', value: token.value };
+    }
+    if (token.kind === 'number' || (is('-') && peek(1).kind === 'number')) {
+      const sign = is('-') ? next().value : '';
+      return { kind: 'literal', value: Number(sign + next().value) };
+    }
+    if (is('{')) {
+      next();
+      return { kind: 'object', members: parseMembers() };
+    }
+    if (is('[')) {
+      // Tuples have positions, not names
+      skipBalanced();
+      return { kind: 'array', element: object };
+    }
+    if (is('(')) {
+      const start = pos;
+      skipBalanced();
+      if (is('=>')) {
+        // Function types carry no data
+        next();
+        parseType();
+        return object;
+      }
+      pos = start + 1;
+      const type = parseType();
+      next();
+      return type;
+    }
+    if (is('true') || is('false')) {
+      return { kind: 'literal', value: next().value === 'true' };
+    }
+    if (is('keyof')) {
+      next();
+      parsePrimary();
+      return { kind: 'named', name: 'string', args: [] };
+    }
+    if (is('typeof') || is('new') || is('infer') || is('unique')) {
+      next();
+      const type = parsePrimary();
+      if (is('=>')) {
+        next();
+        parseType();
+      }
+      return token.value === 'unique' ? type : object;
+    }
+
+    let typeName = next().value;
+    while (is('.') && peek(1).kind === 'identifier') {
+      next();
+      typeName = next().value;
+    }
+    return { kind: 'named', name: typeName, args: is('<') ? parseTypeArguments() : [] };
+  };
+
+  const parsePostfix = () => {
+    let type = parsePrimary();
+    while (is('[')) {
+      if (is(']', 1)) {
+        pos += 2;
+        type = { kind: 'array', element: type };
+      } else {
+        // Indexed access types (`Order['lines']`)
+        skipBalanced();
+        type = object;
+      }
+    }
+    return type;
+  };
+
+  const parseIntersection = () => {
+    if (is('&')) next();
+    const parts = [parsePostfix()];
+    while (is('&')) {
+      next();
+      parts.push(parsePostfix());
+    }
+    return parts.length === 1 ? parts[0] : { kind: 'intersection', parts };
+  };
+
+  const parseType = () => {
+    if (is('|')) next();
+    const options = [parseIntersection()];
+    while (is('|')) {
+      next();
+      options.push(parseIntersection());
+    }
+    if (is('extends')) {
+      // Conditional types cannot be resolved without a checker
+      next();
+      parseType();
+      if (is('?')) {
+        next();
+        parseType();
+        next();
+        parseType();
+      }
+      return object;
+    }
+    return options.length === 1 ? options[0] : { kind: 'union', options };
+  };
+
+  // Members of an interface, type literal or class body, up to and including the closing brace
+  const parseMembers = () => {
+    const members = [];
+
+    while (pos < tokens.length && !is('}')) {
+      const { doc, line } = peek();
+      let hidden = false;
+      while (peek().kind === 'identifier' && (MODIFIERS.has(peek().value) ||
+        ['private', 'protected', 'static', 'get', 'set'].includes(peek().value)) &&
+        !/^[?:;(,}=]$/.test(peek(1).value)) {
+        hidden = hidden || ['private', 'protected', 'static', 'get', 'set'].includes(next().value);
+      }
+
+      if (is('[') || is('(') || is('<') || is('#')) {
+        // Index signatures, call signatures and private names
+        if (is('#')) next();
+        skipStatement();
+      } else if (is(';') || is(',')) {
+        next();
+      } else {
+        const key = next().value;
+        const optional = is('?');
+        if (optional || is('!')) next();
+
+        if (is('(') || is('<')) {
+          // Methods
+          if (is('<')) skipBalanced();
+          skipStatement();
+        } else {
+          let type = object;
+          if (is(':')) {
+            next();
+            type = parseType();
+          }
+          if (is('=')) {
+            // Untyped class properties take the type of a literal initializer
+            const initializer = peek(1);
+            if (type === object && (initializer.kind === 'string' || initializer.kind === 'number')) {
+              type = { kind: 'named', name: initializer.kind, args: [] };
+            } else if (type === object && (initializer.value === 'true' || initializer.value === 'false')) {
+              type = { kind: 'named', name: 'boolean', args: [] };
+            }
+            skipStatement();
+          }
+          if (!hidden && key !== 'constructor') {
+            members.push({
+              name: key,
+              key,
+              type,
+              required: !optional,
+              nullable: false,
+              description: doc || '',
+              line
+            });
+          }
+        }
+      }
+      if (is(';') || is(',')) next();
+    }
+
+    next();
+    return members;
+  };
+
+  const parseTypeParameters = () => {
+    const parameters = [];
+    if (!is('<')) return parameters;
+    next();
+    while (pos < tokens.length && !is('>')) {
+      parameters.push(next().value);
+      // Constraints and defaults (`T extends Base = Base`)
+      if (is('extends')) {
+        next();
+        parseType();
+      }
+      if (is('=')) {
+        next();
+        parseType();
+      }
+      if (is(',')) next();
+    }
+    next();
+    return parameters;
+  };
+
+  const parseHeritage = () => {
+    const bases = [];
+    while (is('extends') || is('implements')) {
+      next();
+      bases.push(parseIntersection());
+      while (is(',')) {
+        next();
+        bases.push(parseIntersection());
+      }
+    }
+    return bases;
+  };
+
+  const parseEnum = declaration => {
+    next();
+    let counter = 0;
+    let isString = false;
+    const names = [];
+    const values = [];
+    while (pos < tokens.length && !is('}')) {
+      const member = next().value;
+      let value = null;
+      if (is('=')) {
+        next();
+        if (peek().kind === 'string') {
+          isString = true;
+          value = peek().value;
+        } else if (peek().kind === 'number' || is('-')) {
+          counter = Number((is('-') ? next().value : '') + peek().value);
+        }
+        while (pos < tokens.length && !is(',') && !is('}')) next();
+      }
+      names.push(member);
+      values.push(value === null ? counter++ : value);
+      if (is(',')) next();
+    }
+    next();
+    // Numeric enums are serialized as their numbers, string enums as their values
+    declaration.valueType = isString ? 'string' : 'integer';
+    declaration.values = isString ? values.map((value, index) => (typeof value === 'string' ? value : names[index])) : values;
+  };
+
+  const parseDeclaration = ({ doc, line }) => {
+    const keyword = next().value;
+    const declaration = {
+      name: next().value,
+      kind: keyword === 'enum' ? 'enum' : (keyword === 'type' ? 'alias' : 'object'),
+      description: doc || '',
+      line,
+      typeParameters: parseTypeParameters(),
+      bases: [],
+      members: [],
+      values: []
+    };
+    declarations.push(declaration);
+
+    if (keyword === 'enum') {
+      parseEnum(declaration);
+    } else if (keyword === 'type') {
+      next();
+      declaration.type = parseType();
+    } else {
+      declaration.bases = parseHeritage();
+      if (is('{')) {
+        next();
+        declaration.members = parseMembers();
+      }
+    }
+  };
+
+  const parseBlock = () => {
+    while (pos < tokens.length && !is('}')) {
+      const { doc, line } = peek();
+      while (peek().kind === 'identifier' && MODIFIERS.has(peek().value) && peek(1).kind === 'identifier') {
+        next();
+      }
+
+      if ((is('namespace') || is('module')) && (peek(1).kind === 'identifier' || peek(1).kind === 'string')) {
+        next();
+        while (!is('{') && pos < tokens.length) next();
+        next();
+        parseBlock();
+        next();
+      } else if (['interface', 'type', 'enum', 'class'].includes(peek().value) && peek(1).kind === 'identifier' &&
+        (is('=', 2) || is('{', 2) || is('<', 2) || is('extends', 2) || is('implements', 2))) {
+        parseDeclaration({ doc, line });
+      } else if (is(';')) {
+        next();
+      } else {
+        skipStatement();
+      }
+    }
+  };
+
+  while (pos < tokens.length) {
+    parseBlock();
+    // A stray closing brace at the top level
+    next();
+  }
+
+  return buildDeclarationSchema(declarations, LANGUAGE);
+}
+
+module.exports = {
+  parseTypeScript
+};
@@ -0,0 +1,343 @@
+const { XMLParser } = require('fast-xml-parser');
+const { createSchema, createEntity, createField } = require('../schema-ir');
+const { coerceRecord, inferSchema } = require('./sample-inference');
+
+// Attributes that describe the document rather than its data
+const DOCUMENT_ATTRIBUTES = new Set(['@schemaLocation', '@noNamespaceSchemaLocation', '@nil', '@type']);
+
+// XML Schema built-in types by local name
+const BUILTIN_TYPES = {
+  string: 'string', normalizedString: 'string', token: 'string', language: 'string', Name: 'string', NCName: 'string',
+  NMTOKEN: 'string', NMTOKENS: 'string', ID: 'string', IDREF: 'string', IDREFS: 'string', ENTITY: 'string',
+  QName: 'string', NOTATION: 'string', duration: 'string', gYear: 'string', gYearMonth: 'string', gMonth: 'string',
+  gMonthDay: 'string', gDay: 'string', anyURI: 'string', base64Binary: 'string', hexBinary: 'string',
+  integer: 'integer', int: 'integer', long: 'integer', short: 'integer', byte: 'integer',
+  nonNegativeInteger: 'integer', positiveInteger: 'integer', nonPositiveInteger: 'integer', negativeInteger: 'integer',
+  unsignedLong: 'integer', unsignedInt: 'integer', unsignedShort: 'integer', unsignedByte: 'integer',
+  decimal: 'number', float: 'number', double: 'number',
+  boolean: 'boolean',
+  date: 'date', dateTime: 'date-time', dateTimeStamp: 'date-time', time: 'time',
+  anyType: 'object', anySimpleType: 'string'
+};
+const BUILTIN_FORMATS = { anyURI: 'uri', base64Binary: 'binary', hexBinary: 'binary', date: 'date', dateTime: 'date-time',
+  dateTimeStamp: 'date-time', time: 'time', duration: 'duration' };
+
+// Facets of a simple type restriction and the constraint they become
+const FACETS = { pattern: 'pattern', minLength: 'minLength', maxLength: 'maxLength', length: 'length',
+  minInclusive: 'minimum', maxInclusive: 'maximum', minExclusive: 'exclusiveMinimum', maxExclusive: 'exclusiveMaximum',
+  totalDigits: 'precision', fractionDigits: 'decimals' };
+
+/**
+ * Parse XML into plain objects. Namespace prefixes are dropped, attributes are keys starting
+ * with `@`, text next to attributes or child elements is `#text`, and every element is an
+ * array so repeated and single elements look the same.
+ * @param {string} content - XML text
+ * @returns {Object} Parsed document
+ */
+function parseXml(content) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@',
+    removeNSPrefix: true,
+    ignoreDeclaration: true,
+    ignorePiTags: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute
+  });
+  return parser.parse(content);
+}
+
+/**
+ * Decide whether a parsed XML document is an XML Schema
+ * @param {Object} document - Document from parseXml
+ * @returns {boolean} True when the root element is `schema`
+ */
+function isXsd(document) {
+  return Boolean(document) && Array.isArray(document.schema);
+}
+
+const localName = qualified => String(qualified || '').split(':').pop();
+
+/**
+ * Convert an XML Schema into the schema IR. Global elements become entities (named complex
+ * types when there are none); `sequence`, `choice`, `all`, groups, attribute groups and
+ * `extension` bases contribute fields. `minOccurs`/`maxOccurs` decide required-ness and
+ * cardinality, and simple type restrictions become constraints. Attributes keep their `@`
+ * in the path (`order.@id`) to tell them from elements; the text of an element with
+ * attributes is `#text`.
+ * @param {Object} document - Document from parseXml
+ * @returns {Object} Schema IR
+ */
+function parseXsd(document) {
+  const root = document.schema[0];
+  const globals = kind => new Map((root[kind] || []).map(node => [node['@name'], node]));
+  const elements = globals('element');
+  const complexTypes = globals('complexType');
+  const simpleTypes = globals('simpleType');
+  const groups = globals('group');
+  const attributeGroups = globals('attributeGroup');
+  const attributes = globals('attribute');
+
+  const documentation = node => {
+    const annotation = (node.annotation || [])[0];
+    const text = annotation && (annotation.documentation || [])[0];
+    return typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : ((text && text['#text']) || '').trim();
+  };
+
+  // Type and constraints of a simple type (named, inline or built-in)
+  const resolveSimple = (typeName, inline, seen = []) => {
+    if (!inline && typeName && BUILTIN_TYPES[localName(typeName)]) {
+      const name = localName(typeName);
+      return { type: BUILTIN_TYPES[name], constraints: { format: BUILTIN_FORMATS[name] } };
+    }
+    const node = inline || simpleTypes.get(localName(typeName));
+    if (!node || seen.includes(node)) {
+      return { type: 'string', constraints: {} };
+    }
+
+    if (node.list) {
+      const item = node.list[0];
+      return { ...resolveSimple(item['@itemType'], (item.simpleType || [])[0], [...seen, node]), many: true };
+    }
+    if (node.union) {
+      return { type: 'string', constraints: {} };
+    }
+
+    const restriction = (node.restriction || [])[0] || {};
+    const base = resolveSimple(restriction['@base'], (restriction.simpleType || [])[0], [...seen, node]);
+    const constraints = { ...base.constraints };
+    const values = (restriction.enumeration || []).map(facet => facet['@value']);
+    if (values.length > 0) constraints.enum = values;
+    Object.entries(FACETS).forEach(([facet, constraint]) => {
+      const value = (restriction[facet] || [])[0];
+      if (value && value['@value'] !== undefined) {
+        constraints[constraint] = facet === 'pattern' ? value['@value'] : Number(value['@value']);
+      }
+    });
+    return { type: base.type, constraints };
+  };
+
+  const collectEntityFields = (entityElement, entityXpath) => {
+    const fields = [];
+
+    const addAttribute = (node, prefix, xpath, parentRequired) => {
+      const declaration = node['@ref'] ? attributes.get(localName(node['@ref'])) || node : node;
+      const name = declaration['@name'] || localName(node['@ref']);
+      if (node['@use'] === 'prohibited') return;
+      const simple = resolveSimple(declaration['@type'], (declaration.simpleType || [])[0]);
+      fields.push(createField({
+        path: prefix ? `${prefix}.@${name}` : `@${name}`,
+        type: simple.type,
+        cardinality: simple.many ? 'many' : 'one',
+        required: parentRequired && node['@use'] === 'required',
+        description: documentation(node) || documentation(declaration),
+        constraints: { ...simple.constraints, default: declaration['@default'], fixed: declaration['@fixed'] },
+        source: { xpath: `${xpath}/attribute[@${node['@ref'] ? 'ref' : 'name'}='${node['@ref'] || name}']` }
+      }));
+    };
+
+    // Attributes, attribute groups and the particles (sequence/choice/all/group) of a type body
+    const visitBody = (body, prefix, xpath, parentRequired, stack, optional = false) => {
+      (body.attribute || []).forEach(node => addAttribute(node, prefix, xpath, parentRequired));
+      (body.attributeGroup || []).forEach(node => {
+        const group = attributeGroups.get(localName(node['@ref']));
+        if (group && !stack.includes(group)) {
+          visitBody(group, prefix, `/schema/attributeGroup[@name='${group['@name']}']`, parentRequired, [...stack, group]);
+        }
+      });
+      ['sequence', 'choice', 'all'].forEach(kind => (body[kind] || []).forEach(particle => {
+        // Only one branch of a choice is present, so none of them is required
+        const particleOptional = optional || kind === 'choice' || particle['@minOccurs'] === '0';
+        const particleMany = particle['@maxOccurs'] === 'unbounded' || Number(particle['@maxOccurs']) > 1;
+        visitBody(particle, prefix, `${xpath}/${kind}`, parentRequired, stack, particleOptional);
+        (particle.element || []).forEach(element => visitElement(element, prefix, `${xpath}/${kind}`, parentRequired && !particleOptional, stack, particleMany));
+      }));
+      (body.group || []).forEach(node => {
+        const group = groups.get(localName(node['@ref']));
+        if (group && !stack.includes(group)) {
+          visitBody(group, prefix, `/schema/group[@name='${group['@name']}']`, parentRequired, [...stack, group],
+            optional || node['@minOccurs'] === '0');
+        }
+      });
+    };
+
+    const visitComplex = (complexType, prefix, xpath, required, stack) => {
+      const content = (complexType.complexContent || complexType.simpleContent || [])[0];
+      if (!content) {
+        visitBody(complexType, prefix, xpath, required, stack);
+        return;
+      }
+
+      const derivation = (content.extension || content.restriction || [])[0] || {};
+      const kind = content.extension ? 'extension' : 'restriction';
+      const baseType = complexTypes.get(localName(derivation['@base']));
+      if (complexType.simpleContent) {
+        // Text with attributes: the value is `#text`
+        const simple = baseType ? { type: 'string', constraints: {} } : resolveSimple(derivation['@base']);
+        fields.push(createField({
+          path: prefix ? `${prefix}.#text` : '#text',
+          type: simple.type,
+          required,
+          description: documentation(complexType),
+          constraints: simple.constraints,
+          source: { xpath: `${xpath}/simpleContent/${kind}` }
+        }));
+      } else if (baseType && kind === 'extension' && !stack.includes(baseType)) {
+        visitComplex(baseType, prefix, `/schema/complexType[@name='${baseType['@name']}']`, required, [...stack, baseType]);
+      }
+      visitBody(derivation, prefix, `${xpath}/${complexType.simpleContent ? 'simpleContent' : 'complexContent'}/${kind}`, required, stack);
+    };
+
+    const visitElement = (node, prefix, xpath, parentRequired, stack, particleMany = false) => {
+      const declaration = node['@ref'] ? elements.get(localName(node['@ref'])) || node : node;
+      const name = declaration['@name'] || localName(node['@ref']);
+      const fieldPath = prefix ? `${prefix}.${name}` : name;
+      const elementXpath = `${xpath}/element[@${node['@ref'] ? 'ref' : 'name'}='${node['@ref'] || name}']`;
+      const many = particleMany || node['@maxOccurs'] === 'unbounded' || Number(node['@maxOccurs']) > 1;
+      const required = parentRequired && node['@minOccurs'] !== '0' && !many;
+      const complexType = (declaration.complexType || [])[0] || complexTypes.get(localName(declaration['@type']));
+      const description = documentation(node) || documentation(declaration) || (complexType ? documentation(complexType) : '');
+
+      if (!complexType) {
+        const simple = resolveSimple(declaration['@type'], (declaration.simpleType || [])[0]);
+        fields.push(createField({
+          path: fieldPath,
+          type: declaration['@type'] || declaration.simpleType ? simple.type : 'string',
+          cardinality: many || simple.many ? 'many' : 'one',
+          nullable: declaration['@nillable'] === 'true',
+          required: parentRequired && node['@minOccurs'] !== '0',
+          description,
+          constraints: { ...simple.constraints, default: declaration['@default'], fixed: declaration['@fixed'] },
+          source: { xpath: elementXpath }
+        }));
+        return;
+      }
+
+      const typeXpath = declaration.complexType ? `${elementXpath}/complexType` : `/schema/complexType[@name='${complexType['@name']}']`;
+      if (stack.includes(complexType)) {
+        fields.push(createField({
+          path: fieldPath,
+          type: 'object',
+          cardinality: many ? 'many' : 'one',
+          description: `recursive reference to ${complexType['@name'] || name}`,
+          source: { xpath: elementXpath }
+        }));
+        return;
+      }
+      if (many) {
+        fields.push(createField({
+          path: fieldPath,
+          type: 'object',
+          cardinality: 'many',
+          nullable: declaration['@nillable'] === 'true',
+          required: parentRequired && Number(node['@minOccurs'] || 1) > 0,
+          description,
+          source: { xpath: elementXpath }
+        }));
+      }
+      visitComplex(complexType, many ? `${fieldPath}[0]` : fieldPath, typeXpath, many || required, [...stack, complexType]);
+    };
+
+    const complexType = entityElement.complexType
+      ? entityElement.complexType[0]
+      : complexTypes.get(localName(entityElement['@type'])) || entityElement;
+    const typeXpath = entityElement.complexType ? `${entityXpath}/complexType` : entityXpath;
+    visitComplex(complexType, '', typeXpath, true, [complexType]);
+    return fields;
+  };
+
+  // Global elements that other elements only refer to are part of those, not entities of their own
+  const referenced = new Set();
+  const collectReferences = node => {
+    if (Array.isArray(node)) {
+      node.forEach(collectReferences);
+    } else if (node && typeof node === 'object') {
+      (node.element || []).forEach(element => element['@ref'] && referenced.add(localName(element['@ref'])));
+      Object.values(node).forEach(collectReferences);
+    }
+  };
+  [complexTypes, groups].forEach(definitions => definitions.forEach(collectReferences));
+  elements.forEach(collectReferences);
+  const roots = Array.from(elements.values()).filter(element => !referenced.has(element['@name']));
+
+  const candidates = elements.size > 0
+    ? (roots.length > 0 ? roots : Array.from(elements.values()))
+      .map(element => ({ node: element, xpath: `/schema/element[@name='${element['@name']}']` }))
+    : Array.from(complexTypes.values()).map(type => ({ node: type, xpath: `/schema/complexType[@name='${type['@name']}']` }));
+
+  const entities = candidates
+    .map(({ node, xpath }) => createEntity({
+      name: node['@name'],
+      description: documentation(node),
+      fields: elements.size > 0 && !node.complexType && !complexTypes.has(localName(node['@type']))
+        ? []
+        : collectEntityFields(node, xpath),
+      source: { xpath }
+    }))
+    .filter(entity => entity.fields.length > 0);
+
+  return createSchema({ format: 'xsd', entities });
+}
+
+/**
+ * Read the root element of an XML instance as a sample record. Elements that repeat anywhere
+ * in the document become arrays, attributes keep their `@` and values are typed like CSV cells.
+ * @param {Object} document - Document from parseXml
+ * @returns {{name: string, record: Object}} Root element name and its content
+ */
+function readXmlRecord(document) {
+  const [name] = Object.keys(document).filter(key => !key.startsWith('#') && !key.startsWith('?'));
+  const repeated = new Set();
+
+  const findRepeated = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([key, value]) => {
+      if (!Array.isArray(value)) return;
+      const childPath = `${path}/${key}`;
+      if (value.length > 1) repeated.add(childPath);
+      value.forEach(child => findRepeated(child, childPath));
+    });
+  };
+
+  const normalize = (node, path) => {
+    if (node === '' || node === undefined) return null;
+    if (typeof node !== 'object') return node;
+    const keys = Object.keys(node).filter(key => !DOCUMENT_ATTRIBUTES.has(key));
+    if (keys.length === 1 && keys[0] === '#text') return node['#text'];
+
+    return keys.reduce((result, key) => {
+      const value = node[key];
+      if (!Array.isArray(value)) {
+        result[key] = value;
+      } else if (repeated.has(`${path}/${key}`)) {
+        result[key] = value.map(child => normalize(child, `${path}/${key}`));
+      } else {
+        result[key] = normalize(value[0], `${path}/${key}`);
+      }
+      return result;
+    }, {});
+  };
+
+  findRepeated(document, '');
+  const record = normalize((document[name] || [])[0], `/${name}`);
+  return { name: name || 'Root', record: coerceRecord(record && typeof record === 'object' ? record : {}) };
+}
+
+/**
+ * Infer the schema IR of an XML instance document; the root element is the entity
+ * @param {Object} document - Document from parseXml
+ * @returns {Object} Schema IR with one entity
+ */
+function inferXmlSchema(document) {
+  const { name, record } = readXmlRecord(document);
+  return inferSchema([record], { name, format: 'xml' });
+}
+
+module.exports = {
+  parseXml,
+  isXsd,
+  parseXsd,
+  readXmlRecord,
+  inferXmlSchema
+};
@@ -0,0 +1,17 @@
+const yaml = require('js-yaml');
+
+/**
+ * Parse every document of a YAML file (documents are separated by `---`).
+ * The core schema is used so values keep the types JSON would give them: dates such as
+ * `2024-01-31` stay strings instead of becoming Date objects.
+ * @param {string} content - YAML text
+ * @returns {Array} Parsed documents, without empty ones
+ */
+function parseYamlDocuments(content) {
+  return yaml.loadAll(content, null, { schema: yaml.CORE_SCHEMA })
+    .filter(document => document !== null && document !== undefined);
+}
+
+module.exports = {
+  parseYamlDocuments
+};
@@ -0,0 +1,234 @@
+/**
+ * Normalized schema model (IR) that every input parser produces. Embedding, matching and
+ * code generation only read this model, so a new input format only needs a parser.
+ *
+ * Schema:  { irVersion, format, entities: Entity[], relationships: Relationship[], source }
+ * Entity:  { name, description, fields: Field[], source }
+ * Field:   { path, name, type, nullable, required, cardinality: 'one'|'many', description,
+ *            constraints: { format, enum, pattern, minimum, maximum, ... }, source }
+ * Relationship: { name, from: { entity, fields }, to: { entity, fields },
+ *                 cardinality: 'many-to-one'|'one-to-one', required }
+ *
+ * Field paths are relative to their entity and use `[0]` for collection elements
+ * (`lines[0].sku`); a field with cardinality 'many' is the collection itself and its type
+ * is the element type ('object' for collections of objects). Sources locate the definition
+ * in the input, e.g. `{ pointer: '#/properties/id' }` or `{ line: 12 }`.
+ */
+
+const { singularize } = require('../utils/naming');
+
+const IR_VERSION = 1;
+
+/**
+ * Create a schema
+ * @param {Object} options - format (input format name), entities, relationships
+ * @returns {Object} Schema
+ */
+function createSchema({ format, entities = [], relationships = [] }) {
+  return { irVersion: IR_VERSION, format, entities, relationships, source: null };
+}
+
+/**
+ * Create an entity
+ * @param {Object} options - name, description, fields and source location
+ * @returns {Object} Entity
+ */
+function createEntity({ name, description = '', fields = [], source = null }) {
+  return { name, description, fields, source };
+}
+
+/**
+ * Create a field, filling in defaults and dropping empty constraints
+ * @param {Object} options - path, type, nullable, required, cardinality, description, constraints, source
+ * @returns {Object} Field
+ */
+function createField({
+  path,
+  type = 'string',
+  nullable = false,
+  required = false,
+  cardinality = 'one',
+  description = '',
+  constraints = {},
+  source = null
+}) {
+  const cleanConstraints = {};
+  Object.entries(constraints).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      cleanConstraints[key] = value;
+    }
+  });
+
+  return {
+    path,
+    name: path.replace(/\[\d*\]/g, '').split('.').pop(),
+    type: type || 'string',
+    nullable,
+    required,
+    cardinality,
+    description,
+    constraints: cleanConstraints,
+    source
+  };
+}
+
+/**
+ * Check whether a value is a schema IR document
+ * @param {*} value - Any value
+ * @returns {boolean} True for schemas created by createSchema
+ */
+function isSchema(value) {
+  return Boolean(value) && value.irVersion === IR_VERSION && Array.isArray(value.entities);
+}
+
+/**
+ * Narrow a schema to one entity, picked by the pointer of its definition
+ * (`#/components/schemas/Customer`) or by its name
+ * @param {Object} schema - Schema IR
+ * @param {string} selector - Pointer or entity name
+ * @returns {Object|null} Schema with only that entity, or null when no entity matches
+ */
+function selectEntity(schema, selector) {
+  const pointer = selector.startsWith('#') ? selector : `#${selector}`;
+  const entityName = selector.replace(/^#\/?/, '');
+  const entity = schema.entities.find(candidate => candidate.source && candidate.source.pointer === pointer) ||
+    schema.entities.find(candidate => candidate.name === entityName) ||
+    schema.entities.find(candidate => candidate.name.toLowerCase() === entityName.toLowerCase());
+
+  return entity ? { ...schema, entities: [entity] } : null;
+}
+
+/**
+ * Add the fields of related entities to both sides of every relationship, one level deep, so
+ * nested targets can be matched: a many-to-one `orders.customer_id -> customers.id` gives
+ * `orders` the fields `customer.id`, `customer.name`, ... and `customers` the collection
+ * `orders` with `orders[0].order_id`, ... The navigation field is named after the foreign key
+ * without its `_id`/`Id` suffix, or after the related entity.
+ * @param {Object} schema - Schema IR with relationships
+ * @returns {Object} The same schema with navigation fields added
+ */
+function inlineRelationships(schema) {
+  const byName = new Map(schema.entities.map(entity => [entity.name, entity]));
+  const ownFields = new Map(schema.entities.map(entity => [entity.name, entity.fields.slice()]));
+  const taken = entity => new Set(entity.fields.map(field => field.path.split(/[.[]/)[0].toLowerCase()));
+
+  const addNavigation = (entity, navigation, related, { many, required, relationship, skip = [] }) => {
+    entity.fields.push(createField({
+      path: navigation,
+      type: 'object',
+      cardinality: many ? 'many' : 'one',
+      nullable: !many && !required,
+      required: !many && required,
+      description: `${related.name} via ${relationship.name}`,
+      source: { relationship: relationship.name }
+    }));
+    ownFields.get(related.name)
+      .filter(field => !skip.includes(field.path))
+      .forEach(field => entity.fields.push({
+        ...field,
+        path: `${navigation}${many ? '[0]' : ''}.${field.path}`,
+        required: !many && required && field.required,
+        source: { ...field.source, relationship: relationship.name }
+      }));
+  };
+
+  schema.relationships.forEach(relationship => {
+    const from = byName.get(relationship.from.entity);
+    const to = byName.get(relationship.to.entity);
+    if (!from || !to) return;
+
+    const [column] = relationship.from.fields;
+    const stripped = relationship.from.fields.length === 1 ? column.replace(/(_id|_fk|Id|ID|_key)$/, '') : '';
+    const forward = stripped && stripped !== column && !taken(from).has(stripped.toLowerCase())
+      ? stripped
+      : singularize(to.name);
+    if (!taken(from).has(forward.toLowerCase())) {
+      addNavigation(from, forward, to, { many: false, required: relationship.required, relationship });
+    }
+
+    const backward = taken(to).has(from.name.toLowerCase()) ? `${from.name}_by_${column}` : from.name;
+    if (from !== to && !taken(to).has(backward.toLowerCase())) {
+      addNavigation(to, backward, from, {
+        many: relationship.cardinality !== 'one-to-one',
+        required: false,
+        relationship,
+        skip: relationship.from.fields
+      });
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * List the fields of every entity with paths that are unique across the schema.
+ * With more than one entity, paths are prefixed with the entity name (`Customer.id`).
+ * Collections are reported with type 'array' and their element type as elementType,
+ * which is the shape the matching and code generation work with.
+ * @param {Object} schema - Schema IR
+ * @returns {Object[]} Fields with field (path), type, elementType, entity and the IR field
+ */
+function flattenSchema(schema) {
+  const prefixed = schema.entities.length > 1;
+
+  return schema.entities.flatMap(entity => entity.fields.map(field => ({
+    field: prefixed ? `${entity.name}.${field.path}` : field.path,
+    type: field.cardinality === 'many' ? 'array' : field.type,
+    elementType: field.cardinality === 'many' ? field.type : null,
+    entity: entity.name,
+    definition: field
+  })));
+}
+
+/**
+ * Describe a field for embedding: its description followed by type and constraints
+ * @param {Object} field - IR field
+ * @returns {string} Field text, e.g. `Customer e-mail (string, required, format: email)`
+ */
+function describeField(field) {
+  const details = [field.cardinality === 'many' ? `array of ${field.type}` : field.type];
+  const { format, enum: values } = field.constraints;
+  if (field.required) details.push('required');
+  if (field.nullable) details.push('nullable');
+  if (format && format !== field.type) details.push(`format: ${format}`);
+  if (values) details.push(`one of: ${values.join(', ')}`);
+
+  return `${field.description || ''} (${details.join(', ')})`.trim();
+}
+
+/**
+ * Render a schema as compact text for LLM prompts and vector search queries
+ * @param {Object} schema - Schema IR
+ * @returns {string} One line per entity and field
+ */
+function summarizeSchema(schema) {
+  return flattenSchema(schema)
+    .map(field => `${field.field}: ${describeField(field.definition)}`)
+    .join('\n');
+}
+
+/**
+ * Collect the type of every flattened field
+ * @param {Object} schema - Schema IR
+ * @returns {Object<string, string>} Map of field path to type name
+ */
+function collectFieldTypes(schema) {
+  return flattenSchema(schema).reduce((types, field) => {
+    types[field.field] = field.type;
+    return types;
+  }, {});
+}
+
+module.exports = {
+  IR_VERSION,
+  createSchema,
+  createEntity,
+  createField,
+  isSchema,
+  selectEntity,
+  inlineRelationships,
+  flattenSchema,
+  describeField,
+  summarizeSchema,
+  collectFieldTypes
+};
@@ -0,0 +1,148 @@
+const { parsePath, countArraySegments, readPath, writePath } = require('../utils/path-utils');
+const { expressionSources, evaluateExpression } = require('./composite-mappings');
+
+/**
+ * Get the target field of a mapping row, falling back to the top match of older results
+ * @param {Object} mapping - Field mapping row
+ * @returns {string|null} Target field path
+ */
+function resolveTargetField(mapping) {
+  if (mapping.targetField !== undefined) {
+    return mapping.targetField;
+  }
+  if (mapping.targetMatches && mapping.targetMatches.length > 0) {
+    return mapping.targetMatches[0].targetField;
+  }
+  return null;
+}
+
+/**
+ * Build the executable list of field pairs from a mapping spec
+ * @param {Object} mappingSpec - Object with a fieldMappings array
+ * @returns {Array<{sources: Array[], target: Array, expression: Object|undefined}>} Parsed source/target
+ *   paths (several sources for a concat, none for a constant) with the row's expression
+ */
+function compileMappings(mappingSpec) {
+  if (!mappingSpec || !Array.isArray(mappingSpec.fieldMappings)) {
+    throw new Error('Invalid mapping spec: fieldMappings array is missing');
+  }
+
+  // Rejected rows are kept in a spec only to remember the decision
+  const pairs = mappingSpec.fieldMappings
+    .filter(mapping => mapping.status !== 'rejected')
+    .map(mapping => ({
+      sourceField: mapping.sourceField,
+      sourceFields: expressionSources(mapping),
+      targetField: resolveTargetField(mapping),
+      expression: mapping.expression
+    }))
+    .filter(pair => (pair.sourceField || (pair.expression && pair.expression.kind === 'constant')) && pair.targetField);
+
+  // A container whose children are mapped individually (e.g. `items` next to
+  // `items[0].productId`) would otherwise copy the source-shaped value verbatim
+  const isContainerOfAnother = pair => pairs.some(other =>
+    other !== pair &&
+    (other.targetField.startsWith(`${pair.targetField}.`) || other.targetField.startsWith(`${pair.targetField}[`))
+  );
+
+  return pairs
+    .filter(pair => !isContainerOfAnother(pair))
+    .map(pair => ({
+      sourceField: pair.sourceField,
+      targetField: pair.targetField,
+      expression: pair.expression,
+      sources: pair.sourceFields.map(parsePath),
+      target: parsePath(pair.targetField)
+    }));
+}
+
+/**
+ * Write a value into every element a target path reaches in the result, or once at the
+ * root when the path has no collections. Used for constants and defaults, which have no
+ * source element to follow.
+ * @param {Object} result - Target record being built
+ * @param {Array} target - Parsed target path
+ * @param {*} value - Value to write
+ * @param {boolean} onlyMissing - Keep values that are already set
+ */
+function fillTarget(result, target, value, onlyMissing) {
+  const elements = countArraySegments(target) > 0
+    ? readPath(result, target.slice(0, -1), countArraySegments(target))
+    : [{ indices: [] }];
+
+  elements.forEach(({ indices }) => {
+    const existing = readPath(result, target, indices.length).find(found =>
+      found.indices.every((index, i) => index === indices[i]));
+    if (!onlyMissing || !existing) {
+      writePath(result, target, value, indices);
+    }
+  });
+}
+
+/**
+ * Apply a mapping spec to a single source record
+ * @param {Object} mappingSpec - Mapping with fieldMappings rows of sourceField -> targetField
+ * @param {Object} sourceObject - Source record
+ * @returns {Object} Target-shaped record
+ */
+function transform(mappingSpec, sourceObject) {
+  const compiled = compileMappings(mappingSpec);
+  const result = {};
+  const fills = [];
+
+  compiled.forEach(({ sources, target, expression }) => {
+    if (expression && (expression.kind === 'constant' || expression.kind === 'default')) {
+      fills.push({ target, value: expression.value, onlyMissing: expression.kind === 'default' });
+      if (expression.kind === 'constant') return;
+    }
+
+    // Array segments in schema paths (`items[0]`) stand for every element, as long as the
+    // target has a matching collection to receive them
+    const reads = sources.map(source => {
+      const wildcards = Math.min(countArraySegments(source), countArraySegments(target));
+      return new Map(readPath(sourceObject, source, wildcards).map(({ value, indices }) => [indices.join(','), { value, indices }]));
+    });
+
+    if (expression && expression.kind === 'concat') {
+      // Parts are joined per element; a part outside the collection applies to every element
+      const keys = new Set(reads.flatMap(read => Array.from(read.keys())));
+      if (keys.size > 1) keys.delete('');
+      keys.forEach(key => {
+        const parts = reads.map(read => (read.get(key) || read.get('') || {}).value);
+        const found = reads.map(read => read.get(key)).find(Boolean) || { indices: [] };
+        const value = evaluateExpression(expression, parts);
+        if (value !== undefined) writePath(result, target, value, found.indices);
+      });
+      return;
+    }
+
+    reads[0].forEach(({ value, indices }) => {
+      const converted = expression ? evaluateExpression(expression, [value]) : value;
+      if (converted !== undefined) writePath(result, target, converted, indices);
+    });
+  });
+
+  // Constants and defaults go into every element the other rows created
+  fills.forEach(({ target, value, onlyMissing }) => fillTarget(result, target, value, onlyMissing));
+
+  return result;
+}
+
+/**
+ * Apply a mapping spec to one record or an array of records
+ * @param {Object} mappingSpec - Mapping with fieldMappings rows
+ * @param {Object|Object[]} input - Source record or records
+ * @returns {Object|Object[]} Target-shaped record or records
+ */
+function transformRecords(mappingSpec, input) {
+  if (Array.isArray(input)) {
+    return input.map(record => transform(mappingSpec, record));
+  }
+  return transform(mappingSpec, input);
+}
+
+module.exports = {
+  transform,
+  transformRecords,
+  resolveTargetField
+};
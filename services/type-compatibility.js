@@ -0,0 +1,295 @@
+const { splitWords } = require('../utils/naming');
+
+/**
+ * Type compatibility of a mapped field pair. Every mapping gets a verdict:
+ * - identical: same type, values copy over unchanged
+ * - widening: every source value fits the target (integer -> number, date -> date-time, x -> string)
+ * - narrowing: the values have to be parsed and some may not fit (string -> date, string -> enum)
+ * - lossy: the conversion always works but drops information (date-time -> date, number -> integer)
+ * - incompatible: there is no sensible conversion (object -> number, boolean -> date)
+ * plus the conversion that would make the pair work: a parse, a format, a unit change,
+ * an enum lookup, a cast, or wrapping/joining for collections.
+ */
+
+const VERDICTS = ['identical', 'widening', 'narrowing', 'lossy', 'incompatible'];
+
+// Factor applied to the similarity of a pair, so that a close name with an impossible type
+// loses against a slightly less similar name with a usable one
+const VERDICT_WEIGHTS = { identical: 1, widening: 1, narrowing: 0.95, lossy: 0.85, incompatible: 0.6 };
+// A pair that needs any conversion ranks just below one whose values copy over
+const CONVERSION_WEIGHT = 0.95;
+
+const TEMPORAL = new Set(['date', 'date-time', 'time']);
+const NUMERIC = new Set(['integer', 'number']);
+
+// Units recognized in the last words of a field name, as a factor of the dimension's base unit
+const UNITS = [
+  { words: ['cents', 'cent', 'pence', 'minor'], dimension: 'money', factor: 0.01 },
+  { words: ['ms', 'millis', 'milliseconds'], dimension: 'duration', factor: 0.001 },
+  { words: ['seconds', 'secs', 'sec'], dimension: 'duration', factor: 1 },
+  { words: ['minutes', 'mins'], dimension: 'duration', factor: 60 },
+  { words: ['hours', 'hrs'], dimension: 'duration', factor: 3600 },
+  { words: ['days'], dimension: 'duration', factor: 86400 },
+  { words: ['mg', 'milligrams'], dimension: 'mass', factor: 0.000001 },
+  { words: ['g', 'grams'], dimension: 'mass', factor: 0.001 },
+  { words: ['kg', 'kilograms', 'kilos'], dimension: 'mass', factor: 1 },
+  { words: ['lb', 'lbs', 'pounds'], dimension: 'mass', factor: 0.45359237 },
+  { words: ['mm', 'millimeters', 'millimetres'], dimension: 'length', factor: 0.001 },
+  { words: ['cm', 'centimeters', 'centimetres'], dimension: 'length', factor: 0.01 },
+  { words: ['m', 'meters', 'metres'], dimension: 'length', factor: 1 },
+  { words: ['km', 'kilometers', 'kilometres'], dimension: 'length', factor: 1000 },
+  { words: ['inches'], dimension: 'length', factor: 0.0254 },
+  { words: ['percent', 'pct'], dimension: 'ratio', factor: 0.01 },
+  { words: ['ratio', 'fraction'], dimension: 'ratio', factor: 1 }
+];
+
+// Names of amounts in the major currency unit, the counterpart of `totalCents`
+const MONEY_WORDS = new Set(['amount', 'price', 'total', 'cost', 'balance', 'fee', 'subtotal', 'tax']);
+
+// Names of numbers that hold a point in time
+const EPOCH_WORDS = new Set(['epoch', 'unix', 'timestamp', 'ts']);
+
+const fieldName = field => String(field.field || field.path || '').replace(/\[\d*\]/g, '').split('.').pop();
+
+/**
+ * Find the unit of a numeric field from its name (`weightKg`, `duration_ms`, `totalCents`)
+ * @param {string} name - Field name
+ * @returns {Object|null} Unit with words, dimension and factor, or null
+ */
+function detectUnit(name) {
+  const words = splitWords(name);
+  const last = words[words.length - 1];
+  const unit = UNITS.find(candidate => candidate.words.includes(last));
+  if (unit) return unit;
+  if (words.some(word => MONEY_WORDS.has(word))) {
+    return { words: [], dimension: 'money', factor: 1 };
+  }
+  return null;
+}
+
+/**
+ * Describe a flattened field's type: its scalar type, collection-ness and enum values
+ * @param {Object} field - Flattened field ({ field, type, elementType, definition }) or IR field
+ * @returns {{type: string, many: boolean, values: string[]|null, label: string}} Type summary
+ */
+function describeType(field) {
+  // Flattened fields carry the IR field as definition; bare { field, type, elementType } entries do not
+  const definition = field.definition || (field.cardinality ? field : {
+    type: field.elementType || field.type,
+    cardinality: field.elementType ? 'many' : 'one'
+  });
+  const many = definition.cardinality === 'many';
+  const type = definition.type || 'string';
+  const values = (definition.constraints && definition.constraints.enum) || null;
+  const label = `${many ? 'array of ' : ''}${type}${values ? ' (enum)' : ''}`;
+  return { type, many, values: values ? values.map(String) : null, label };
+}
+
+const conversion = (kind, description, extra = {}) => ({ kind, description, ...extra });
+
+/**
+ * Classify converting one scalar type into another
+ * @param {Object} source - describeType of the source field
+ * @param {Object} target - describeType of the target field
+ * @param {string} sourceName - Source field name
+ * @param {string} targetName - Target field name
+ * @returns {{verdict: string, conversion: Object|null}} Verdict and suggested conversion
+ */
+function compareScalars(source, target, sourceName, targetName) {
+  const from = source.type === 'uuid' ? 'string' : source.type;
+  const to = target.type === 'uuid' ? 'string' : target.type;
+
+  if (source.values && target.values) {
+    const missing = source.values.filter(value => !target.values.includes(value));
+    if (missing.length === 0) {
+      return { verdict: source.values.length === target.values.length ? 'identical' : 'widening', conversion: null };
+    }
+    return {
+      verdict: missing.length === source.values.length ? 'incompatible' : 'lossy',
+      conversion: conversion('enum-lookup', `map the source values to the target values (no match for ${missing.join(', ')})`, { unmatched: missing })
+    };
+  }
+  if (target.values) {
+    return {
+      verdict: 'narrowing',
+      conversion: conversion('enum-lookup', `look up the ${from} value in ${target.values.join(', ')}`)
+    };
+  }
+
+  if (from === to) {
+    if (NUMERIC.has(from)) {
+      return compareUnits('identical', sourceName, targetName, to);
+    }
+    if (source.type === target.type || from === 'string') {
+      return {
+        verdict: source.type === target.type ? 'identical' : (target.type === 'uuid' ? 'narrowing' : 'widening'),
+        conversion: target.type === 'uuid' && source.type !== 'uuid' ? conversion('parse', 'parse the string as a UUID') : null
+      };
+    }
+  }
+
+  if (to === 'string') {
+    if (from === 'object') {
+      return { verdict: 'lossy', conversion: conversion('format', 'serialize the object as JSON text') };
+    }
+    const formats = {
+      date: 'format the date as text (ISO 8601, YYYY-MM-DD)',
+      'date-time': 'format the date-time as text (ISO 8601)',
+      time: 'format the time as text (HH:mm:ss)',
+      boolean: 'format the boolean as "true"/"false"'
+    };
+    return { verdict: 'widening', conversion: conversion('format', formats[from] || `format the ${from} as text`) };
+  }
+
+  if (from === 'string') {
+    if (to === 'object') {
+      return { verdict: 'narrowing', conversion: conversion('parse', 'parse the text as JSON') };
+    }
+    const parses = {
+      integer: 'parse the text as an integer',
+      number: 'parse the text as a number',
+      boolean: 'parse the text as a boolean (true/false, yes/no, 1/0)',
+      date: 'parse the text as a date',
+      'date-time': 'parse the text as a date-time (ISO 8601 or the source format)',
+      time: 'parse the text as a time of day'
+    };
+    return { verdict: 'narrowing', conversion: conversion('parse', parses[to] || `parse the text as ${to}`) };
+  }
+
+  if (NUMERIC.has(from) && NUMERIC.has(to)) {
+    const base = from === 'integer' ? 'widening' : 'lossy';
+    const result = compareUnits(base, sourceName, targetName, to);
+    if (!result.conversion && base === 'lossy') {
+      result.conversion = conversion('cast', 'round the number to an integer');
+    }
+    return result;
+  }
+
+  if (TEMPORAL.has(from) && TEMPORAL.has(to)) {
+    if (from === 'date' && to === 'date-time') {
+      return { verdict: 'widening', conversion: conversion('cast', 'use midnight of the date') };
+    }
+    if (from === 'date-time') {
+      return { verdict: 'lossy', conversion: conversion('cast', to === 'date' ? 'take the date part' : 'take the time of day') };
+    }
+    return { verdict: 'incompatible', conversion: null };
+  }
+
+  const epochName = name => splitWords(name).some(word => EPOCH_WORDS.has(word));
+  const sourceUnit = detectUnit(sourceName) || {};
+  if (NUMERIC.has(from) && (to === 'date-time' || to === 'date') && (epochName(sourceName) || sourceUnit.dimension === 'duration')) {
+    const millis = sourceUnit.factor === 0.001;
+    return { verdict: 'narrowing', conversion: conversion('parse', `read the number as a Unix timestamp in ${millis ? 'milliseconds' : 'seconds'}`) };
+  }
+  if ((from === 'date-time' || from === 'date') && NUMERIC.has(to) && epochName(targetName)) {
+    const millis = (detectUnit(targetName) || {}).factor === 0.001;
+    return { verdict: 'widening', conversion: conversion('format', `write the date as a Unix timestamp in ${millis ? 'milliseconds' : 'seconds'}`) };
+  }
+
+  if (from === 'boolean' && NUMERIC.has(to)) {
+    return { verdict: 'widening', conversion: conversion('cast', 'write true as 1 and false as 0') };
+  }
+  if (NUMERIC.has(from) && to === 'boolean') {
+    return { verdict: 'lossy', conversion: conversion('cast', 'treat 0 as false and anything else as true') };
+  }
+  if (from === 'object' && to === 'object') {
+    return { verdict: 'identical', conversion: null };
+  }
+
+  return { verdict: 'incompatible', conversion: null };
+}
+
+/**
+ * Add a unit change to a numeric comparison when the field names carry different units
+ * of the same dimension (`totalCents` -> `total`, `durationMs` -> `durationSeconds`)
+ * @param {string} verdict - Verdict without units
+ * @param {string} sourceName - Source field name
+ * @param {string} targetName - Target field name
+ * @param {string} targetType - Target type
+ * @returns {{verdict: string, conversion: Object|null}} Verdict and suggested conversion
+ */
+function compareUnits(verdict, sourceName, targetName, targetType) {
+  const sourceUnit = detectUnit(sourceName);
+  const targetUnit = detectUnit(targetName);
+  if (!sourceUnit || !targetUnit || sourceUnit.dimension !== targetUnit.dimension || sourceUnit.factor === targetUnit.factor) {
+    return { verdict, conversion: null };
+  }
+
+  const factor = sourceUnit.factor / targetUnit.factor;
+  const operation = factor >= 1 ? `multiply by ${Number(factor.toPrecision(6))}` : `divide by ${Number((1 / factor).toPrecision(6))}`;
+  // Dividing into an integer drops the remainder
+  const loses = targetType === 'integer' && factor < 1;
+  return {
+    verdict: loses ? 'lossy' : (verdict === 'identical' ? 'widening' : verdict),
+    conversion: conversion('unit', `convert ${sourceUnit.dimension} units: ${operation}`, { factor })
+  };
+}
+
+/**
+ * Classify a mapped field pair and suggest the conversion it needs
+ * @param {Object} sourceField - Flattened source field ({ field, type, elementType, definition })
+ * @param {Object} targetField - Flattened target field
+ * @returns {{sourceType: string, targetType: string, verdict: string, conversion: Object|null}}
+ *   Compatibility; conversion is { kind: 'parse'|'format'|'unit'|'enum-lookup'|'cast'|'wrap'|'join'|'first', description }
+ */
+function checkCompatibility(sourceField, targetField) {
+  const source = describeType(sourceField);
+  const target = describeType(targetField);
+  const result = { sourceType: source.label, targetType: target.label };
+  const sourceName = fieldName(sourceField);
+  const targetName = fieldName(targetField);
+
+  if (source.many === target.many) {
+    return { ...result, ...compareScalars(source, target, sourceName, targetName) };
+  }
+
+  const element = compareScalars(source, target, sourceName, targetName);
+  if (target.many) {
+    // One value becomes a one-element collection; a collection of objects needs an object
+    if (element.verdict === 'incompatible' || (target.type === 'object' && source.type !== 'object')) {
+      return { ...result, verdict: 'incompatible', conversion: null };
+    }
+    return {
+      ...result,
+      verdict: element.verdict === 'identical' ? 'widening' : element.verdict,
+      conversion: conversion('wrap', ['wrap the value in a one-element list', element.conversion && element.conversion.description]
+        .filter(Boolean).join(', then '))
+    };
+  }
+  if (target.type === 'string' && source.type !== 'object') {
+    return { ...result, verdict: 'lossy', conversion: conversion('join', 'join the values into one text, e.g. comma-separated') };
+  }
+  if (element.verdict === 'incompatible' || source.type === 'object') {
+    return { ...result, verdict: 'incompatible', conversion: null };
+  }
+  return { ...result, verdict: 'lossy', conversion: conversion('first', 'take the first element of the collection') };
+}
+
+/**
+ * Weight of a pair's compatibility in the match score
+ * @param {Object} compatibility - Result of checkCompatibility
+ * @returns {number} Factor between 0 and 1
+ */
+function compatibilityWeight(compatibility) {
+  const weight = VERDICT_WEIGHTS[compatibility.verdict] !== undefined ? VERDICT_WEIGHTS[compatibility.verdict] : 1;
+  return compatibility.conversion ? weight * CONVERSION_WEIGHT : weight;
+}
+
+/**
+ * Render a compatibility annotation for terminal output
+ * @param {Object} compatibility - Result of checkCompatibility
+ * @returns {string} Text such as `string -> date (narrowing): parse the text as a date`
+ */
+function formatCompatibility(compatibility) {
+  const conversionText = compatibility.conversion ? `: ${compatibility.conversion.description}` : '';
+  return `${compatibility.sourceType} -> ${compatibility.targetType} (${compatibility.verdict})${conversionText}`;
+}
+
+module.exports = {
+  VERDICTS,
+  VERDICT_WEIGHTS,
+  detectUnit,
+  checkCompatibility,
+  compatibilityWeight,
+  formatCompatibility
+};
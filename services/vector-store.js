@@ -0,0 +1,283 @@
+/**
+ * Vector stores hold the embedded documents and fields that enrich mappings and answer
+ * queries. Entries are grouped by the file they were embedded from, with the file's content
+ * hash, so a file is re-embedded only when it changes and removed as a whole when it is gone.
+ *
+ * VectorStore keeps the entries in memory; FileVectorStore saves them next to the indexed
+ * files together with the embedding model and dimension, and rejects a store built with
+ * another model.
+ *
+ * Searches go through an approximate nearest-neighbour index (utils/vector-index) once the
+ * store is large; its training result is saved with the store.
+ *
+ * File: { storeVersion, model, dimension, index: { centroids, trainedSize }, files: File[] }
+ * File: { path (relative to the store), filename, hash, entries: [{ vector, metadata: { type, field? } }],
+ *   lists?: index list of every entry }
+ * Vectors are saved normalized; only their direction matters for cosine similarity.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { VectorIndex } = require('../utils/vector-index');
+const { fingerprint } = require('./mapping-spec');
+const { DEFAULT_HISTORY_FILE } = require('./mapping-history');
+
+const STORE_VERSION = 1;
+const DEFAULT_STORE_FILE = 'vector-store.json';
+// Metadata keys searches filter on; the index keeps posting lists for them
+const FILTER_KEYS = ['type', 'path'];
+
+// Files the tool writes itself; indexing them would feed its own output back into the store
+const ARTIFACT_PATTERNS = [
+  /^embedded-structures\.json$/, // store of earlier versions
+  /\.mapping\.(json|ya?ml)$/, // mapping specs
+  /^Mapping.+To.+\.\w+$/, // generated mapping code
+  /\.structure\.json$/, // structures extracted by `analyze`
+  /^query-analysis-.*\.md$/ // reports written by `query`
+];
+
+/**
+ * Check whether a file is an artifact of the tool rather than input to index
+ * @param {string} filePath - File path
+ * @param {string} storePath - Path of the vector store being built
+ * @returns {boolean} True for the store itself, the mapping history and generated output
+ */
+function isIndexArtifact(filePath, storePath) {
+  const name = path.basename(filePath);
+  return path.resolve(filePath) === path.resolve(storePath) ||
+    name === DEFAULT_STORE_FILE ||
+    name === DEFAULT_HISTORY_FILE ||
+    ARTIFACT_PATTERNS.some(pattern => pattern.test(name));
+}
+
+class VectorStore {
+  /**
+   * @param {Object} options - model: name of the embedding model; dimension: vector length,
+   *   taken from the first vector when not given; index: training result of a saved store
+   */
+  constructor({ model = null, dimension = null, index = null } = {}) {
+    this.model = model;
+    this.dimension = dimension;
+    // File path -> { filename, hash, ids (in the index) }
+    this.files = new Map();
+    this.index = dimension !== null ? new VectorIndex(dimension, { ...index, filterKeys: FILTER_KEYS }) : null;
+  }
+
+  /**
+   * Number of entries in the store
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.index ? this.index.size : 0;
+  }
+
+  /**
+   * Check a vector against the dimension of the store
+   * @param {number[]} vector - Vector to add or search with
+   * @param {string} description - What the vector is, for the error message
+   */
+  checkDimension(vector, description = 'Vector') {
+    if (this.dimension !== null && vector.length !== this.dimension) {
+      const model = this.model ? ` from ${this.model}` : '';
+      throw new Error(`${description} has ${vector.length} dimensions but the vector store holds ${this.dimension}-dimensional vectors${model}`);
+    }
+  }
+
+  /**
+   * Replace the entries of a file
+   * @param {string} filePath - Path of the embedded file
+   * @param {Array<{vector: number[], metadata: Object}>} entries - Embedded documents and fields
+   * @param {string|null} hash - Content hash of the file, see sync
+   * @param {number[]|null} lists - Index list of every entry, as saved by FileVectorStore
+   */
+  setFile(filePath, entries, hash = null, lists = null) {
+    entries.forEach(entry => this.checkDimension(entry.vector));
+    if (!this.index && entries.length > 0) {
+      this.dimension = entries[0].vector.length;
+      this.index = new VectorIndex(this.dimension, { filterKeys: FILTER_KEYS });
+    }
+
+    this.removeFile(filePath);
+    const ids = entries.map((entry, i) => this.index.add(entry.vector, entry.metadata, lists ? lists[i] : null));
+    this.files.set(filePath, { filename: path.basename(filePath), hash, ids });
+  }
+
+  /**
+   * Remove the entries of a file
+   * @param {string} filePath - Path of the embedded file
+   * @returns {boolean} True when the file was in the store
+   */
+  removeFile(filePath) {
+    const file = this.files.get(filePath);
+    if (!file) return false;
+    file.ids.forEach(id => this.index.remove(id));
+    return this.files.delete(filePath);
+  }
+
+  /**
+   * List the entries of a file
+   * @param {string} filePath - Path of the embedded file
+   * @returns {Array<{vector: number[], metadata: Object}>} Entries with normalized vectors
+   */
+  fileEntries(filePath) {
+    const file = this.files.get(filePath);
+    return file ? file.ids.map(id => ({ vector: this.index.vector(id), metadata: this.index.metadata[id] })) : [];
+  }
+
+  /**
+   * Find the entries most similar to a query vector
+   * @param {number[]} queryVector - Embedded query
+   * @param {number} topK - Number of results to return
+   * @param {Object} filter - Required metadata values, e.g. { type: 'document' }
+   * @returns {Array<{similarity: number, metadata: Object}>} Best matches first
+   */
+  search(queryVector, topK = 5, filter = null) {
+    this.checkDimension(queryVector, 'Query vector');
+    if (!this.index) return [];
+    return this.index.search(queryVector, topK, { filter })
+      .map(({ similarity, metadata }) => ({ similarity, metadata }));
+  }
+
+  /**
+   * Train the approximate index once the store is large enough, or retrain it when the
+   * store grew or shrank a lot since; smaller stores are searched exactly
+   * @returns {boolean} True when the index was trained
+   */
+  optimize() {
+    if (!this.index || !this.index.shouldTrain()) return false;
+    this.index.train();
+    return true;
+  }
+
+  /**
+   * Bring the store in line with a set of files: new and changed files are embedded, files
+   * that are no longer in the set are removed and unchanged files are kept as they are
+   * @param {string[]} filePaths - Files the store should hold
+   * @param {function(string): Promise<Object[]>} embedFile - Embeds a file into store entries
+   * @returns {Promise<{added: string[], changed: string[], unchanged: string[], removed: string[], failed: string[]}>}
+   *   File paths by outcome; a file that fails to embed keeps its previous entries
+   */
+  async sync(filePaths, embedFile) {
+    const summary = { added: [], changed: [], unchanged: [], removed: [], failed: [] };
+    const wanted = new Set(filePaths);
+
+    Array.from(this.files.keys())
+      .filter(filePath => !wanted.has(filePath))
+      .forEach(filePath => {
+        this.removeFile(filePath);
+        summary.removed.push(filePath);
+      });
+
+    for (const filePath of filePaths) {
+      const hash = fingerprint(await fs.readFile(filePath));
+      const existing = this.files.get(filePath);
+      if (existing && existing.hash === hash) {
+        summary.unchanged.push(filePath);
+        continue;
+      }
+
+      try {
+        this.setFile(filePath, await embedFile(filePath), hash);
+        summary[existing ? 'changed' : 'added'].push(filePath);
+      } catch (error) {
+        console.error(`Error processing ${filePath}:`, error);
+        summary.failed.push(filePath);
+      }
+    }
+
+    return summary;
+  }
+}
+
+class FileVectorStore extends VectorStore {
+  /**
+   * @param {string} filePath - Where the store is saved
+   * @param {Object} options - model and dimension, see VectorStore
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    this.path = filePath;
+  }
+
+  /**
+   * Open a store file; a missing file gives an empty store
+   * @param {string} filePath - Store file path
+   * @param {Object} options - model: embedding model the store must have been built with;
+   *   rebuild: start from an empty store, e.g. to switch models
+   * @returns {Promise<FileVectorStore>} Store with the saved files
+   */
+  static async open(filePath, { model = null, rebuild = false } = {}) {
+    if (rebuild) return new FileVectorStore(filePath, { model });
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new FileVectorStore(filePath, { model });
+      throw error;
+    }
+
+    const stored = JSON.parse(content);
+    if (!stored || !Array.isArray(stored.files)) {
+      throw new Error(`Invalid vector store ${filePath}: files array is missing`);
+    }
+    if (stored.storeVersion !== STORE_VERSION) {
+      throw new Error(`Unsupported vector store version ${stored.storeVersion} in ${filePath} (expected ${STORE_VERSION})`);
+    }
+    if (model && stored.model !== model) {
+      throw new Error(`Vector store ${filePath} was built with ${stored.model} (${stored.dimension} dimensions), not ${model}. Run load with --rebuild to embed the files again.`);
+    }
+
+    const store = new FileVectorStore(filePath, {
+      model: stored.model,
+      dimension: stored.dimension,
+      index: stored.index
+    });
+    const directory = path.dirname(filePath);
+    stored.files.forEach(file => {
+      const embeddedPath = path.join(directory, file.path);
+      const entries = file.entries.map(entry => ({
+        vector: entry.vector,
+        metadata: { ...entry.metadata, filename: file.filename, path: embeddedPath }
+      }));
+      store.setFile(embeddedPath, entries, file.hash, file.lists);
+    });
+    return store;
+  }
+
+  /**
+   * Save the store to its file. File paths are saved relative to the store, so the
+   * directory can be moved or checked out elsewhere.
+   */
+  async save() {
+    const directory = path.dirname(this.path);
+    const files = Array.from(this.files, ([filePath, file]) => ({
+      path: path.relative(directory, filePath).split(path.sep).join('/'),
+      filename: file.filename,
+      hash: file.hash,
+      entries: this.fileEntries(filePath).map(({ vector, metadata }) => {
+        const stored = { ...metadata };
+        delete stored.filename;
+        delete stored.path;
+        return { vector, metadata: stored };
+      }),
+      lists: this.index.trained ? file.ids.map(id => this.index.listOf[id]) : undefined
+    }));
+
+    await fs.writeFile(this.path, JSON.stringify({
+      storeVersion: STORE_VERSION,
+      model: this.model,
+      dimension: this.dimension,
+      index: this.index ? this.index.toJSON() : null,
+      files
+    }));
+  }
+}
+
+module.exports = {
+  STORE_VERSION,
+  DEFAULT_STORE_FILE,
+  isIndexArtifact,
+  VectorStore,
+  FileVectorStore
+};
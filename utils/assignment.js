@@ -0,0 +1,91 @@
+/**
+ * Solve the rectangular assignment problem (Hungarian / Kuhn-Munkres algorithm)
+ * so that the total score of the chosen row/column pairs is maximal.
+ * Every row gets at most one column and every column at most one row.
+ * @param {number[][]} scores - Score matrix with one row per source and one column per target
+ * @returns {number[]} Assigned column index for each row, or -1 when the row stays unassigned
+ */
+function solveAssignment(scores) {
+  const rows = scores.length;
+  const cols = rows > 0 ? scores[0].length : 0;
+
+  if (rows === 0 || cols === 0) {
+    return new Array(rows).fill(-1);
+  }
+
+  // The algorithm below needs rows <= columns, so solve the transposed problem otherwise
+  if (rows > cols) {
+    const transposed = Array.from({ length: cols }, (_, j) => scores.map(row => row[j]));
+    const columnAssignment = solveAssignment(transposed);
+    const rowAssignment = new Array(rows).fill(-1);
+    columnAssignment.forEach((row, col) => {
+      if (row !== -1) {
+        rowAssignment[row] = col;
+      }
+    });
+    return rowAssignment;
+  }
+
+  // Minimize cost = -score using potentials (1-indexed, row/column 0 are sentinels)
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(cols + 1).fill(0);
+  const match = new Array(cols + 1).fill(0); // match[j] = row assigned to column j
+  const way = new Array(cols + 1).fill(0);
+
+  for (let i = 1; i <= rows; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minValue = new Array(cols + 1).fill(Infinity);
+    const used = new Array(cols + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) continue;
+        const cost = -scores[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cost < minValue[j]) {
+          minValue[j] = cost;
+          way[j] = j0;
+        }
+        if (minValue[j] < delta) {
+          delta = minValue[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minValue[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Walk the augmenting path back and flip the assignment along it
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= cols; j++) {
+    if (match[j] !== 0) {
+      assignment[match[j] - 1] = j - 1;
+    }
+  }
+  return assignment;
+}
+
+module.exports = {
+  solveAssignment
+};
@@ -0,0 +1,188 @@
+const FENCE_PATTERN = /```[ \t]*([^\n`]*)\n([\s\S]*?)```/g;
+
+const CLOSING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Pull the code out of an LLM response, dropping the prose and the ``` fences around it
+ * @param {string} text - Raw LLM response
+ * @param {string[]} languages - Fence language tags to prefer, e.g. ['csharp', 'cs']
+ * @returns {string} Code; the text itself when it has no fenced blocks
+ */
+function extractCode(text, languages = []) {
+  const blocks = Array.from(String(text || '').matchAll(FENCE_PATTERN)).map(match => ({
+    language: match[1].trim().toLowerCase(),
+    code: match[2].trim()
+  }));
+
+  if (blocks.length === 0) {
+    // An unterminated fence still marks where the code starts
+    const start = String(text || '').match(/```[^\n]*\n/);
+    return (start ? text.slice(start.index + start[0].length) : String(text || '')).trim();
+  }
+
+  const preferred = blocks.filter(block => languages.includes(block.language));
+  return (preferred.length > 0 ? preferred : blocks).map(block => block.code).join('\n\n');
+}
+
+/**
+ * Find brackets that are not closed, or closed by the wrong bracket, ignoring strings and comments
+ * @param {string} code - Source code
+ * @param {Object} syntax - Comment syntax: `line` (line comment markers, default ['//'])
+ *   and `block` (whether /* *\/ comments exist, default true)
+ * @returns {string[]} Problems, empty when every bracket is balanced
+ */
+function findUnbalancedBrackets(code, syntax = {}) {
+  const lineComments = syntax.line || ['//'];
+  const blockComments = syntax.block !== false;
+  const stack = [];
+  const problems = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (lineComments.some(marker => code.startsWith(marker, i))) {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+    } else if (blockComments && code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      const comment = code.slice(i, end === -1 ? code.length : end + 2);
+      line += (comment.match(/\n/g) || []).length;
+      i += comment.length;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      // Skip the string literal, honouring backslash escapes
+      let j = i + 1;
+      while (j < code.length && code[j] !== char && !(char !== '`' && code[j] === '\n')) {
+        j += code[j] === '\\' ? 2 : 1;
+      }
+      line += (code.slice(i, j).match(/\n/g) || []).length;
+      i = j + 1;
+    } else if (char === '(' || char === '[' || char === '{') {
+      stack.push({ char, line });
+      i++;
+    } else if (CLOSING[char]) {
+      const open = stack.pop();
+      if (!open) {
+        problems.push(`Unexpected '${char}' on line ${line}`);
+      } else if (open.char !== CLOSING[char]) {
+        problems.push(`'${open.char}' opened on line ${open.line} is closed by '${char}' on line ${line}`);
+      }
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  stack.forEach(open => problems.push(`'${open.char}' opened on line ${open.line} is never closed`));
+  return problems;
+}
+
+/**
+ * Split C-style source code (C#, TypeScript, Java) into tokens for the lightweight declaration
+ * parsers. Comments are dropped, but a doc comment (`/** *\/` or `///`) is attached to the
+ * token that follows it. String literals become one token holding their unquoted text.
+ * @param {string} code - Source code
+ * @param {Object} options - lineDocs: also read plain `//` comments on lines of their own as
+ *   doc comments, as protobuf does
+ * @returns {Object[]} Tokens: { kind: 'identifier'|'number'|'string'|'punctuation', value, line, doc }
+ */
+function tokenize(code, options = {}) {
+  const tokens = [];
+  let doc = null;
+  let line = 1;
+  let i = 0;
+
+  const push = (kind, value) => {
+    tokens.push({ kind, value, line, doc });
+    doc = null;
+  };
+  const docText = text => text
+    .replace(/<[^>]+>/g, ' ')
+    .split('\n')
+    .map(part => part.replace(/^\s*(\/\/\/?|\/\*\*|\*\/|\*)?/, '').replace(/\*\/\s*$/, '').trim())
+    .filter(part => part && !part.startsWith('@'))
+    .join(' ')
+    .trim();
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (code.startsWith('///', i) ||
+      (options.lineDocs && code.startsWith('//', i) && !code.slice(code.lastIndexOf('\n', i - 1) + 1, i).trim())) {
+      // Consecutive /// (or //) lines form one doc comment
+      const marker = code.startsWith('///', i) ? '///' : '//';
+      let end = i;
+      while (code.startsWith(marker, end)) {
+        const lineEnd = code.indexOf('\n', end);
+        end = lineEnd === -1 ? code.length : lineEnd;
+        const next = code.slice(end).match(/^\n[ \t]*/);
+        if (!next || !code.startsWith(marker, end + next[0].length)) break;
+        end += next[0].length;
+      }
+      doc = docText(code.slice(i, end)) || null;
+      line += (code.slice(i, end).match(/\n/g) || []).length;
+      i = end;
+    } else if (code.startsWith('//', i)) {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+    } else if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      const comment = code.slice(i, end === -1 ? code.length : end + 2);
+      if (comment.startsWith('/**')) {
+        doc = docText(comment) || null;
+      }
+      line += (comment.match(/\n/g) || []).length;
+      i += comment.length;
+    } else if (char === '"' || char === '\'' || char === '`' || (/[@$]/.test(char) && /["@$]/.test(code[i + 1] || ''))) {
+      // C# verbatim (@"") and interpolated ($"") strings are read like plain ones
+      let start = i;
+      while (code[start] === '@' || code[start] === '$') start++;
+      const quote = code[start];
+      const verbatim = code.slice(i, start).includes('@');
+      let j = start + 1;
+      let value = '';
+      while (j < code.length && (code[j] !== quote || (verbatim && code[j + 1] === quote))) {
+        // A doubled quote in a verbatim string and a backslash elsewhere escape the next character
+        if ((verbatim && code[j] === quote) || (!verbatim && code[j] === '\\')) {
+          j++;
+        }
+        if (code[j] === '\n') line++;
+        value += code[j];
+        j++;
+      }
+      push('string', value);
+      i = j + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = code.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      push('identifier', match[0]);
+      i += match[0].length;
+    } else if (/[0-9]/.test(char)) {
+      const match = code.slice(i).match(/^[0-9][0-9A-Za-z_.]*/);
+      push('number', match[0]);
+      i += match[0].length;
+    } else if (code.startsWith('=>', i)) {
+      push('punctuation', '=>');
+      i += 2;
+    } else {
+      push('punctuation', char);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+module.exports = {
+  extractCode,
+  findUnbalancedBrackets,
+  tokenize
+};
@@ -0,0 +1,85 @@
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} headerLine - First line of the file
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(headerLine) {
+  return DELIMITERS.reduce((best, delimiter) => (
+    headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best
+  ), ',');
+}
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain delimiters, doubled quotes
+ * and line breaks.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string[][]} Rows
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into records. Cell values stay strings; empty cells become null.
+ * @param {string} text - CSV text
+ * @param {Object} options - delimiter (detected from the header line by default)
+ * @returns {Object[]} One record per data row, keyed by header
+ */
+function parseCsv(text, options = {}) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(content.split(/\r?\n/, 1)[0] || '');
+  const [header = [], ...rows] = splitRows(content, delimiter);
+  const columns = header.map(name => name.trim());
+
+  return rows.map(cells => columns.reduce((record, column, index) => {
+    const value = cells[index];
+    record[column] = value === undefined || value.trim() === '' ? null : value.trim();
+    return record;
+  }, {}));
+}
+
+module.exports = {
+  parseCsv,
+  detectDelimiter
+};
@@ -0,0 +1,92 @@
+const { parsePath } = require('./path-utils');
+
+/**
+ * Create an empty tree node
+ * @param {string} name - Field name
+ * @param {string} path - Normalized path of the node (`[]` marks collection elements)
+ * @returns {Object} Tree node
+ */
+function createNode(name, path) {
+  return { name, path, type: null, isArray: false, element: null, children: new Map() };
+}
+
+/**
+ * Build a nested field tree from flat field paths such as `orderDetails.items[0].productId`.
+ * Array segments become an `element` node holding the children of one collection item.
+ * @param {Object<string, string>} fieldTypes - Map of field path to type name
+ * @returns {Object} Root node; every node has name, path, type, isArray, element and children
+ */
+function buildFieldTree(fieldTypes) {
+  const root = createNode('', '');
+
+  Object.entries(fieldTypes).forEach(([fieldPath, type]) => {
+    let node = root;
+
+    parsePath(fieldPath).forEach(segment => {
+      if (segment.key !== undefined) {
+        if (!node.children.has(segment.key)) {
+          const childPath = node.path ? `${node.path}.${segment.key}` : segment.key;
+          node.children.set(segment.key, createNode(segment.key, childPath));
+        }
+        node = node.children.get(segment.key);
+      } else {
+        node.isArray = true;
+        if (!node.element) {
+          node.element = createNode(node.name, `${node.path}[]`);
+        }
+        node = node.element;
+      }
+    });
+
+    if (!node.type) {
+      node.type = type;
+    }
+    if (type === 'array') {
+      node.isArray = true;
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Normalize a field path to the tree path notation (`items[0].id` -> `items[].id`)
+ * @param {string} fieldPath - Field path
+ * @returns {string} Normalized path
+ */
+function normalizePath(fieldPath) {
+  return fieldPath.replace(/\[(\d*|\*)\]/g, '[]');
+}
+
+/**
+ * Find a node in the tree by field path
+ * @param {Object} root - Root node from buildFieldTree
+ * @param {string} fieldPath - Field path
+ * @returns {Object|null} Node, or null when the path is not in the tree
+ */
+function findNode(root, fieldPath) {
+  let node = root;
+
+  for (const segment of parsePath(fieldPath)) {
+    node = segment.key !== undefined ? node.children.get(segment.key) : node.element;
+    if (!node) return null;
+  }
+
+  return node;
+}
+
+/**
+ * Check whether a node describes an object with child fields
+ * @param {Object} node - Tree node
+ * @returns {boolean} True for object nodes
+ */
+function isObjectNode(node) {
+  return node.children.size > 0;
+}
+
+module.exports = {
+  buildFieldTree,
+  normalizePath,
+  findNode,
+  isObjectNode
+};
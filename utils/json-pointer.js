@@ -0,0 +1,34 @@
+/**
+ * Escape a property name for use as a JSON pointer token
+ * @param {string} key - Property name
+ * @returns {string} Pointer token (`~` -> `~0`, `/` -> `~1`)
+ */
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a JSON pointer in URI fragment form (`#`, `#/components/schemas/Customer`)
+ * @param {*} document - Document to resolve against
+ * @param {string} pointer - Pointer, with or without the leading `#`
+ * @returns {*} Referenced value, or null when the pointer does not resolve
+ */
+function resolvePointer(document, pointer) {
+  const fragment = decodeURIComponent(String(pointer).replace(/^#/, ''));
+  if (fragment === '') {
+    return document;
+  }
+  if (!fragment.startsWith('/')) {
+    return null;
+  }
+
+  return fragment.slice(1).split('/').reduce((node, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' && node[key] !== undefined ? node[key] : null;
+  }, document);
+}
+
+module.exports = {
+  escapeToken,
+  resolvePointer
+};
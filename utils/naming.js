@@ -0,0 +1,65 @@
+/**
+ * Split an identifier into lower-case words (camelCase, PascalCase, snake_case, kebab-case, spaces)
+ * @param {string} name - Identifier to split
+ * @returns {string[]} Lower-case words
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Convert an identifier to PascalCase
+ * @param {string} name - Identifier
+ * @returns {string} PascalCase identifier, prefixed with `_` when it would start with a digit
+ */
+function toPascalCase(name) {
+  const result = splitWords(name)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^\d/.test(result) ? `_${result}` : result;
+}
+
+/**
+ * Convert an identifier to camelCase
+ * @param {string} name - Identifier
+ * @returns {string} camelCase identifier
+ */
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Convert an identifier to snake_case
+ * @param {string} name - Identifier
+ * @returns {string} snake_case identifier
+ */
+function toSnakeCase(name) {
+  return splitWords(name).join('_');
+}
+
+/**
+ * Naive English singular form, used to name collection element types (`items` -> `item`)
+ * @param {string} name - Plural word or identifier
+ * @returns {string} Singular form
+ */
+function singularize(name) {
+  if (/ies$/i.test(name)) return name.replace(/ies$/i, 'y');
+  if (/(ss|us|is)$/i.test(name)) return name;
+  if (/(sh|ch|x|z|ss)es$/i.test(name)) return name.replace(/es$/i, '');
+  if (/s$/i.test(name)) return name.replace(/s$/i, '');
+  return name;
+}
+
+module.exports = {
+  splitWords,
+  toPascalCase,
+  toCamelCase,
+  toSnakeCase,
+  singularize
+};
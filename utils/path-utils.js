@@ -0,0 +1,131 @@
+// Keys that would reach an object's prototype instead of a property of its own
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parse a field path such as `orderDetails.items[0].productId` into segments
+ * @param {string} fieldPath - Dotted field path with optional array indices
+ * @returns {Array<{key: string}|{index: number|null}>} Path segments; `index: null` for `[]` or `[*]`
+ */
+function parsePath(fieldPath) {
+  const segments = [];
+  const segmentRegex = /([^.[\]]+)|\[(\d*|\*)\]/g;
+  let match;
+
+  while ((match = segmentRegex.exec(fieldPath)) !== null) {
+    if (match[1] !== undefined) {
+      segments.push({ key: match[1] });
+    } else {
+      segments.push({ index: match[2] === '' || match[2] === '*' ? null : parseInt(match[2], 10) });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Count the array segments in a field path
+ * @param {Array} segments - Parsed path segments
+ * @returns {number} Number of array segments
+ */
+function countArraySegments(segments) {
+  return segments.filter(segment => segment.key === undefined).length;
+}
+
+/**
+ * Split a field path at its innermost collection
+ * @param {string} fieldPath - Field path, e.g. `orderDetails.items[0].productId`
+ * @returns {{collection: string, element: string}} Collection path ('' outside collections)
+ *   and the path relative to one of its elements, e.g. `orderDetails.items` and `productId`
+ */
+function splitCollectionPath(fieldPath) {
+  const open = fieldPath.lastIndexOf('[');
+  if (open === -1) {
+    return { collection: '', element: fieldPath };
+  }
+  return {
+    collection: fieldPath.slice(0, open),
+    element: fieldPath.slice(fieldPath.indexOf(']', open) + 1).replace(/^\./, '')
+  };
+}
+
+/**
+ * Read all values addressed by a path. The first `wildcards` array segments iterate
+ * every element; the remaining ones are used as literal indices (null meaning 0).
+ * @param {Object} obj - Object to read from
+ * @param {Array} segments - Parsed path segments
+ * @param {number} wildcards - Number of leading array segments to iterate
+ * @returns {Array<{value: any, indices: number[]}>} Found values with the element indices used
+ */
+function readPath(obj, segments, wildcards) {
+  const results = [];
+
+  const walk = (current, position, indices, wildcardsLeft) => {
+    if (current === undefined || current === null) return;
+
+    if (position === segments.length) {
+      results.push({ value: current, indices });
+      return;
+    }
+
+    const segment = segments[position];
+
+    if (segment.key !== undefined) {
+      if (typeof current !== 'object') return;
+      walk(current[segment.key], position + 1, indices, wildcardsLeft);
+    } else if (Array.isArray(current)) {
+      if (wildcardsLeft > 0) {
+        current.forEach((item, i) => walk(item, position + 1, [...indices, i], wildcardsLeft - 1));
+      } else {
+        walk(current[segment.index || 0], position + 1, indices, wildcardsLeft);
+      }
+    }
+  };
+
+  walk(obj, 0, [], wildcards);
+  return results;
+}
+
+/**
+ * Write a value at a path, creating intermediate objects and arrays. Array segments
+ * consume the given element indices in order and fall back to their literal index.
+ * Paths through `__proto__`, `constructor` or `prototype` are rejected.
+ * @param {Object} obj - Object to write into
+ * @param {Array} segments - Parsed path segments
+ * @param {any} value - Value to write
+ * @param {number[]} indices - Element indices for the array segments
+ */
+function writePath(obj, segments, value, indices = []) {
+  const unsafe = segments.find(segment => UNSAFE_KEYS.includes(segment.key));
+  if (unsafe) {
+    throw new Error(`Cannot write to path segment "${unsafe.key}"`);
+  }
+
+  let current = obj;
+  let indexPosition = 0;
+
+  segments.forEach((segment, position) => {
+    const isLast = position === segments.length - 1;
+    const next = segments[position + 1];
+    const key = segment.key !== undefined
+      ? segment.key
+      : (indexPosition < indices.length ? indices[indexPosition++] : segment.index || 0);
+
+    if (isLast) {
+      current[key] = value;
+      return;
+    }
+
+    if (current[key] === undefined || current[key] === null || typeof current[key] !== 'object') {
+      current[key] = next.key !== undefined ? {} : [];
+    }
+    current = current[key];
+  });
+}
+
+module.exports = {
+  parsePath,
+  countArraySegments,
+  splitCollectionPath,
+  readPath,
+  writePath
+};
@@ -0,0 +1,420 @@
+/**
+ * Approximate nearest-neighbour index for cosine similarity (IVF: inverted file lists).
+ * Vectors are normalized once and kept in one Float32Array, so a similarity is a dot product.
+ * `train` splits the vectors into lists around k-means centroids, after which a search only
+ * scans the lists whose centroids are closest to the query; an untrained index scans
+ * everything, which is exact and fast enough for small stores.
+ * Metadata filters are checked before a vector is compared. A filter on a key with posting
+ * lists that matches fewer vectors than the probed lists hold scans just its matches, and
+ * otherwise further lists are probed until the top-k is full.
+ */
+
+// Below this many vectors a full scan is cheap enough that training does not pay off
+const MIN_TRAIN_SIZE = 2048;
+const TRAIN_ITERATIONS = 8;
+// k-means runs on a sample of this many vectors per list
+const SAMPLES_PER_LIST = 32;
+const INITIAL_CAPACITY = 64;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32), so training is repeatable
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Write the normalized copy of a vector into a typed array; a zero vector stays zero
+ * @param {Float32Array} target - Array to write into
+ * @param {number} offset - Position of the first component in target
+ * @param {ArrayLike<number>} source - Array holding the vector
+ * @param {number} sourceOffset - Position of the first component in source
+ * @param {number} dimension - Vector length
+ */
+function normalizeInto(target, offset, source, sourceOffset = 0, dimension = source.length) {
+  let norm = 0;
+  for (let k = 0; k < dimension; k++) {
+    norm += source[sourceOffset + k] * source[sourceOffset + k];
+  }
+  const scale = norm > 0 ? 1 / Math.sqrt(norm) : 0;
+  for (let k = 0; k < dimension; k++) {
+    target[offset + k] = source[sourceOffset + k] * scale;
+  }
+}
+
+/**
+ * Dot product of two vectors stored in typed arrays
+ * @param {Float32Array} a - Array holding the first vector
+ * @param {number} aOffset - Position of the first vector
+ * @param {Float32Array} b - Array holding the second vector
+ * @param {number} bOffset - Position of the second vector
+ * @param {number} dimension - Vector length
+ * @returns {number} Cosine similarity of normalized vectors
+ */
+function dot(a, aOffset, b, bOffset, dimension) {
+  let sum = 0;
+  for (let k = 0; k < dimension; k++) {
+    sum += a[aOffset + k] * b[bOffset + k];
+  }
+  return sum;
+}
+
+/**
+ * Check metadata against a filter
+ * @param {Object} metadata - Entry metadata
+ * @param {Object} filter - Required metadata values; an array value allows any of its values
+ * @returns {boolean} True when every filter key matches
+ */
+function matchesFilter(metadata, filter) {
+  return Object.keys(filter).every(key => (Array.isArray(filter[key])
+    ? filter[key].includes(metadata[key])
+    : metadata[key] === filter[key]));
+}
+
+/**
+ * The k best results seen so far, best first
+ */
+class TopK {
+  constructor(k) {
+    this.k = k;
+    this.items = [];
+  }
+
+  get full() {
+    return this.items.length >= this.k;
+  }
+
+  push(id, similarity) {
+    if (this.k <= 0 || (this.full && similarity <= this.items[this.k - 1].similarity)) return;
+    let position = this.items.length;
+    while (position > 0 && this.items[position - 1].similarity < similarity) {
+      position--;
+    }
+    this.items.splice(position, 0, { id, similarity });
+    if (this.items.length > this.k) {
+      this.items.pop();
+    }
+  }
+}
+
+class VectorIndex {
+  /**
+   * @param {number} dimension - Vector length
+   * @param {Object} options - probes: lists scanned per search (default about a tenth of
+   *   the lists); filterKeys: metadata keys to keep posting lists for, so a selective filter
+   *   on them is answered by an exact scan of its matches; centroids and trainedSize: a
+   *   training result saved with toJSON
+   */
+  constructor(dimension, { probes = null, filterKeys = [], centroids = null, trainedSize = 0 } = {}) {
+    this.dimension = dimension;
+    this.probes = probes;
+    // Metadata key -> value -> ids
+    this.postings = new Map(filterKeys.map(key => [key, new Map()]));
+    this.data = new Float32Array(dimension * INITIAL_CAPACITY);
+    // By id: the list a vector is in, and its metadata (null once removed)
+    this.listOf = new Int32Array(INITIAL_CAPACITY).fill(-1);
+    this.metadata = [];
+    this.count = 0;
+    this.live = 0;
+    this.centroids = null;
+    this.lists = null;
+    this.trainedSize = 0;
+
+    if (centroids) {
+      this.setCentroids(Float32Array.from(centroids.flat()));
+      this.trainedSize = trainedSize;
+    }
+  }
+
+  /**
+   * Number of vectors in the index
+   * @returns {number} Vector count
+   */
+  get size() {
+    return this.live;
+  }
+
+  /**
+   * Whether the index has lists to probe
+   * @returns {boolean} True after train
+   */
+  get trained() {
+    return this.centroids !== null;
+  }
+
+  /**
+   * Replace the centroids and empty the lists
+   * @param {ArrayLike<number>} centroids - Centroids one after the other, not yet normalized
+   */
+  setCentroids(centroids) {
+    const listCount = centroids.length / this.dimension;
+    this.centroids = new Float32Array(centroids.length);
+    for (let i = 0; i < listCount; i++) {
+      normalizeInto(this.centroids, i * this.dimension, centroids, i * this.dimension, this.dimension);
+    }
+    this.lists = Array.from({ length: listCount }, () => []);
+  }
+
+  /**
+   * Order the lists by the similarity of their centroids to a vector
+   * @param {Float32Array} query - Normalized vector
+   * @returns {number[]} List numbers, closest first
+   */
+  rankLists(query) {
+    const similarities = this.lists.map((_, i) => dot(this.centroids, i * this.dimension, query, 0, this.dimension));
+    return similarities.map((_, i) => i).sort((a, b) => similarities[b] - similarities[a]);
+  }
+
+  /**
+   * Find the list whose centroid is closest to a stored vector
+   * @param {number} id - Vector id
+   * @returns {number} List number
+   */
+  nearestList(id) {
+    let best = 0;
+    let bestSimilarity = -Infinity;
+    for (let i = 0; i < this.lists.length; i++) {
+      const similarity = dot(this.centroids, i * this.dimension, this.data, id * this.dimension, this.dimension);
+      if (similarity > bestSimilarity) {
+        best = i;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Add a vector
+   * @param {number[]} vector - Vector of the index's dimension
+   * @param {Object} metadata - Metadata returned with the vector and matched by filters
+   * @param {number|null} list - List saved with toJSON, to skip looking up the nearest one
+   * @returns {number} Id of the vector
+   */
+  add(vector, metadata = {}, list = null) {
+    if (vector.length !== this.dimension) {
+      throw new Error(`Vector has ${vector.length} dimensions but the index holds ${this.dimension}-dimensional vectors`);
+    }
+    if (this.count === this.listOf.length) {
+      const data = new Float32Array(this.data.length * 2);
+      data.set(this.data);
+      this.data = data;
+      const listOf = new Int32Array(this.listOf.length * 2).fill(-1);
+      listOf.set(this.listOf);
+      this.listOf = listOf;
+    }
+
+    const id = this.count++;
+    normalizeInto(this.data, id * this.dimension, vector);
+    this.metadata[id] = metadata;
+    this.live++;
+    this.updatePostings(id, (ids, value) => {
+      if (!ids.has(value)) ids.set(value, new Set());
+      ids.get(value).add(id);
+    });
+
+    if (this.trained) {
+      const assigned = Number.isInteger(list) && list >= 0 && list < this.lists.length ? list : this.nearestList(id);
+      this.lists[assigned].push(id);
+      this.listOf[id] = assigned;
+    }
+    return id;
+  }
+
+  /**
+   * Remove a vector
+   * @param {number} id - Vector id
+   * @returns {boolean} True when the vector was in the index
+   */
+  remove(id) {
+    if (id >= this.count || this.metadata[id] === null) return false;
+    this.updatePostings(id, (ids, value) => {
+      ids.get(value).delete(id);
+      if (ids.get(value).size === 0) ids.delete(value);
+    });
+    this.metadata[id] = null;
+    this.live--;
+
+    if (this.trained) {
+      const list = this.lists[this.listOf[id]];
+      const position = list.indexOf(id);
+      list[position] = list[list.length - 1];
+      list.pop();
+      this.listOf[id] = -1;
+    }
+    return true;
+  }
+
+  /**
+   * Apply a change to the posting lists of a vector's filter keys
+   * @param {number} id - Vector id
+   * @param {function(Map, any): void} change - Called with the value -> ids map of each
+   *   filter key and the vector's value for it
+   */
+  updatePostings(id, change) {
+    this.postings.forEach((ids, key) => change(ids, this.metadata[id][key]));
+  }
+
+  /**
+   * Collect the ids that can match a filter from the posting lists
+   * @param {Object} filter - Required metadata values
+   * @returns {number[]|null} Ids of the most selective filter key with posting lists, or null
+   *   when the filter has no such key
+   */
+  filterCandidates(filter) {
+    let candidates = null;
+    Object.keys(filter).filter(key => this.postings.has(key)).forEach(key => {
+      const ids = [].concat(filter[key]).flatMap(value => Array.from(this.postings.get(key).get(value) || []));
+      if (!candidates || ids.length < candidates.length) {
+        candidates = ids;
+      }
+    });
+    return candidates;
+  }
+
+  /**
+   * Get a stored vector, normalized
+   * @param {number} id - Vector id
+   * @returns {number[]} Vector
+   */
+  vector(id) {
+    return Array.from(this.data.subarray(id * this.dimension, (id + 1) * this.dimension));
+  }
+
+  /**
+   * Check whether the index should be (re)trained: it is large enough and was never
+   * trained, or it grew or shrank by half since
+   * @returns {boolean} True when train would pay off
+   */
+  shouldTrain() {
+    if (this.live < MIN_TRAIN_SIZE) return false;
+    return !this.trained || this.live > 2 * this.trainedSize || this.live < this.trainedSize / 2;
+  }
+
+  /**
+   * Split the vectors into lists with spherical k-means on a sample, then assign every
+   * vector to its closest centroid
+   * @param {Object} options - lists: number of lists (default the square root of the size);
+   *   seed and iterations of k-means
+   */
+  train({ lists = null, seed = 1, iterations = TRAIN_ITERATIONS } = {}) {
+    const ids = [];
+    for (let id = 0; id < this.count; id++) {
+      if (this.metadata[id] !== null) ids.push(id);
+    }
+    if (ids.length === 0) return;
+
+    const listCount = Math.max(1, Math.min(ids.length, lists || Math.round(Math.sqrt(ids.length))));
+    const random = createRandom(seed);
+
+    // Shuffle the first sampleSize ids into place; the first listCount are the initial centroids
+    const sampleSize = Math.min(ids.length, listCount * SAMPLES_PER_LIST);
+    for (let i = 0; i < sampleSize; i++) {
+      const j = i + Math.floor(random() * (ids.length - i));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    const sample = ids.slice(0, sampleSize);
+    const { dimension } = this;
+
+    this.setCentroids(Float64Array.from(
+      { length: listCount * dimension },
+      (_, k) => this.data[sample[Math.floor(k / dimension)] * dimension + (k % dimension)]
+    ));
+    const sums = new Float64Array(listCount * dimension);
+    const sizes = new Int32Array(listCount);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      sums.fill(0);
+      sizes.fill(0);
+      sample.forEach(id => {
+        const list = this.nearestList(id);
+        for (let k = 0; k < dimension; k++) {
+          sums[list * dimension + k] += this.data[id * dimension + k];
+        }
+        sizes[list]++;
+      });
+      // An empty list restarts from a random sample vector
+      sizes.forEach((size, list) => {
+        if (size > 0) return;
+        const id = sample[Math.floor(random() * sample.length)];
+        sums.set(this.data.subarray(id * dimension, (id + 1) * dimension), list * dimension);
+      });
+      this.setCentroids(sums);
+    }
+
+    ids.forEach(id => {
+      const list = this.nearestList(id);
+      this.lists[list].push(id);
+      this.listOf[id] = list;
+    });
+    this.trainedSize = ids.length;
+  }
+
+  /**
+   * Find the vectors most similar to a query
+   * @param {number[]} queryVector - Query of the index's dimension
+   * @param {number} topK - Number of results to return
+   * @param {Object} options - filter: required metadata values (see matchesFilter);
+   *   probes: lists to scan, overriding the index default; exact: scan every vector
+   * @returns {Array<{id: number, similarity: number, metadata: Object}>} Best matches first
+   */
+  search(queryVector, topK = 5, { filter = null, probes = null, exact = false } = {}) {
+    if (queryVector.length !== this.dimension) {
+      throw new Error(`Query vector has ${queryVector.length} dimensions but the index holds ${this.dimension}-dimensional vectors`);
+    }
+    const query = new Float32Array(this.dimension);
+    normalizeInto(query, 0, queryVector);
+    const top = new TopK(topK);
+    const visit = id => {
+      const metadata = this.metadata[id];
+      if (metadata === null || (filter && !matchesFilter(metadata, filter))) return;
+      top.push(id, dot(this.data, id * this.dimension, query, 0, this.dimension));
+    };
+
+    const probeCount = this.trained ? probes || this.probes || Math.max(1, Math.ceil(this.lists.length / 10)) : 0;
+    const candidates = filter ? this.filterCandidates(filter) : null;
+    if (candidates && (!this.trained || candidates.length <= probeCount * (this.live / this.lists.length))) {
+      // A selective filter: its matches are fewer than the probed lists hold, so scan them all
+      candidates.forEach(visit);
+    } else if (!this.trained || exact) {
+      for (let id = 0; id < this.count; id++) {
+        visit(id);
+      }
+    } else {
+      const order = this.rankLists(query);
+      // Keep probing past probeCount while a filter leaves the top-k short
+      for (let i = 0; i < order.length && (i < probeCount || !top.full); i++) {
+        this.lists[order[i]].forEach(visit);
+      }
+    }
+
+    return top.items.map(({ id, similarity }) => ({ id, similarity, metadata: this.metadata[id] }));
+  }
+
+  /**
+   * Export the training result; the list of each vector is available from listOf
+   * @returns {{centroids: number[][]|null, trainedSize: number}} Centroids for the constructor
+   */
+  toJSON() {
+    return {
+      centroids: this.trained
+        ? this.lists.map((_, i) => Array.from(this.centroids.subarray(i * this.dimension, (i + 1) * this.dimension)))
+        : null,
+      trainedSize: this.trainedSize
+    };
+  }
+}
+
+module.exports = {
+  MIN_TRAIN_SIZE,
+  createRandom,
+  matchesFilter,
+  VectorIndex
+};
@@ -27,7 +27,8 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Find the most similar vectors to a query vector
+ * Find the most similar vectors to a query vector by scanning all of them. Vector stores
+ * search through utils/vector-index instead; this exact scan is its reference.
  * @param {number[]} queryVector - The vector to compare against
  * @param {Array<{vector: number[], metadata: any}>} vectorStore - Array of vectors with metadata
  * @param {number} topK - Number of results to return